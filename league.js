@@ -0,0 +1,5064 @@
+/**
+ * Poker league domain model, scoring and storage, which has no DOM access so
+ * it can be used in the browser (as the global "league") or in Node.
+ */
+;(function(root, factory) {
+  if (typeof module != 'undefined' && module.exports) {
+    module.exports = factory(require('./isomorph-0.3.0'), require('./concur-0.3.0'))
+  }
+  else {
+    root.league = factory(root.isomorph, root.Concur)
+  }
+})(this, function(isomorph, Concur) {
+
+var STORAGE_DATE_FORMAT = '%Y-%m-%d'
+  , INPUT_DATE_FORMAT = '%d/%m/%Y'
+
+// =================================================================== Utils ===
+
+if (!Array.prototype.sum) {
+  Object.defineProperty(Array.prototype, 'sum', {
+    value: function() {
+      return this.reduce(function(a, b) { return a + b}, 0)
+    }
+  })
+}
+
+/**
+ * Formats an amount of money for display, to the penny.
+ */
+function formatMoney(amount) {
+  return amount.toFixed(2)
+}
+
+/**
+ * Parses CSV text into a list of rows, each of which is a list of fields.
+ * Fields may be quoted with double quotes, which are escaped by doubling them.
+ * Blank lines are skipped.
+ */
+function parseCSV(text) {
+  var rows = []
+    , row = []
+    , field = ''
+    , quoted = false
+  for (var i = 0, l = text.length; i < l; i++) {
+    var c = text.charAt(i)
+    if (quoted) {
+      if (c != '"') {
+        field += c
+      }
+      else if (text.charAt(i + 1) == '"') {
+        field += c
+        i++
+      }
+      else {
+        quoted = false
+      }
+    }
+    else if (c == '"') {
+      quoted = true
+    }
+    else if (c == ',') {
+      row.push(field)
+      field = ''
+    }
+    else if (c == '\n' || c == '\r') {
+      if (c == '\r' && text.charAt(i + 1) == '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    }
+    else {
+      field += c
+    }
+  }
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter(function(row) { return row.length > 1 || row[0] !== '' })
+}
+
+// ================================================================ Entities ===
+
+// ------------------------------------------------------------------ Player ---
+
+function Player(name) {
+  /**
+   * Unique id, set by storage.
+   */
+  this.id = null
+  /**
+   * The player's name.
+   */
+  this.name = name
+  /**
+   * true if the player has left the league - their history is kept, but they
+   * can't be entered into new games.
+   */
+  this.retired = false
+}
+
+Player.prototype.toString = function() {
+  return this.name
+}
+
+Player.prototype.getUrl = function() {
+  return '/players/' + this.id
+}
+
+Player.prototype.toObject = function() {
+  var obj = {name: this.name}
+  if (this.retired) {
+    obj.retired = true
+  }
+  return obj
+}
+
+Player.fromObject = function(obj, id) {
+  var player = new Player(obj.name)
+  player.id = id
+  player.retired = !!obj.retired
+  return player
+}
+
+/**
+ * Gets players who haven't retired, plus any of the given players who have -
+ * the players who can be entered into a game which already includes them.
+ */
+Player.getActive = function(players, include) {
+  include = include || []
+  return players.filter(function(player) {
+    return !player.retired || include.indexOf(player) != -1
+  })
+}
+
+/**
+ * Checks whether a player can be merged into another, returning an error
+ * message if they can't, or null. Players can't be merged if they played in
+ * the same game, as the merged player would appear in it twice.
+ */
+Player.checkMerge = function(from, into, seasons, liveGames) {
+  if (from === into) {
+    return 'A player cannot be merged into themselves.'
+  }
+  var shared = []
+  seasons.forEach(function(season) {
+    season.games.forEach(function(game) {
+      if (game.hasPlayer(from) && game.hasPlayer(into)) {
+        shared.push('Game ' + game.getGameNumber() + ' in ' + season.name)
+      }
+    })
+  })
+  ;(liveGames || []).forEach(function(liveGame) {
+    if (liveGame.players.indexOf(from) != -1 && liveGame.players.indexOf(into) != -1) {
+      shared.push('the live game in ' + liveGame.season.name)
+    }
+  })
+  if (shared.length) {
+    return from.name + ' and ' + into.name + ' both played in ' + shared.join(', ') + '.'
+  }
+  return null
+}
+
+// ------------------------------------------------------------ ScoringRules ---
+
+/**
+ * Rules used to calculate scores for the games in a Season, which are stored
+ * with the Season so changing the rules for new seasons doesn't affect the
+ * results of seasons which have already been played.
+ */
+function ScoringRules(options) {
+  options = options || {}
+  /**
+   * Distribution of points based on finishing position, winner first.
+   */
+  this.points = options.points || Game.DEFAULT_POINTS.slice(0)
+  /**
+   * Bonus points awarded for having the fish-chip and being in the money.
+   */
+  this.fishChipBonus = (typeof options.fishChipBonus != 'undefined'
+                        ? options.fishChipBonus
+                        : Game.FISH_CHIP_BONUS)
+  /**
+   * Bonus points awarded for knocking out a top 3 player from the previous
+   * game.
+   */
+  this.bountyBonus = (typeof options.bountyBonus != 'undefined'
+                      ? options.bountyBonus
+                      : Game.BOUNTY_BONUS)
+  /**
+   * Number of a player's best game scores which count towards their overall
+   * score - null if all game scores count.
+   */
+  this.bestGames = (typeof options.bestGames != 'undefined'
+                    ? options.bestGames
+                    : ScoringRules.DEFAULT_BEST_GAMES)
+  /**
+   * Names of tie-breakers used in order to rank players with the same overall
+   * score - see ScoringRules.TIE_BREAKERS. Seasons in a league use the
+   * league's tie-breakers.
+   */
+  this.tieBreakers = (options.tieBreakers ||
+                      ScoringRules.DEFAULT_TIE_BREAKERS.slice(0))
+}
+
+/**
+ * Tie-breakers which can be used to rank players with the same overall score.
+ * Each has a compare function which returns a negative number if the first
+ * score ranks higher, a positive number if the second score ranks higher, or
+ * zero if they can't be separated.
+ */
+ScoringRules.TIE_BREAKERS = {
+  wins: {
+    label: 'Most Wins'
+  , compare: function(a, b) { return b.wins - a.wins }
+  }
+, gamesPlayed: {
+    // Fewer games for the same score means a higher average
+    label: 'Fewest Games Played'
+  , compare: function(a, b) { return a.getGamesPlayed() - b.getGamesPlayed() }
+  }
+, averagePoints: {
+    label: 'Highest Average Points Per Game'
+  , compare: function(a, b) {
+      return b.getAveragePoints() - a.getAveragePoints()
+    }
+  }
+, bonusPoints: {
+    label: 'Most Bonus Points'
+  , compare: function(a, b) { return b.getBonusPoints() - a.getBonusPoints() }
+  }
+, bountyPoints: {
+    label: 'Most Bounty Points'
+  , compare: function(a, b) { return b.getBountyPoints() - a.getBountyPoints() }
+  }
+, fishChipPoints: {
+    label: 'Most Fish-Chip Points'
+  , compare: function(a, b) { return b.getFishChipPoints() - a.getFishChipPoints() }
+  }
+, name: {
+    // Blame your parents if you lose based on this!
+    label: 'Name'
+  , compare: function(a, b) {
+      var aName = a.player.name, bName = b.player.name
+      return (aName == bName ? 0 : (aName < bName ? -1 : 1))
+    }
+  }
+}
+
+ScoringRules.DEFAULT_TIE_BREAKERS = ['wins', 'gamesPlayed', 'fishChipPoints', 'name']
+
+/**
+ * Gets the labels of the tie-breakers in use, in order.
+ */
+ScoringRules.prototype.getTieBreakerLabels = function() {
+  return this.tieBreakers.map(function(name) {
+    return ScoringRules.TIE_BREAKERS[name].label
+  })
+}
+
+/**
+ * Default number of a player's best game scores which count towards their
+ * overall score.
+ */
+ScoringRules.DEFAULT_BEST_GAMES = 9
+
+ScoringRules.prototype.toObject = function() {
+  return {
+    points: this.points.slice(0)
+  , fishChipBonus: this.fishChipBonus
+  , bountyBonus: this.bountyBonus
+  , bestGames: this.bestGames
+  , tieBreakers: this.tieBreakers.slice(0)
+  }
+}
+
+/**
+ * Seasons stored before scoring rules were configurable won't have any, so
+ * they get the default rules they were played under.
+ */
+ScoringRules.fromObject = function(obj) {
+  return new ScoringRules(obj || {})
+}
+
+/**
+ * Gets points for each finishing position in a game with the given number of
+ * players, winner first.
+ */
+ScoringRules.prototype.getPoints = function(playerCount) {
+  // Adjust points to cope with number of players if necessary
+  var points = this.points.slice(0)
+  if (playerCount > points.length) {
+    var extraPoints = playerCount - points.length
+    // Add extra points to the defaults
+    points = points.map(function(score) { return score + extraPoints})
+    // Add new points, descending, so the player in last place gets 1 point
+    while (extraPoints > 0) {
+      points.push(extraPoints)
+      extraPoints--
+    }
+  }
+  return points
+}
+
+/**
+ * Adds up the game scores which count towards a player's overall score.
+ */
+ScoringRules.prototype.getOverallScore = function(gameScores) {
+  var scores = gameScores.slice(0)                        // Make a copy
+                         .sort(function(a, b) { return b - a }) // Sort in descending order
+  if (this.bestGames !== null) {
+    scores = scores.slice(0, this.bestGames)                    // Only take the best N
+  }
+  return scores.sum()                                           // Add 'em up
+}
+
+// --------------------------------------------------------------- Structure ---
+
+/**
+ * A tournament structure - the blind levels and breaks a game is played with.
+ */
+function Structure(name, startingStack, levels) {
+  /**
+   * Unique id, set by storage.
+   */
+  this.id = null
+  this.name = name
+  /**
+   * Chips each player starts with.
+   */
+  this.startingStack = startingStack || 0
+  /**
+   * Levels in the order they're played - {smallBlind, bigBlind, ante, minutes}
+   * for blind levels and {isBreak: true, minutes} for breaks.
+   */
+  this.levels = levels || []
+}
+
+/**
+ * Blind levels between breaks when generating a structure.
+ */
+Structure.LEVELS_BETWEEN_BREAKS = 4
+
+Structure.BREAK_MINUTES = 10
+
+/**
+ * Big blind to start with when generating a structure, relative to the
+ * starting stack.
+ */
+Structure.STARTING_BIG_BLINDS = 100
+
+/**
+ * Big blind to reach by the end of a generated structure, relative to the
+ * total chips in play.
+ */
+Structure.FINAL_BIG_BLINDS = 20
+
+/**
+ * Generates a structure whose blinds rise from a small fraction of the
+ * starting stack to a large fraction of the chips in play over the target
+ * duration, with a break after every few levels. Antes start once the big
+ * blind reaches 10 times its starting amount.
+ */
+Structure.generate = function(name, startingStack, playerCount, targetMinutes, levelMinutes) {
+  var blockMinutes = Structure.LEVELS_BETWEEN_BREAKS * levelMinutes + Structure.BREAK_MINUTES
+    , blocks = Math.floor(targetMinutes / blockMinutes)
+    , levelCount = Math.max(1, blocks * Structure.LEVELS_BETWEEN_BREAKS +
+        Math.floor((targetMinutes - blocks * blockMinutes) / levelMinutes))
+    , firstBigBlind = Structure.roundChips(startingStack / Structure.STARTING_BIG_BLINDS, 2)
+    , lastBigBlind = startingStack * playerCount / Structure.FINAL_BIG_BLINDS
+    , growth = (levelCount > 1
+                ? Math.pow(lastBigBlind / firstBigBlind, 1 / (levelCount - 1))
+                : 1)
+    , levels = []
+    , bigBlind = 0
+  for (var i = 0; i < levelCount; i++) {
+    if (i > 0 && i % Structure.LEVELS_BETWEEN_BREAKS === 0) {
+      levels.push({isBreak: true, minutes: Structure.BREAK_MINUTES})
+    }
+    bigBlind = Math.max(Structure.roundChips(firstBigBlind * Math.pow(growth, i), 2),
+                        Structure.nextChips(bigBlind, 2))
+    levels.push({
+      smallBlind: bigBlind / 2
+    , bigBlind: bigBlind
+    , ante: (bigBlind >= firstBigBlind * 10 ? Structure.roundChips(bigBlind / 10, 1) : 0)
+    , minutes: levelMinutes
+    })
+  }
+  return new Structure(name, startingStack, levels)
+}
+
+/**
+ * Chip amounts which blinds are rounded to, within each power of ten.
+ */
+Structure.CHIP_AMOUNTS = [1, 1.5, 2, 2.5, 3, 4, 5, 6, 8]
+
+/**
+ * Rounds an amount of chips to the nearest amount which is easy to make with
+ * chips and divisible by the given number.
+ */
+Structure.roundChips = function(amount, divisor) {
+  var best = divisor
+  Structure.getChipAmounts(amount).forEach(function(chips) {
+    if (chips % divisor === 0 && Math.abs(chips - amount) < Math.abs(best - amount)) {
+      best = chips
+    }
+  })
+  return best
+}
+
+/**
+ * Gets the next amount of chips up from the given amount, as rounded by
+ * roundChips().
+ */
+Structure.nextChips = function(amount, divisor) {
+  var amounts = Structure.getChipAmounts(amount * 1.1)
+  for (var i = 0, l = amounts.length; i < l; i++) {
+    if (amounts[i] > amount && amounts[i] % divisor === 0) {
+      return amounts[i]
+    }
+  }
+  return amount + divisor
+}
+
+Structure.getChipAmounts = function(amount) {
+  var magnitude = Math.pow(10, Math.max(0, Math.floor(Math.log(Math.max(amount, 1)) / Math.LN10)))
+    , amounts = []
+  ;[magnitude / 10, magnitude, magnitude * 10].forEach(function(m) {
+    Structure.CHIP_AMOUNTS.forEach(function(chips) {
+      if (chips * m >= 1 && (chips * m) % 1 === 0) {
+        amounts.push(chips * m)
+      }
+    })
+  })
+  return amounts
+}
+
+Structure.prototype.getUrl = function() {
+  return '/structures/' + this.id
+}
+
+Structure.prototype.toObject = function() {
+  return {
+    name: this.name
+  , startingStack: this.startingStack
+  , levels: this.levels.map(function(level) {
+      return (level.isBreak
+              ? {isBreak: true, minutes: level.minutes}
+              : {smallBlind: level.smallBlind, bigBlind: level.bigBlind,
+                 ante: level.ante || 0, minutes: level.minutes})
+    })
+  }
+}
+
+Structure.fromObject = function(obj, id) {
+  var structure = new Structure(obj.name, obj.startingStack, obj.levels)
+  structure.id = id
+  return structure
+}
+
+/**
+ * Gets {number, start, level} for each level, where number is the blind
+ * level's number - null for breaks - and start is the number of minutes into
+ * the game the level starts.
+ */
+Structure.prototype.getNumberedLevels = function() {
+  var number = 0
+    , start = 0
+  return this.levels.map(function(level) {
+    var numbered = {number: (level.isBreak ? null : ++number), start: start, level: level}
+    start += level.minutes
+    return numbered
+  })
+}
+
+Structure.prototype.getTotalMinutes = function() {
+  return this.levels.reduce(function(minutes, level) {
+    return minutes + level.minutes
+  }, 0)
+}
+
+// ------------------------------------------------------------------ Stakes ---
+
+/**
+ * Money played for in games - a buy-in and a payout structure for players who
+ * finish in the money.
+ */
+function Stakes(buyIn, payouts) {
+  /**
+   * Amount each player pays to play - 0 if games aren't played for money.
+   */
+  this.buyIn = buyIn || 0
+  /**
+   * Share of the pot paid to each place in the money, winner first. When fewer
+   * places are in the money, their shares are scaled up to pay out the whole
+   * pot. When more places are in the money, only the places listed are paid.
+   */
+  this.payouts = payouts || Stakes.DEFAULT_PAYOUTS.slice(0)
+}
+
+/**
+ * Default percentage of the pot paid to each place in the money.
+ */
+Stakes.DEFAULT_PAYOUTS = [50, 30, 20]
+
+Stakes.prototype.toObject = function() {
+  return {buyIn: this.buyIn, payouts: this.payouts.slice(0)}
+}
+
+Stakes.fromObject = function(obj) {
+  return (obj ? new Stakes(obj.buyIn, obj.payouts) : new Stakes())
+}
+
+Stakes.prototype.formatBuyIn = function() {
+  return formatMoney(this.buyIn)
+}
+
+/**
+ * Gets the amount paid to each place in the money, winner first, for a game
+ * with the given number of players and places in the money. Amounts are
+ * rounded to the nearest penny, with any odd pennies going to the winner.
+ */
+Stakes.prototype.getPayouts = function(playerCount, paidCount) {
+  var shares = this.payouts.slice(0, paidCount)
+    , totalShares = shares.sum()
+    , pot = Math.round(this.buyIn * playerCount * 100)
+  if (!pot || !totalShares) {
+    return []
+  }
+  var amounts = shares.map(function(share) {
+    return Math.floor(pot * share / totalShares)
+  })
+  amounts[0] += pot - amounts.sum()
+  return amounts.map(function(pennies) { return pennies / 100 })
+}
+
+// ------------------------------------------------------------------- Score ---
+
+/**
+ * Scoring for a Player in a sequence of games.
+ */
+function Score(player, rules) {
+  /**
+   * The player this score is for.
+   */
+  this.player = player
+  /**
+   * Scoring rules for the sequence of games.
+   */
+  this.rules = rules || new ScoringRules()
+  /**
+   * Scores for each game the player has played in, by game index.
+   */
+  this.scores = []
+  /**
+   * Bounty points for each game the player has played in, by game index.
+   */
+  this.bountyPoints = []
+  /**
+   * Fish-chip points for each game the player has played in, by game index.
+   */
+  this.fishChipPoints = []
+  /**
+   * Number of games won by the player.
+   */
+  this.wins = 0
+  /**
+   * Ranking relative to other players in the same sequence of games.
+   */
+  this.ranking = null
+  /**
+   * Ranking after each game in the sequence, by game index, from the player's
+   * first game onward.
+   */
+  this.rankings = []
+  /**
+   * Name of the tie-breaker which ranked the player below the player above
+   * them in the league table, or null if it was their overall score or they
+   * couldn't be separated.
+   */
+  this.separatedBy = null
+}
+
+/**
+ * Gets a Score object for the given player, or creates and adds one.
+ */
+Score.getOrCreate = function(player, scores, rules) {
+  // Look for an existing Score
+  for (var i = 0, l = scores.length; i < l; i++) {
+    if (player === scores[i].player) {
+      return scores[i]
+    }
+  }
+  // Otherwise, create and add a new Score
+  var score = new Score(player, rules)
+  scores.push(score)
+  return score
+}
+
+Score.prototype.reset = function() {
+  this.scores = []
+  this.bountyPoints = []
+  this.fishChipPoints = []
+  this.rankings = []
+  this.wins = 0
+}
+
+/**
+ * Discards scoring for games from the given index onward, recounting wins from
+ * the given games which are being kept.
+ */
+Score.prototype.truncate = function(index, games) {
+  this.scores = this.scores.slice(0, index)
+  this.bountyPoints = this.bountyPoints.slice(0, index)
+  this.fishChipPoints = this.fishChipPoints.slice(0, index)
+  this.rankings = this.rankings.slice(0, index)
+  this.wins = 0
+  for (var i = 0; i < index && i < games.length; i++) {
+    if (games[i].getWinner() === this.player) {
+      this.win()
+    }
+  }
+}
+
+/**
+ * Gets the player's ranking before the latest game in the sequence, or null if
+ * it was their first game.
+ */
+Score.prototype.getPreviousRanking = function() {
+  return this.rankings[this.rankings.length - 2] || null
+}
+
+/**
+ * Gets the direction the player's ranking moved in after the latest game in
+ * the sequence - 'up', 'down', 'same', or 'new' if it was their first game.
+ */
+Score.prototype.getMovement = function() {
+  var previous = this.getPreviousRanking()
+  if (previous === null) return 'new'
+  var places = parseInt(previous, 10) - parseInt(this.ranking, 10)
+  return (places > 0 ? 'up' : places < 0 ? 'down' : 'same')
+}
+
+/**
+ * Registers the score for the given game.
+ */
+Score.prototype.setScore = function(game, score) {
+  this.scores[game.index] = score
+}
+
+/**
+ * Registers bounty points earned for the given game.
+ */
+Score.prototype.setBountyPoints = function(game, bountyPoints) {
+  this.bountyPoints[game.index] = bountyPoints
+}
+
+/**
+ * Registers bounty points earned for the given game.
+ */
+Score.prototype.setFishChipPoints = function(game, fishChipPoints) {
+  this.fishChipPoints[game.index] = fishChipPoints
+}
+
+/**
+ * Registers that the player won a game.
+ */
+Score.prototype.win = function() {
+  this.wins++
+}
+
+/**
+ * Fiters undefined values out of the scores array, which is sparse.
+ */
+Score.prototype.getGameScores = function() {
+  return this.scores.filter(function(s) { return typeof s != 'undefined'})
+}
+
+Score.prototype.getGamesPlayed = function() {
+  return this.getGameScores().length
+}
+
+/**
+ * Gets the unrounded average points per game, for comparison.
+ */
+Score.prototype.getAveragePoints = function() {
+  var scores = this.getGameScores()
+  if (!scores.length) return 0
+  return scores.sum() / scores.length
+}
+
+Score.prototype.getAveragePointsPerGame = function() {
+  if (!this.getGamesPlayed()) return 0
+  return this.getAveragePoints().toFixed(1)
+}
+
+Score.prototype.getBountyPoints = function() {
+  return this.bountyPoints.sum()
+}
+
+Score.prototype.getFishChipPoints = function() {
+  return this.fishChipPoints.sum()
+}
+
+Score.prototype.getBonusPoints = function() {
+  return this.getBountyPoints() + this.getFishChipPoints()
+}
+
+Score.prototype.getLowestWeeklyPoints = function() {
+  var scores = this.getGameScores()
+  if (!scores.length) return 0
+  return Math.min.apply(Math, scores)
+}
+
+Score.prototype.getOverallScore = function() {
+  return this.rules.getOverallScore(this.getGameScores())
+}
+
+/**
+ * Determines if this score ranks higher than another. Returns a negative number
+ * if this score ranks higher, zero if the scores rank equally or a positive
+ * number if the other score ranks higher, so this can be used with an array
+ * sort to sort scores in winner-first fashion.
+ */
+Score.prototype.compareTo = function(score) {
+  return this.getSeparation(score).result
+}
+
+/**
+ * Compares this score with another by overall score, descending, then by each
+ * of the scoring rules' tie-breakers in turn. Returns the result of comparison
+ * and the name of the tie-breaker which separated the scores, if any.
+ */
+Score.prototype.getSeparation = function(score) {
+  if (score.getOverallScore() != this.getOverallScore()) {
+    return {result: score.getOverallScore() - this.getOverallScore(), tieBreaker: null}
+  }
+  var tieBreakers = this.rules.tieBreakers
+  for (var i = 0, l = tieBreakers.length; i < l; i++) {
+    var result = ScoringRules.TIE_BREAKERS[tieBreakers[i]].compare(this, score)
+    if (result !== 0) {
+      return {result: result, tieBreaker: tieBreakers[i]}
+    }
+  }
+  return {result: 0, tieBreaker: null}
+}
+
+Score.prototype.getSeparatedByLabel = function() {
+  return (this.separatedBy !== null
+          ? ScoringRules.TIE_BREAKERS[this.separatedBy].label
+          : null)
+}
+
+// ------------------------------------------------------------------ Season ---
+
+/**
+ * A season of poker games, played weekly for a planned number of weeks - 12
+ * by default. A season is open until its first game is played, then in
+ * progress until it's completed, which crowns its champion and locks it
+ * against changes to its games.
+ */
+function Season(name, rules, stakes) {
+  /**
+   * Unique id, set by storage.
+   */
+  this.id = null
+  /**
+   * Whimsy, the obvious, whatever you like.
+   */
+  this.name = name
+  /**
+   * Rules used to calculate scores for games in this season.
+   */
+  this.rules = rules || new ScoringRules()
+  /**
+   * Money played for in this season's games, unless a game has its own.
+   */
+  this.stakes = stakes || new Stakes()
+  /**
+   * Tournament structure used for this season's games, unless a game has its
+   * own, or null if not recorded.
+   */
+  this.structure = null
+  /**
+   * Games played in this season.
+   */
+  this.games = []
+  /**
+   * Id to be given to the next game added - game ids are never reused, so
+   * they start from 1 to match the first game's number.
+   */
+  this.nextGameId = 1
+  /**
+   * Scores for players who've played in this season.
+   */
+  this.scores = []
+  /**
+   * Number of weeks the season is planned to run for.
+   */
+  this.weeks = Season.DEFAULT_WEEKS
+  /**
+   * Date each week's game is scheduled to be played on, if scheduled.
+   */
+  this.schedule = []
+  /**
+   * Final standings, winner first, taken when the season was completed - null
+   * if it hasn't been completed.
+   */
+  this.finalStandings = null
+  /**
+   * true if the season has been put away - archived seasons keep their
+   * history, but are listed separately and never treated as the current
+   * season.
+   */
+  this.archived = false
+}
+
+Season.DEFAULT_WEEKS = 12
+
+Season.OPEN = 'open'
+Season.IN_PROGRESS = 'in progress'
+Season.COMPLETED = 'completed'
+
+/**
+ * Creates a schedule of weekly dates.
+ */
+Season.createSchedule = function(firstDate, weeks) {
+  var schedule = []
+  for (var i = 0; i < weeks; i++) {
+    schedule.push(new Date(firstDate.getFullYear(), firstDate.getMonth(),
+                           firstDate.getDate() + i * 7))
+  }
+  return schedule
+}
+
+/**
+ * Gets the season currently being played from the given seasons - the in
+ * progress season with the most recent game, otherwise the most recently
+ * created open season, otherwise the most recently completed season. Archived
+ * seasons are ignored.
+ */
+Season.getCurrent = function(seasons) {
+  seasons = seasons.filter(function(season) { return !season.archived })
+  function byState(state) {
+    return seasons.filter(function(season) { return season.getState() == state })
+  }
+  function latestPlayed(seasons) {
+    return seasons.reduce(function(latest, season) {
+      return (latest === null || season.lastGame().date >= latest.lastGame().date
+              ? season : latest)
+    }, null)
+  }
+  var inProgress = byState(Season.IN_PROGRESS)
+  if (inProgress.length) return latestPlayed(inProgress)
+  var open = byState(Season.OPEN)
+  if (open.length) return open[open.length - 1]
+  return latestPlayed(byState(Season.COMPLETED))
+}
+
+/**
+ * Gets the games from all of the given seasons.
+ */
+Season.getAllGames = function(seasons) {
+  return seasons.reduce(function(games, season) {
+    return games.concat(season.games)
+  }, [])
+}
+
+Season.prototype.getUrl = function() {
+  return '/seasons/' + this.id
+}
+
+Season.prototype.toObject = function() {
+  var obj = {
+    name: this.name
+  , rules: this.rules.toObject()
+  , stakes: this.stakes.toObject()
+  , structure: (this.structure !== null ? this.structure.id : null)
+  , weeks: this.weeks
+  , schedule: this.schedule.map(function(date) {
+      return isomorph.time.strftime(date, STORAGE_DATE_FORMAT)
+    })
+  , games: this.games.map(function(g) { return g.toObject() })
+  , nextGameId: this.nextGameId
+  }
+  if (this.finalStandings !== null) {
+    obj.finalStandings = this.finalStandings.map(function(standing) {
+      return {
+        player: standing.player.id
+      , ranking: standing.ranking
+      , points: standing.points
+      , gamesPlayed: standing.gamesPlayed
+      , wins: standing.wins
+      }
+    })
+  }
+  if (this.archived) {
+    obj.archived = true
+  }
+  return obj
+}
+
+/**
+ * Creates a Season from its plain data representation - related storage must
+ * include Player storage for its games' players and may include Structure
+ * storage.
+ */
+Season.fromObject = function(obj, id, related) {
+  var season = new Season(obj.name, ScoringRules.fromObject(obj.rules),
+                          Stakes.fromObject(obj.stakes))
+  season.id = id
+  // Seasons in a league are ranked with the league's tie-breakers
+  if (related.getTieBreakers) {
+    season.rules.tieBreakers = related.getTieBreakers().slice(0)
+  }
+  if (obj.structure != null && related.structures) {
+    season.structure = related.structures.get(obj.structure) || null
+  }
+  if (typeof obj.weeks != 'undefined') {
+    season.weeks = obj.weeks
+  }
+  season.schedule = (obj.schedule || []).map(function(date) {
+    return isomorph.time.strpdate(date, STORAGE_DATE_FORMAT)
+  })
+  // Games exported before they had ids are given ids in the order they were
+  // played.
+  obj.games.forEach(function(gameObj) {
+    season.addGame(Game.fromObject(gameObj, related))
+  })
+  if (typeof obj.nextGameId == 'number') {
+    season.nextGameId = Math.max(season.nextGameId, obj.nextGameId)
+  }
+  if (obj.finalStandings) {
+    season.finalStandings = obj.finalStandings.map(function(standing) {
+      return {
+        player: related.players.get(standing.player)
+      , ranking: standing.ranking
+      , points: standing.points
+      , gamesPlayed: standing.gamesPlayed
+      , wins: standing.wins
+      }
+    })
+  }
+  season.archived = !!obj.archived
+  return season
+}
+
+/**
+ * Gets counts of what's been recorded in this season - the number of games,
+ * knockouts and players who've played in it.
+ */
+Season.prototype.getTotals = function() {
+  return {
+    games: this.games.length
+  , knockouts: this.games.reduce(function(count, game) {
+      return count + game.knockouts.length
+    }, 0)
+  , players: this.scores.length
+  }
+}
+
+Season.prototype.getState = function() {
+  if (this.finalStandings !== null) return Season.COMPLETED
+  return (this.games.length ? Season.IN_PROGRESS : Season.OPEN)
+}
+
+Season.prototype.isCompleted = function() {
+  return this.finalStandings !== null
+}
+
+/**
+ * The player crowned champion when the season was completed, or null.
+ */
+Season.prototype.getChampion = function() {
+  return (this.finalStandings !== null ? this.finalStandings[0].player : null)
+}
+
+/**
+ * Gets the planned week which will be played next, or null if all planned
+ * weeks have been played.
+ */
+Season.prototype.getNextWeek = function() {
+  return (this.games.length < this.weeks ? this.games.length + 1 : null)
+}
+
+/**
+ * Gets [week number, scheduled date or null, game or null] for each planned
+ * week, plus any extra games played beyond the planned number of weeks.
+ */
+Season.prototype.getWeeks = function() {
+  var weeks = []
+  for (var i = 0, l = Math.max(this.weeks, this.games.length); i < l; i++) {
+    weeks.push([i + 1, this.schedule[i] || null, this.games[i] || null])
+  }
+  return weeks
+}
+
+/**
+ * Plans the number of weeks the season runs for, scheduling them weekly from
+ * the given date if one is given.
+ */
+Season.prototype.setSchedule = function(weeks, firstDate) {
+  this.checkNotCompleted('its schedule')
+  this.weeks = weeks
+  this.schedule = (firstDate ? Season.createSchedule(firstDate, weeks) : [])
+}
+
+/**
+ * Completes the season, taking a snapshot of its final standings and crowning
+ * the top-ranked player champion.
+ */
+Season.prototype.complete = function() {
+  if (!this.games.length) {
+    throw new Error("A season can't be completed before any games have been played.")
+  }
+  this.finalStandings = this.scores.map(function(score) {
+    return {
+      player: score.player
+    , ranking: score.ranking
+    , points: score.getOverallScore()
+    , gamesPlayed: score.getGamesPlayed()
+    , wins: score.wins
+    }
+  })
+}
+
+/**
+ * Checks whether a season can be completed, returning an error message if it
+ * can't, or null. A season with a live game in progress can't be completed, as
+ * the live game's result couldn't be added to it.
+ */
+Season.checkComplete = function(season, liveGames) {
+  if (LiveGame.getForSeason(liveGames, season) !== null) {
+    return 'Finish or abandon the live game in ' + season.name + ' before completing it.'
+  }
+  return null
+}
+
+/**
+ * Reopens a completed season, discarding its final standings.
+ */
+Season.prototype.reopen = function() {
+  this.finalStandings = null
+}
+
+/**
+ * Determines if the given part of the season - its games by default - can be
+ * changed, returning an error message if it can't, otherwise null.
+ */
+Season.prototype.checkChange = function(part) {
+  if (this.isCompleted()) {
+    return this.name + ' has been completed, so ' + (part || 'its games') +
+           " can't be changed."
+  }
+  return null
+}
+
+/**
+ * Throws an Error if the given part of the season - its games by default -
+ * can't be changed because the season has been completed.
+ */
+Season.prototype.checkNotCompleted = function(part) {
+  var errorMessage = this.checkChange(part)
+  if (errorMessage !== null) {
+    throw new Error(errorMessage)
+  }
+}
+
+/**
+ * Sets the stakes games are played for unless they have their own.
+ */
+Season.prototype.setStakes = function(stakes) {
+  this.checkNotCompleted('its stakes')
+  this.stakes = stakes
+}
+
+/**
+ * Sets the tie-breakers used to rank players, re-ranking them after every
+ * game.
+ */
+Season.prototype.setTieBreakers = function(tieBreakers) {
+  this.checkNotCompleted('its tie-breakers')
+  this.rules.tieBreakers = tieBreakers
+  this.recalculateScores(0)
+}
+
+/**
+ * Adds a game, calculates its scores and ranks players after it.
+ */
+Season.prototype.addGame = function(game) {
+  this.checkNotCompleted()
+  // If this is not the first game, let it know about the previous game
+  if (this.games.length) {
+    game.setPreviousGameInfo(this.games[this.games.length - 1])
+  }
+  if (game.id === null) {
+    game.id = this.nextGameId
+  }
+  this.nextGameId = Math.max(this.nextGameId, game.id + 1)
+  // Let the game know which index it's going to live at
+  game.index = this.games.length
+  // Link back to this season
+  game.season = this
+  this.games.push(game)
+  game.calculateScores(this.scores)
+  this.sortScores()
+}
+
+/**
+ * Updates a game's details - any of date, results, knockouts, stakes and
+ * structure - and recalculates scores from it onward.
+ */
+Season.prototype.updateGame = function(game, details) {
+  this.checkNotCompleted()
+  if (typeof details.date != 'undefined') {
+    var errorMessage = this.checkGameDate(game, details.date)
+    if (errorMessage !== null) {
+      throw new Error(errorMessage)
+    }
+  }
+  ;['date', 'results', 'knockouts', 'stakes', 'structure'].forEach(function(name) {
+    if (typeof details[name] != 'undefined') {
+      game[name] = details[name]
+    }
+  })
+  this.recalculateScores(game.index)
+}
+
+/**
+ * Determines if a game's date can be changed to the given date - or if a new
+ * game can be added with it, when no game is given - returning an error message
+ * if it can't, otherwise null. Games are scored in the order they were played,
+ * so a date can't be before the previous game's or after the next game's.
+ */
+Season.prototype.checkGameDate = function(game, date) {
+  if (game === null) {
+    var last = this.lastGame()
+    if (last !== null && date < last.date) {
+      return "The date can't be before the Season's last game, on " +
+             isomorph.time.strftime(last.date, INPUT_DATE_FORMAT) + '.'
+    }
+    return null
+  }
+  if (date.getTime() == game.date.getTime()) {
+    return null
+  }
+  var previous = this.games[game.index - 1]
+    , next = this.games[game.index + 1]
+  if (previous && date < previous.date) {
+    return "The date can't be before the previous game, on " +
+           isomorph.time.strftime(previous.date, INPUT_DATE_FORMAT) + '.'
+  }
+  if (next && date > next.date) {
+    return "The date can't be after the next game, on " +
+           isomorph.time.strftime(next.date, INPUT_DATE_FORMAT) + '.'
+  }
+  return null
+}
+
+/**
+ * Removes a game and recalculates scores for the games after it.
+ */
+Season.prototype.removeGame = function(game) {
+  this.checkNotCompleted()
+  var index = game.index
+  this.games.splice(index, 1)
+  game.season = null
+  game.index = null
+  this.recalculateScores(index)
+}
+
+/**
+ * Replaces a player with another in all of this season's games and
+ * recalculates its scores, returning true if the player had played in it. As
+ * this corrects the season's records rather than changing its games, it's
+ * allowed for completed seasons, whose final standings are taken again.
+ */
+Season.prototype.replacePlayer = function(from, into) {
+  var replaced = this.games.map(function(game) {
+    return game.replacePlayer(from, into)
+  })
+  if (replaced.indexOf(true) == -1) {
+    return false
+  }
+  this.recalculateScores(0)
+  if (this.isCompleted()) {
+    this.complete()
+  }
+  return true
+}
+
+/**
+ * Discards scoring for games from the given index onward and calculates it
+ * again, as each game's bounty players and fish-chipper depend on the game
+ * before it.
+ */
+Season.prototype.recalculateScores = function(fromIndex) {
+  var games = this.games
+  this.scores = this.scores.filter(function(score) {
+    score.truncate(fromIndex, games)
+    return score.getGamesPlayed() > 0
+  })
+  for (var i = fromIndex, l = games.length; i < l; i++) {
+    var game = games[i]
+    game.index = i
+    game.bountyPlayers = null
+    game.fishChipper = null
+    if (i > 0) {
+      game.setPreviousGameInfo(games[i - 1])
+    }
+    game.calculateScores(this.scores)
+    this.sortScores(i)
+  }
+  // Rankings will have changed if games were removed from the end
+  if (fromIndex >= games.length) {
+    this.sortScores()
+  }
+}
+
+/**
+ * Gets the game with the given id, or null if there isn't one.
+ */
+Season.prototype.getGame = function(id) {
+  for (var i = 0, l = this.games.length; i < l; i++) {
+    if (this.games[i].id === id) {
+      return this.games[i]
+    }
+  }
+  return null
+}
+
+/**
+ * Gets the Score for the given player, or null if they haven't played in this
+ * season.
+ */
+Season.prototype.getScore = function(player) {
+  for (var i = 0, l = this.scores.length; i < l; i++) {
+    if (this.scores[i].player === player) {
+      return this.scores[i]
+    }
+  }
+  return null
+}
+
+/**
+ * Gets results for each game the given player played in this season.
+ */
+Season.prototype.getPlayerResults = function(player) {
+  return this.games.map(function(game) { return game.getPlayerResult(player) })
+                   .filter(function(result) { return result !== null })
+}
+
+Season.prototype.lastGame = function() {
+  return this.games.length ? this.games[this.games.length - 1] : null
+}
+
+/**
+ * Sorts scores based on overall score and tie-breakers and updates their
+ * rankings, recording them as the rankings after the game at the given index -
+ * the latest game by default. Players who can't be separated by any of the
+ * tie-breakers share the same rank, suffixed with '='.
+ */
+Season.prototype.sortScores = function(index) {
+  var scores = this.scores.sort(function(a, b) {
+    return a.compareTo(b)
+  })
+
+  // Group scores which can't be separated, noting what separated each group
+  var groups = []
+  scores.forEach(function(score, i) {
+    var separation = (i > 0 ? score.getSeparation(scores[i - 1]) : null)
+    if (separation !== null && separation.result === 0) {
+      groups[groups.length - 1].push(score)
+      score.separatedBy = null
+    }
+    else {
+      groups.push([score])
+      score.separatedBy = (separation !== null ? separation.tieBreaker : null)
+    }
+  })
+
+  // Update rankings
+  var rank = 1
+  groups.forEach(function(group) {
+    var assignedRank = rank + (group.length > 1 ? '=' : '')
+    group.forEach(function(score) {
+      score.ranking = assignedRank
+    })
+    rank += group.length
+  })
+
+  if (typeof index == 'undefined') {
+    index = this.games.length - 1
+  }
+  if (index < 0) {
+    return
+  }
+  this.scores.forEach(function(score) {
+    score.rankings[index] = score.ranking
+  })
+}
+
+/**
+ * Gets {player, rankings} for each player, in league table order, with their
+ * ranking after each game in the season - null for games before their first.
+ */
+Season.prototype.getRankingHistory = function() {
+  var games = this.games
+  return this.scores.map(function(score) {
+    return {
+      player: score.player
+    , rankings: games.map(function(game) {
+        return score.rankings[game.index] || null
+      })
+    }
+  })
+}
+
+// -------------------------------------------------------------------- Game ---
+
+function Game(date, results, knockouts, stakes) {
+  /**
+   * Id of this game within its season, set when it's added to the season
+   * unless it already has one.
+   */
+  this.id = null
+  /**
+   * The season this game belongs to.
+   */
+  this.season = null
+  /**
+   * Index of this game in its Season's games.
+   */
+  this.index = null
+  /**
+   * Date the game was played on.
+   */
+  this.date = date
+  /**
+   * Players in the order they finished in, winner first.
+   */
+  this.results = results
+  /**
+   * Record who knocked out who, [perp, victim], for distribution of bonus
+   * points.
+   */
+  this.knockouts = knockouts || []
+  /**
+   * Money played for in this game, if different to its season's.
+   */
+  this.stakes = stakes || null
+  /**
+   * Tournament structure used for this game, if different to its season's.
+   */
+  this.structure = null
+  /**
+   * Top 3 players from last game who are playing this game.
+   */
+  this.bountyPlayers = null
+  /**
+   * Lowest-placed player from last game who is playing this game.
+   */
+  this.fishChipper = null
+  /**
+   * The story of the game, as told by scoring log messages.
+   */
+  this.story = []
+}
+
+Game.prototype.toObject = function() {
+  var obj = {
+    id: this.id
+  , date: isomorph.time.strftime(this.date, STORAGE_DATE_FORMAT)
+  , results: this.results.map(function(p) { return p.id })
+  , knockouts: this.knockouts.map(function(ko) { return [ko[0].id, ko[1].id] })
+  }
+  if (this.stakes !== null) {
+    obj.stakes = this.stakes.toObject()
+  }
+  if (this.structure !== null) {
+    obj.structure = this.structure.id
+  }
+  return obj
+}
+
+/**
+ * Creates a Game from its plain data representation, looking up the players
+ * and structure it refers to in related Player and Structure storage.
+ */
+Game.fromObject = function(obj, related) {
+  var players = related.players
+    , game = new Game(
+        isomorph.time.strpdate(obj.date, STORAGE_DATE_FORMAT)
+      , obj.results.map(function(id) { return players.get(id) })
+      , obj.knockouts.map(function(ko) {
+          return [players.get(ko[0]), players.get(ko[1])]
+        })
+      , obj.stakes ? Stakes.fromObject(obj.stakes) : null
+      )
+  if (typeof obj.id == 'number') {
+    game.id = obj.id
+  }
+  if (obj.structure != null && related.structures) {
+    game.structure = related.structures.get(obj.structure) || null
+  }
+  return game
+}
+
+/**
+ * Gets the tournament structure this game was played with, or null if it
+ * wasn't recorded.
+ */
+Game.prototype.getStructure = function() {
+  if (this.structure !== null) return this.structure
+  return (this.season !== null ? this.season.structure : null)
+}
+
+/**
+ * Checks that a knockout is valid for a game's results (if available) and the
+ * players who have already been knocked out, in the order knockouts happened.
+ * Returns an error message if the knockout is invalid, otherwise null.
+ */
+Game.checkKnockout = function(perp, victim, results, victims) {
+  if (perp === victim) {
+    return 'A player cannot knock themselves out.'
+  }
+  // Validate that players were actually playing in this game
+  if (results && results.indexOf(perp) == -1) {
+    return perp + " didn't play in this game (no position entered)."
+  }
+  if (results && results.indexOf(victim) == -1) {
+    return victim + " didn't play in this game (no position entered)."
+  }
+  if (results && results.indexOf(victim) == 0) {
+    return "You can't knock the winner out."
+  }
+  // Validate that players haven't already been knocked out
+  if (victims.indexOf(perp) != -1) {
+    return perp + ' has already been knocked out.'
+  }
+  if (victims.indexOf(victim) != -1) {
+    return victim + ' has already been knocked out.'
+  }
+  return null
+}
+
+/**
+ * Derives a game's results and knockouts from an ordered log of eliminations,
+ * each a [perp, victim] pair - the first player knocked out finishes last and
+ * the last player standing wins. Returns the game, or null and a list of
+ * {index, message} errors, where index is the index of the invalid elimination
+ * or null if the log as a whole is invalid.
+ */
+Game.fromKnockoutLog = function(date, eliminations) {
+  var errors = []
+    , players = []
+    , victims = []
+  eliminations.forEach(function(ko, i) {
+    var message = Game.checkKnockout(ko[0], ko[1], null, victims)
+    if (message !== null) {
+      return errors.push({index: i, message: message})
+    }
+    ko.forEach(function(player) {
+      if (players.indexOf(player) == -1) players.push(player)
+    })
+    victims.push(ko[1])
+  })
+  if (!eliminations.length) {
+    errors.push({index: null, message: 'Enter the players who were knocked out, in the order they went out.'})
+  }
+  if (errors.length) {
+    return {game: null, errors: errors}
+  }
+
+  var remaining = players.filter(function(player) {
+    return victims.indexOf(player) == -1
+  })
+  if (remaining.length > 1) {
+    return {game: null, errors: [{index: null, message:
+      remaining.join(', ') + " haven't been knocked out - enter eliminations " +
+      'until only the winner is left standing.'
+    }]}
+  }
+  return {
+    game: new Game(date, remaining.concat(victims.reverse()), eliminations.slice(0))
+  , errors: []
+  }
+}
+
+/**
+ * Sets up information based on the previous game played, for bonus calculation.
+ */
+Game.prototype.setPreviousGameInfo = function(previousGame) {
+  // Determine who has a bounty on their head
+  this.bountyPlayers = []
+  for (var i = 0, l = previousGame.results.length;
+       i < l && this.bountyPlayers.length < 3;
+       i++) {
+    var player = previousGame.results[i]
+    if (this.results.indexOf(player) != -1) {
+      this.bountyPlayers.push(player)
+    }
+  }
+
+  // Determine who has the fish-chip
+  for (var i = previousGame.results.length - 1; i >= 0; i--) {
+    var player = previousGame.results[i]
+    if (this.results.indexOf(player) != -1) {
+      this.fishChipper = player
+      break
+    }
+  }
+}
+
+/**
+ * Default distribution of points based on finishing position, winner first.
+ */
+Game.DEFAULT_POINTS = [15, 13, 11, 9, 7, 5, 4, 3, 2, 1]
+
+/**
+ * Default bonus points awarded for having the fish-chip and being in the money.
+ */
+Game.FISH_CHIP_BONUS = 1
+
+/**
+ * Default bonus points awarded for knocking out a top 3 player from the
+ * previous game.
+ */
+Game.BOUNTY_BONUS = 1
+
+/**
+ * Gets the scoring rules for the season this game belongs to.
+ */
+Game.prototype.getRules = function() {
+  return (this.season !== null ? this.season.rules : new ScoringRules())
+}
+
+Game.prototype.getGameNumber = function() {
+  return this.index + 1
+}
+
+Game.prototype.getUrl = function() {
+  return this.season.getUrl() + '/games/' + this.id
+}
+
+Game.prototype.getWinner = function() {
+  return this.results[0]
+}
+
+Game.prototype.hasPlayer = function(player) {
+  return this.results.indexOf(player) != -1
+}
+
+/**
+ * Replaces every reference to a player in this game's results and knockouts
+ * with another player, returning true if the game included the player.
+ */
+Game.prototype.replacePlayer = function(from, into) {
+  function replace(player) {
+    return (player === from ? into : player)
+  }
+  if (!this.hasPlayer(from)) {
+    return false
+  }
+  this.results = this.results.map(replace)
+  this.knockouts = this.knockouts.map(function(ko) {
+    return [replace(ko[0]), replace(ko[1])]
+  })
+  return true
+}
+
+/**
+ * Gets details of how the given player got on in this game, or null if they
+ * didn't play in it.
+ */
+Game.prototype.getPlayerResult = function(player) {
+  var position = this.results.indexOf(player)
+  if (position == -1) {
+    return null
+  }
+  var score = this.season.getScore(player)
+    , points = score.scores[this.index]
+    , bountyPoints = score.bountyPoints[this.index]
+    , fishChipPoints = score.fishChipPoints[this.index]
+    , knockedOutBy = null
+  for (var i = 0, l = this.knockouts.length; i < l; i++) {
+    if (this.knockouts[i][1] === player) {
+      knockedOutBy = this.knockouts[i][0]
+      break
+    }
+  }
+  return {
+    game: this
+  , position: position + 1
+  , points: points
+  , placePoints: points - bountyPoints - fishChipPoints
+  , bountyPoints: bountyPoints
+  , fishChipPoints: fishChipPoints
+  , knockedOut: this.knockouts.filter(function(ko) { return ko[0] === player })
+                              .map(function(ko) { return ko[1] })
+  , knockedOutBy: knockedOutBy
+  }
+}
+
+Game.prototype.getPaidPlayers = function() {
+  // Determine how many players should get paid - at least the winner, so the
+  // whole pot is paid out in small games
+  var playerCount = this.results.length
+  var paid = Math.max(1, (playerCount - (playerCount % 3)) / 3)
+  return this.results.slice(0, paid)
+}
+
+/**
+ * Gets the money played for in this game.
+ */
+Game.prototype.getStakes = function() {
+  if (this.stakes !== null) return this.stakes
+  return (this.season !== null ? this.season.stakes : new Stakes())
+}
+
+Game.prototype.getPot = function() {
+  return this.getStakes().buyIn * this.results.length
+}
+
+/**
+ * Gets [player, amount] for each player who won money in this game.
+ */
+Game.prototype.getPayouts = function() {
+  var paidPlayers = this.getPaidPlayers()
+    , amounts = this.getStakes().getPayouts(this.results.length, paidPlayers.length)
+  return amounts.map(function(amount, i) {
+    return [paidPlayers[i], amount]
+  })
+}
+
+/**
+ * Gets the amount the given player won in this game.
+ */
+Game.prototype.getWinnings = function(player) {
+  var payouts = this.getPayouts()
+  for (var i = 0, l = payouts.length; i < l; i++) {
+    if (payouts[i][0] === player) {
+      return payouts[i][1]
+    }
+  }
+  return 0
+}
+
+Game.prototype.calculateScores = function(scores) {
+  this.story = []
+
+  var rules = this.getRules()
+    , points = rules.getPoints(this.results.length)
+
+  if (this.bountyPlayers !== null) {
+    this.log('Bounties issued for: ' + this.bountyPlayers.join(', ') + '.')
+  }
+  if (this.fishChipper !== null) {
+    this.log(this.fishChipper.name + ' has the fish-chip.')
+  }
+
+  for (var i = 0, l = this.results.length; i < l; i++) {
+    var player = this.results[i]
+      , score = Score.getOrCreate(player, scores, rules)
+      , placeScore = points[i]
+      , fishChipBonus = this.calculateFishChipBonus(player)
+      , bountyBonus = this.calculateBountyBonus(player)
+    if (i == 0) {
+      score.win()
+      if (this.bountyPlayers !== null && this.bountyPlayers.indexOf(player) != -1) {
+        this.log(player + ' escaped with his own bounty!')
+        bountyBonus += rules.bountyBonus
+      }
+    }
+    score.setScore(this, placeScore + fishChipBonus + bountyBonus)
+    score.setFishChipPoints(this, fishChipBonus)
+    score.setBountyPoints(this, bountyBonus)
+  }
+
+  for (var i = 0, l = this.knockouts.length; i < l; i++) {
+    var ko = this.knockouts[i]
+    this.log(ko[0].name + ' knocked out ' + ko[1].name)
+  }
+
+  this.log(this.getWinner() + ' wins!')
+  this.log('In the money: ' + this.getPaidPlayers().join(', '))
+}
+
+/**
+ * Calculates bonus points based on the given player ending up in the money
+ * after losing the previous game.
+ */
+Game.prototype.calculateFishChipBonus = function(player) {
+  var fishChipBonus = 0
+  if (player === this.fishChipper) {
+    var paidPlayers = this.getPaidPlayers()
+    if (paidPlayers.indexOf(player) != -1) {
+      this.log(player + ' gets a bonus point for cashing in with the fish-chip!')
+      fishChipBonus += this.getRules().fishChipBonus
+    }
+  }
+  return fishChipBonus
+}
+
+/**
+ * Calculates bonus points based on the given player having knocked out a
+ * bounty player.
+ */
+Game.prototype.calculateBountyBonus = function(player) {
+  var bountyBonus = 0
+  if (this.bountyPlayers !== null) {
+    for (var i = 0, l = this.knockouts.length; i < l; i++) {
+      var knockout = this.knockouts[i]
+      if (knockout[0] === player && this.bountyPlayers.indexOf(knockout[1]) != -1) {
+        this.log(player + ' cashes in the bounty on ' + knockout[1] + '!')
+        bountyBonus += this.getRules().bountyBonus
+      }
+    }
+  }
+  return bountyBonus
+}
+
+Game.prototype.log = function(message) {
+  this.story.push(message)
+}
+
+// ---------------------------------------------------------------- LiveGame ---
+
+/**
+ * A game being played right now - the players who are present, the knockouts
+ * recorded so far, in order, and a clock for its blind levels.
+ */
+function LiveGame(season, players, levels, structure) {
+  /**
+   * Unique id, set by storage.
+   */
+  this.id = null
+  /**
+   * The season the game will be added to when it's finished.
+   */
+  this.season = season
+  /**
+   * Players who are present.
+   */
+  this.players = players
+  /**
+   * [perp, victim] for each knockout so far, in the order they happened.
+   */
+  this.knockouts = []
+  /**
+   * Tournament structure the game is being played with, if any.
+   */
+  this.structure = structure || null
+  /**
+   * Levels, as in a Structure - the last level lasts until the game is
+   * finished.
+   */
+  this.levels = levels || (this.structure !== null
+                           ? Structure.fromObject(this.structure.toObject()).levels
+                           : LiveGame.DEFAULT_LEVELS.map(function(level) {
+    return {smallBlind: level[0], bigBlind: level[1], ante: 0, minutes: level[2]}
+  }))
+  /**
+   * Milliseconds the clock ran for before it was last started.
+   */
+  this.elapsed = 0
+  /**
+   * Time the clock was last started at, in milliseconds - null if paused.
+   */
+  this.startedAt = null
+}
+
+/**
+ * Default blind levels as [small blind, big blind, minutes].
+ */
+LiveGame.DEFAULT_LEVELS = [
+  [10, 20, 20], [15, 30, 20], [25, 50, 20], [50, 100, 20], [75, 150, 20]
+, [100, 200, 20], [150, 300, 20], [200, 400, 20], [300, 600, 20], [400, 800, 20]
+]
+
+LiveGame.prototype.getUrl = function() {
+  return this.season.getUrl() + '/live'
+}
+
+LiveGame.prototype.toObject = function() {
+  return {
+    season: this.season.id
+  , players: this.players.map(function(p) { return p.id })
+  , knockouts: this.knockouts.map(function(ko) { return [ko[0].id, ko[1].id] })
+  , structure: (this.structure !== null ? this.structure.id : null)
+  , levels: new Structure(null, 0, this.levels).toObject().levels
+  , elapsed: this.elapsed
+  , startedAt: this.startedAt
+  }
+}
+
+/**
+ * Creates a LiveGame from its plain data representation - related storage must
+ * include Player, Season and Structure storage.
+ */
+LiveGame.fromObject = function(obj, id, related) {
+  var liveGame = new LiveGame(
+    related.seasons.get(obj.season)
+  , obj.players.map(function(id) { return related.players.get(id) })
+  , obj.levels
+  , obj.structure != null ? related.structures.get(obj.structure) : null
+  )
+  liveGame.id = id
+  liveGame.knockouts = obj.knockouts.map(function(ko) {
+    return [related.players.get(ko[0]), related.players.get(ko[1])]
+  })
+  liveGame.elapsed = obj.elapsed
+  liveGame.startedAt = obj.startedAt
+  return liveGame
+}
+
+/**
+ * Gets the live game being played for a season from the given live games, or
+ * null if there isn't one.
+ */
+LiveGame.getForSeason = function(liveGames, season) {
+  for (var i = 0, l = liveGames.length; i < l; i++) {
+    if (liveGames[i].season === season) {
+      return liveGames[i]
+    }
+  }
+  return null
+}
+
+/**
+ * Replaces a player with another in this game's players and knockouts,
+ * returning true if the player was in it.
+ */
+LiveGame.prototype.replacePlayer = function(from, into) {
+  function replace(player) {
+    return (player === from ? into : player)
+  }
+  if (this.players.indexOf(from) == -1) {
+    return false
+  }
+  this.players = this.players.map(replace)
+  this.knockouts = this.knockouts.map(function(ko) {
+    return [replace(ko[0]), replace(ko[1])]
+  })
+  return true
+}
+
+/**
+ * Gets the players who haven't been knocked out yet.
+ */
+LiveGame.prototype.getRemainingPlayers = function() {
+  var victims = this.knockouts.map(function(ko) { return ko[1] })
+  return this.players.filter(function(player) {
+    return victims.indexOf(player) == -1
+  })
+}
+
+/**
+ * Records a knockout, returning an error message if it's invalid, otherwise
+ * null.
+ */
+LiveGame.prototype.knockout = function(perp, victim) {
+  if (this.season.isCompleted()) {
+    return this.season.name + " has been completed, so games can't be added to it."
+  }
+  var remaining = this.getRemainingPlayers()
+  if (remaining.length < 2) {
+    return 'The game is over.'
+  }
+  if (this.players.indexOf(perp) == -1 || this.players.indexOf(victim) == -1) {
+    return 'Both players must be playing in this game.'
+  }
+  var errorMessage = Game.checkKnockout(perp, victim, null,
+                                        this.knockouts.map(function(ko) { return ko[1] }))
+  if (errorMessage === null) {
+    this.knockouts.push([perp, victim])
+  }
+  return errorMessage
+}
+
+LiveGame.prototype.undoKnockout = function() {
+  this.knockouts.pop()
+}
+
+/**
+ * The game is over when only the winner is left standing.
+ */
+LiveGame.prototype.isFinished = function() {
+  return this.players.length > 1 && this.getRemainingPlayers().length == 1
+}
+
+/**
+ * Creates the finished game from the knockouts which were recorded.
+ */
+LiveGame.prototype.toGame = function(date) {
+  var game = Game.fromKnockoutLog(date, this.knockouts).game
+  if (this.structure !== this.season.structure) {
+    game.structure = this.structure
+  }
+  return game
+}
+
+/**
+ * Gets the players present who have a bounty on their head and the player who
+ * has the fish-chip, based on the season's last game.
+ */
+LiveGame.prototype.getPreviousGameInfo = function() {
+  var lastGame = this.season.lastGame()
+    , game = new Game(null, this.players)
+  if (lastGame !== null) {
+    game.setPreviousGameInfo(lastGame)
+  }
+  return {bountyPlayers: game.bountyPlayers || [], fishChipper: game.fishChipper}
+}
+
+LiveGame.prototype.isRunning = function() {
+  return this.startedAt !== null
+}
+
+/**
+ * Milliseconds the clock has been running for.
+ */
+LiveGame.prototype.getElapsed = function(now) {
+  return this.elapsed + (this.startedAt !== null ? (now || Date.now()) - this.startedAt : 0)
+}
+
+LiveGame.prototype.start = function(now) {
+  if (this.startedAt === null) {
+    this.startedAt = now || Date.now()
+  }
+}
+
+LiveGame.prototype.pause = function(now) {
+  this.elapsed = this.getElapsed(now)
+  this.startedAt = null
+}
+
+/**
+ * Milliseconds from the start of the clock to the start of the given level.
+ */
+LiveGame.prototype.getLevelStart = function(index) {
+  return this.levels.slice(0, index).reduce(function(ms, level) {
+    return ms + level.minutes * 60000
+  }, 0)
+}
+
+/**
+ * Gets the index of the current level.
+ */
+LiveGame.prototype.getLevelIndex = function(now) {
+  var elapsed = this.getElapsed(now)
+  for (var i = 0, l = this.levels.length - 1; i < l; i++) {
+    if (elapsed < this.getLevelStart(i + 1)) {
+      return i
+    }
+  }
+  return this.levels.length - 1
+}
+
+/**
+ * Gets milliseconds left in the current level - the last level never ends.
+ */
+LiveGame.prototype.getLevelRemaining = function(now) {
+  var index = this.getLevelIndex(now)
+  if (index == this.levels.length - 1) {
+    return null
+  }
+  return this.getLevelStart(index + 1) - this.getElapsed(now)
+}
+
+/**
+ * Moves the clock to the start of the given level.
+ */
+LiveGame.prototype.setLevel = function(index, now) {
+  index = Math.max(0, Math.min(index, this.levels.length - 1))
+  this.elapsed = this.getLevelStart(index)
+  if (this.startedAt !== null) {
+    this.startedAt = now || Date.now()
+  }
+}
+
+// ------------------------------------------------------------------ Ledger ---
+
+/**
+ * A player's money record across a sequence of games.
+ */
+function Ledger(player) {
+  /**
+   * The player this ledger is for.
+   */
+  this.player = player
+  /**
+   * [game, buy-in, winnings] for each game played for money.
+   */
+  this.entries = []
+}
+
+/**
+ * Creates ledgers for players who played for money in the given games, in
+ * order of net profit, highest first.
+ */
+Ledger.forGames = function(games) {
+  var ledgers = []
+  games.forEach(function(game) {
+    if (!game.getStakes().buyIn) return
+    game.results.forEach(function(player) {
+      var ledger = null
+      for (var i = 0, l = ledgers.length; i < l; i++) {
+        if (ledgers[i].player === player) {
+          ledger = ledgers[i]
+          break
+        }
+      }
+      if (ledger === null) {
+        ledger = new Ledger(player)
+        ledgers.push(ledger)
+      }
+      ledger.addGame(game)
+    })
+  })
+  return ledgers.sort(function(a, b) {
+    return (b.getNetProfit() - a.getNetProfit()) ||
+           (a.player.name == b.player.name ? 0 : (a.player.name < b.player.name ? -1 : 1))
+  })
+}
+
+/**
+ * Records the given player's buy-in and winnings for a game.
+ */
+Ledger.prototype.addGame = function(game) {
+  this.entries.push([game, game.getStakes().buyIn, game.getWinnings(this.player)])
+}
+
+Ledger.prototype.getGamesPlayed = function() {
+  return this.entries.length
+}
+
+Ledger.prototype.getBuyIns = function() {
+  return this.entries.map(function(entry) { return entry[1] }).sum()
+}
+
+/**
+ * Number of games the player won money in.
+ */
+Ledger.prototype.getCashes = function() {
+  return this.entries.filter(function(entry) { return entry[2] > 0 }).length
+}
+
+Ledger.prototype.getWinnings = function() {
+  return this.entries.map(function(entry) { return entry[2] }).sum()
+}
+
+Ledger.prototype.getNetProfit = function() {
+  return this.getWinnings() - this.getBuyIns()
+}
+
+/**
+ * Return on investment - net profit as a percentage of buy-ins.
+ */
+Ledger.prototype.getROI = function() {
+  var buyIns = this.getBuyIns()
+  if (!buyIns) return '0.0'
+  return (this.getNetProfit() / buyIns * 100).toFixed(1)
+}
+
+/**
+ * Gets formatted totals for display.
+ */
+Ledger.prototype.getSummary = function() {
+  return {
+    player: this.player
+  , gamesPlayed: this.getGamesPlayed()
+  , cashes: this.getCashes()
+  , buyIns: formatMoney(this.getBuyIns())
+  , winnings: formatMoney(this.getWinnings())
+  , netProfit: formatMoney(this.getNetProfit())
+  , roi: this.getROI()
+  }
+}
+
+/**
+ * Gets formatted details of each game for display.
+ */
+Ledger.prototype.getRows = function() {
+  return this.entries.map(function(entry) {
+    return {
+      game: entry[0]
+    , buyIn: formatMoney(entry[1])
+    , winnings: formatMoney(entry[2])
+    , net: formatMoney(entry[2] - entry[1])
+    }
+  })
+}
+
+// ---------------------------------------------------------- KnockoutMatrix ---
+
+/**
+ * Tallies who knocked out who across a sequence of games.
+ */
+function KnockoutMatrix(games) {
+  /**
+   * Players who played in the games, sorted by name.
+   */
+  this.players = []
+  /**
+   * Knockout counts, by perp id then victim id.
+   */
+  this.counts = {}
+
+  games.forEach(function(game) {
+    game.results.forEach(function(player) {
+      if (this.players.indexOf(player) == -1) {
+        this.players.push(player)
+      }
+    }, this)
+    game.knockouts.forEach(function(ko) {
+      var victims = this.counts[ko[0].id] || (this.counts[ko[0].id] = {})
+      victims[ko[1].id] = (victims[ko[1].id] || 0) + 1
+    }, this)
+  }, this)
+
+  this.players.sort(function(a, b) {
+    return a.name == b.name ? 0 : (a.name < b.name ? -1 : 1)
+  })
+}
+
+/**
+ * Gets the number of times one player knocked out another.
+ */
+KnockoutMatrix.prototype.getCount = function(perp, victim) {
+  var victims = this.counts[perp.id]
+  return (victims && victims[victim.id]) || 0
+}
+
+/**
+ * Gets a row for each player, with a cell for each player they could have
+ * knocked out.
+ */
+KnockoutMatrix.prototype.getRows = function() {
+  return this.players.map(function(perp) {
+    var cells = this.players.map(function(victim) {
+      return {player: victim, count: this.getCount(perp, victim), self: perp === victim}
+    }, this)
+    return {
+      player: perp
+    , cells: cells
+    , total: cells.map(function(cell) { return cell.count }).sum()
+    }
+  }, this)
+}
+
+/**
+ * Gets the number of times each player was knocked out.
+ */
+KnockoutMatrix.prototype.getVictimTotals = function() {
+  return this.players.map(function(victim) {
+    return this.players.map(function(perp) {
+      return this.getCount(perp, victim)
+    }, this).sum()
+  }, this)
+}
+
+/**
+ * Finds the players with the highest count for the given player, using the
+ * given function to get counts - there can be more than one.
+ */
+KnockoutMatrix.prototype._getMost = function(getCount) {
+  var most = {players: [], count: 0}
+  this.players.forEach(function(other) {
+    var count = getCount.call(this, other)
+    if (count > 0 && count > most.count) {
+      most = {players: [other], count: count}
+    }
+    else if (count > 0 && count == most.count) {
+      most.players.push(other)
+    }
+  }, this)
+  return most
+}
+
+/**
+ * Gets the player(s) who knocked the given player out most often.
+ */
+KnockoutMatrix.prototype.getNemeses = function(player) {
+  return this._getMost(function(perp) { return this.getCount(perp, player) })
+}
+
+/**
+ * Gets the player(s) the given player knocked out most often.
+ */
+KnockoutMatrix.prototype.getFavouriteVictims = function(player) {
+  return this._getMost(function(victim) { return this.getCount(player, victim) })
+}
+
+/**
+ * Gets nemesis and favourite victim details for each player.
+ */
+KnockoutMatrix.prototype.getSummaries = function() {
+  return this.players.map(this.getSummary, this)
+}
+
+/**
+ * Gets nemesis and favourite victim details for the given player.
+ */
+KnockoutMatrix.prototype.getSummary = function(player) {
+  return {
+    player: player
+  , nemeses: this.getNemeses(player)
+  , favouriteVictims: this.getFavouriteVictims(player)
+  }
+}
+
+// ------------------------------------------------------------------ League ---
+
+/**
+ * A league, which has its own players, seasons and everything else - each
+ * league's data is stored under its own storage keys, except for the first
+ * league's, which uses the keys data was stored under before there were
+ * leagues. A league can share players with the first league instead of having
+ * its own.
+ */
+function League(name, sharePlayers) {
+  /**
+   * Unique id, set by storage.
+   */
+  this.id = null
+  /**
+   * The league's name.
+   */
+  this.name = name
+  /**
+   * true if the league uses the first league's players rather than its own.
+   */
+  this.sharePlayers = !!sharePlayers
+  /**
+   * Names of tie-breakers used in order to rank players with the same overall
+   * score in all of the league's seasons - see ScoringRules.TIE_BREAKERS.
+   */
+  this.tieBreakers = ScoringRules.DEFAULT_TIE_BREAKERS.slice(0)
+}
+
+League.prototype.toString = function() {
+  return this.name
+}
+
+League.prototype.toObject = function() {
+  var obj = {name: this.name}
+  if (this.sharePlayers) {
+    obj.sharePlayers = true
+  }
+  obj.tieBreakers = this.tieBreakers.slice(0)
+  return obj
+}
+
+League.fromObject = function(obj, id) {
+  var league = new League(obj.name, obj.sharePlayers)
+  league.id = id
+  // Leagues stored before they had tie-breakers use the defaults
+  if (obj.tieBreakers) {
+    league.tieBreakers = obj.tieBreakers
+  }
+  return league
+}
+
+/**
+ * Gets the labels of the league's tie-breakers, in order.
+ */
+League.prototype.getTieBreakerLabels = function() {
+  return new ScoringRules({tieBreakers: this.tieBreakers}).getTieBreakerLabels()
+}
+
+/**
+ * Creates a new season in the league, which ranks players with the league's
+ * tie-breakers.
+ */
+League.prototype.createSeason = function(name) {
+  return new Season(name, new ScoringRules({tieBreakers: this.tieBreakers.slice(0)}))
+}
+
+/**
+ * Sets the league's tie-breakers, re-ranking the players in the given seasons
+ * which haven't been completed - completed seasons keep their final standings.
+ */
+League.prototype.setTieBreakers = function(tieBreakers, seasons) {
+  this.tieBreakers = tieBreakers
+  seasons.forEach(function(season) {
+    if (!season.isCompleted()) {
+      season.setTieBreakers(tieBreakers.slice(0))
+    }
+  })
+}
+
+/**
+ * Determines if this is the first league, whose players can be shared.
+ */
+League.prototype.isFirst = function() {
+  return this.id === 0
+}
+
+/**
+ * Gets the key the league's data for one of STORAGE_NAMES is stored under.
+ */
+League.prototype.getStorageKey = function(name) {
+  if (this.isFirst() || (name == 'players' && this.sharePlayers)) {
+    return name
+  }
+  return 'league' + this.id + '.' + name
+}
+
+/**
+ * Determines if the league's players are used by other leagues too, given all
+ * of the leagues.
+ */
+League.prototype.isSharingPlayers = function(leagues) {
+  return this.sharePlayers || (this.isFirst() && leagues.some(function(league) {
+    return league.sharePlayers
+  }))
+}
+
+/**
+ * Gets the names of the data the league stores under keys of its own - shared
+ * players belong to the first league.
+ */
+League.prototype.getOwnStorageNames = function() {
+  return League.STORAGE_NAMES.filter(function(name) {
+    return !(name == 'players' && this.sharePlayers && !this.isFirst())
+  }, this)
+}
+
+/**
+ * Names of each kind of data stored for a league.
+ */
+League.STORAGE_NAMES = ['players', 'structures', 'seasons', 'liveGames', 'commands', 'audit']
+
+/**
+ * Entities stored for each league, by storage name.
+ */
+League.ENTITIES = {
+  players: Player
+, structures: Structure
+, seasons: Season
+, liveGames: LiveGame
+, commands: Command
+, audit: AuditEntry
+}
+
+/**
+ * Checks whether a league can be deleted, returning an error message if it
+ * can't, or null. The league being used can't be deleted, and neither can the
+ * first league while other leagues share its players.
+ */
+League.checkDelete = function(league, current, leagues) {
+  if (league === current) {
+    return 'Switch to another league before deleting ' + league.name + '.'
+  }
+  if (league.isFirst()) {
+    var sharing = leagues.filter(function(other) {
+      return other !== league && other.sharePlayers
+    })
+    if (sharing.length) {
+      return league.name + '\'s players are shared with ' +
+             sharing.map(String).join(', ') + ', so it can\'t be deleted.'
+    }
+  }
+  return null
+}
+
+/**
+ * Creates storage for the league's data with a storage backend, along with the
+ * undo history and audit log changes to it go through. Returns an object with
+ * Players, Structures, Seasons, LiveGames, Commands and Audit properties, plus
+ * all of them in the order they must be loaded in as a storages property.
+ * Leagues is storage for all of the leagues, used to tell when players are
+ * shared. Options are passed to the AuditLog - getDescription defaults to the
+ * description of the command being run.
+ */
+League.prototype.createStorage = function(Backend, Leagues, auditOptions) {
+  var league = this
+  function createStorage(name, options) {
+    return new Backend(League.ENTITIES[name], league.getStorageKey(name), options)
+  }
+  var Players = createStorage('players')
+    , Structures = createStorage('structures')
+    , Seasons = createStorage('seasons', {
+        related: {
+          players: Players
+        , structures: Structures
+          // The league may have been loaded again since its storage was created
+        , getTieBreakers: function() {
+            return (Leagues.get(league.id) || league).tieBreakers
+          }
+        }
+      })
+    , LiveGames = createStorage('liveGames', {
+        related: {players: Players, seasons: Seasons, structures: Structures}
+      })
+    , Commands = new CommandHistory([Players, Structures, Seasons, LiveGames],
+                                    createStorage('commands'), {
+        isShared: function(storage) {
+          return storage === Players && league.isSharingPlayers(Leagues.all())
+        }
+      })
+    , Audit = new AuditLog(Players, Seasons, createStorage('audit'), isomorph.object.extend({
+        getDescription: function() { return Commands.current }
+      }, auditOptions))
+  return {
+    Players: Players
+  , Structures: Structures
+  , Seasons: Seasons
+  , LiveGames: LiveGames
+  , Commands: Commands
+  , Audit: Audit
+    // Seasons need Players and Structures to be loaded to set up their games,
+    // and live games need all of them.
+  , storages: [Players, Structures, Seasons, LiveGames, Commands, Audit]
+  }
+}
+
+// ----------------------------------------------------------------- Storage ---
+
+/**
+ * Version of the schema stored data is written with - increment this and add
+ * a migration to STORAGE_MIGRATIONS whenever the way instances are stored
+ * changes.
+ */
+var SCHEMA_VERSION = 1
+
+/**
+ * Migrations which upgrade stored data in order, where the migration at index
+ * N upgrades data from schema version N to version N + 1. Each migration's
+ * migrate() is given the data stored for a storage key and the entity it
+ * holds, and returns the upgraded data - from version 1 onward, stored data
+ * is {nextId, instances}, where each instance's plain data has an id property.
+ */
+var STORAGE_MIGRATIONS = [
+  { description: 'give instances ids of their own'
+  , migrate: function(data, entity) {
+      // Instances were identified by their index in a list
+      var instances = data.map(function(obj, i) {
+        obj.id = i
+        return obj
+      })
+      // Games get ids within their season, starting from their game number
+      if (entity === Season) {
+        instances.forEach(function(season) {
+          season.games.forEach(function(game, i) {
+            game.id = i + 1
+          })
+          season.nextGameId = season.games.length + 1
+        })
+      }
+      return {nextId: instances.length, instances: instances}
+    }
+  }
+]
+
+/**
+ * Base storage for instances of an entity, which keeps a working copy of all
+ * instances in an array, in the order they were added, with a lookup by id.
+ * Ids are whole numbers which are never reused, so anything which refers to an
+ * instance by id keeps referring to it when other instances are removed.
+ * Storage backends implement loading the working copy and writing changes to
+ * it.
+ *
+ * All storage provides the same interface: load(), reload(), all(), get(),
+ * add(), save(), remove(), clear() and destroy(), and change listeners
+ * registered with onChange() are told the before and after plain data of
+ * every instance which is added, changed or removed.
+ *
+ * Changes are refused with a conflict Error - one with a conflict property -
+ * rather than overwriting changes made elsewhere, when the instance being
+ * saved isn't the one in the working copy, or when the backend can tell
+ * stored data was changed by someone else, e.g. in another window.
+ */
+var Storage = Concur.extend({
+  constructor: function(entity, storageKey, options) {
+    if (typeof entity.fromObject != 'function') {
+      throw new Error(storageKey + ': Storage entities must define a static fromObject() function.')
+    }
+    if (typeof entity.prototype.toObject != 'function') {
+      throw new Error(storageKey + ': Storage entities must define a toObject() instance method.')
+    }
+    this._entity = entity
+    this._storageKey = storageKey
+    /**
+     * Storage for related entities, by name, which is passed to the entity's
+     * fromObject().
+     */
+    this._related = (options && options.related) || {}
+    /**
+     * Working copy of stored data, null indicates that it hasn't been
+     * initialised yet.
+     */
+    this._store = null
+    /**
+     * Instances in the working copy, by id.
+     */
+    this._byId = {}
+    /**
+     * Id to be given to the next instance added.
+     */
+    this._nextId = 0
+    /**
+     * Plain data last written for each instance, by id.
+     */
+    this._saved = {}
+    /**
+     * Functions to be called with changes and this storage when instances are
+     * added, changed or removed.
+     */
+    this._listeners = []
+    /**
+     * Changes made by _restore() which haven't been written yet.
+     */
+    this._restored = null
+  }
+
+  /**
+   * Initialises the working copy, calling back with an error or null when it's
+   * ready to use. Backends which can load synchronously will also load on first
+   * use if this isn't called.
+   */
+, load: function(callback) {
+    try {
+      this._getStore()
+    }
+    catch (err) {
+      return callback(err)
+    }
+    callback(null)
+  }
+
+  /**
+   * Deletes everything stored under the storage key, including its schema
+   * version and any backups, calling back with an error or null when it's
+   * done. The working copy is empty afterwards.
+   */
+, destroy: function(callback) {
+    try {
+      this._destroy()
+    }
+    catch (err) {
+      return callback(err)
+    }
+    this._setStore({nextId: 0, instances: []})
+    callback(null)
+  }
+
+  /**
+   * Discards the working copy and loads it again from stored data, calling
+   * back with an error or null when it's ready to use. Instances got before
+   * reloading are out of date afterwards.
+   */
+, reload: function(callback) {
+    this._store = null
+    this.load(callback)
+  }
+
+  /**
+   * Determines if stored data was changed by someone else since the working
+   * copy was loaded or last written. Backends which can't tell say it wasn't.
+   */
+, isStale: function() {
+    return false
+  }
+
+  /**
+   * Throws a conflict Error if stored data was changed by someone else since
+   * the working copy was loaded or last written.
+   */
+, checkConflicts: function() {
+    if (this._store !== null && this.isStale()) {
+      throw this._conflictError('stored data was changed in another window since it was loaded.')
+    }
+  }
+
+  /**
+   * Throws a conflict Error if an instance isn't the one in the working copy
+   * with its id - it was got before the working copy was reloaded, so saving
+   * it would lose whatever was changed in the meantime.
+   */
+, _checkCurrent: function(instance) {
+    if (this.get(instance.id) !== instance) {
+      throw this._conflictError('instance ' + instance.id + ' is out of date - it was ' +
+                                'changed or removed elsewhere since it was loaded.')
+    }
+  }
+
+, _conflictError: function(message) {
+    var err = new Error(this._storageKey + ': ' + message)
+    err.conflict = {storageKey: this._storageKey}
+    return err
+  }
+
+  /**
+   * Initialises the working copy from stored data.
+   */
+, _load: function() {
+    throw new Error(this._storageKey + ': Storage backends must implement _load().')
+  }
+
+  /**
+   * Deletes everything stored under the storage key.
+   */
+, _destroy: function() {
+    throw new Error(this._storageKey + ': Storage backends must implement _destroy().')
+  }
+
+  /**
+   * Writes changes to stored data - put is a list of instances which were
+   * added or changed and remove is a list of ids which no longer exist.
+   */
+, _write: function(put, remove) {
+    throw new Error(this._storageKey + ': Storage backends must implement _write().')
+  }
+
+  /**
+   * Creates an instance of the entity from its plain data representation.
+   */
+, _fromObject: function(obj, id) {
+    return this._entity.fromObject(obj, id, this._related)
+  }
+
+  /**
+   * Creates a copy of an instance's plain data representation which won't
+   * change along with the instance.
+   */
+, _toObject: function(instance) {
+    return JSON.parse(JSON.stringify(instance.toObject()))
+  }
+
+  /**
+   * Initialises the working copy from stored data in the current schema
+   * version - {nextId, instances}, where each instance's plain data has an id
+   * property. nextId defaults to the one after the highest id.
+   */
+, _setStore: function(data) {
+    this._store = []
+    this._byId = {}
+    this._saved = {}
+    this._nextId = 0
+    data.instances.forEach(function(obj) {
+      var instance = this._fromObject(obj, obj.id)
+      this._store.push(instance)
+      this._byId[instance.id] = instance
+      this._saved[instance.id] = this._toObject(instance)
+      this._nextId = Math.max(this._nextId, instance.id + 1)
+    }, this)
+    if (typeof data.nextId == 'number') {
+      this._nextId = Math.max(this._nextId, data.nextId)
+    }
+  }
+
+  /**
+   * Runs the migrations needed to bring stored data from the given schema
+   * version up to date, returning the migrated data. If a migration fails, an
+   * Error is thrown with a migration property describing which one.
+   */
+, _migrate: function(data, version, backup) {
+    if (version > SCHEMA_VERSION) {
+      var err = new Error(this._storageKey + ': stored data is from a newer version of ' +
+                          'the app (schema version ' + version + ').')
+      err.migration = {storageKey: this._storageKey, version: version, backup: null, newer: true}
+      throw err
+    }
+    for (; version < SCHEMA_VERSION; version++) {
+      var migration = STORAGE_MIGRATIONS[version]
+      try {
+        data = migration.migrate(data, this._entity)
+      }
+      catch (e) {
+        var err = new Error(this._storageKey + ': upgrading stored data to schema version ' +
+                            (version + 1) + ' (' + migration.description + ') failed - ' +
+                            e.message)
+        err.migration = {storageKey: this._storageKey, version: version + 1, backup: backup, newer: false}
+        throw err
+      }
+    }
+    return data
+  }
+
+  /**
+   * Gets the storage array for the entity, initialising it first if necessary.
+   */
+, _getStore: function() {
+    if (this._store === null) {
+      this._load()
+    }
+    return this._store
+  }
+
+  /**
+   * Gets all instances of the entity - altering the array won't affect the
+   * working copy, but altering an instance will.
+   */
+, all: function() {
+    return this._getStore().slice(0)
+  }
+
+  /**
+   * Gets the instance with the given id, or null if there isn't one.
+   */
+, get: function(id) {
+    this._getStore()
+    return (this._byId.hasOwnProperty(id) ? this._byId[id] : null)
+  }
+
+  /**
+   * Determines the next available id.
+   */
+, nextId: function() {
+    this._getStore()
+    return this._nextId
+  }
+
+  /**
+   * Generates an id for the given instance and stores it.
+   */
+, add: function(instance) {
+    this.checkConflicts()
+    instance.id = this.nextId()
+    this._nextId++
+    this._getStore().push(instance)
+    this._byId[instance.id] = instance
+    this._write([instance], [])
+    this._changed([instance], [])
+    return instance
+  }
+
+  /**
+   * Saves changes to an existing instance.
+   */
+, save: function(instance) {
+    this.checkConflicts()
+    this._checkCurrent(instance)
+    this._write([instance], [])
+    this._changed([instance], [])
+  }
+
+  /**
+   * Removes an instance - other instances keep their ids. Removing an instance
+   * which was already removed does nothing.
+   */
+, remove: function(instance) {
+    if (instance.id === null) {
+      return
+    }
+    this.checkConflicts()
+    this._checkCurrent(instance)
+    var store = this._getStore()
+    store.splice(store.indexOf(instance), 1)
+    delete this._byId[instance.id]
+    this._write([], [instance.id])
+    this._changed([], [instance.id])
+    instance.id = null
+  }
+
+  /**
+   * Removes all instances. Their ids still won't be reused.
+   */
+, clear: function() {
+    this.checkConflicts()
+    var ids = this._getStore().map(function(instance) { return instance.id })
+    this._store = []
+    this._byId = {}
+    this._write([], ids)
+    this._changed([], ids)
+  }
+
+  /**
+   * Registers a function to be called with a list of changes and this storage
+   * whenever instances are added, changed or removed. Each change is
+   * {storageKey, id, before, after}, where before and after are plain data,
+   * before is null for an added instance and after is null for a removed one.
+   */
+, onChange: function(listener) {
+    this._listeners.push(listener)
+  }
+
+  /**
+   * Records the plain data written for instances which were put or removed and
+   * tells change listeners about those which actually changed.
+   */
+, _changed: function(put, remove) {
+    var storageKey = this._storageKey
+      , changes = []
+    put.forEach(function(instance) {
+      var before = (this._saved.hasOwnProperty(instance.id) ? this._saved[instance.id] : null)
+        , after = this._toObject(instance)
+      if (JSON.stringify(before) != JSON.stringify(after)) {
+        changes.push({storageKey: storageKey, id: instance.id, before: before, after: after})
+      }
+      this._saved[instance.id] = after
+    }, this)
+    remove.forEach(function(id) {
+      if (this._saved.hasOwnProperty(id)) {
+        changes.push({storageKey: storageKey, id: id, before: this._saved[id], after: null})
+        delete this._saved[id]
+      }
+    }, this)
+    this._notify(changes)
+  }
+
+  /**
+   * Tells change listeners about changes, if there were any.
+   */
+, _notify: function(changes) {
+    if (changes.length) {
+      this._listeners.forEach(function(listener) {
+        listener(changes, this)
+      }, this)
+    }
+  }
+
+  /**
+   * Puts instances back the way they were, given plain data by id, where null
+   * means the instance shouldn't exist. Only the plain data last written is
+   * changed - the working copy must be reloaded and the changes written once
+   * storage for related entities has been restored too.
+   */
+, _restore: function(objects) {
+    this._restored = Object.keys(objects).map(Number).map(function(id) {
+      var before = (this._saved.hasOwnProperty(id) ? this._saved[id] : null)
+        , after = objects[id]
+      if (after !== null) {
+        this._saved[id] = after
+      }
+      else {
+        delete this._saved[id]
+      }
+      return {storageKey: this._storageKey, id: id, before: before, after: after}
+    }, this)
+  }
+
+  /**
+   * Reinitialises the working copy from the plain data last written, creating
+   * new instances - anything holding on to instances from this storage, or
+   * storage which depends on it, must get them again.
+   */
+, _reload: function() {
+    var saved = this._saved
+      , ids = Object.keys(saved).map(Number).sort(function(a, b) { return a - b })
+    this._setStore({nextId: this._nextId, instances: ids.map(function(id) {
+      return isomorph.object.extend({id: id}, saved[id])
+    })})
+  }
+
+  /**
+   * Writes instances which were put back the way they were by _restore() and
+   * tells change listeners about them.
+   */
+, _writeRestored: function() {
+    var changes = this._restored || []
+      , put = []
+      , remove = []
+    changes.forEach(function(change) {
+      if (this._byId.hasOwnProperty(change.id)) {
+        put.push(this._byId[change.id])
+      }
+      else {
+        remove.push(change.id)
+      }
+    }, this)
+    this._restored = null
+    if (changes.length) {
+      this._write(put, remove)
+    }
+    this._notify(changes)
+  }
+})
+
+/**
+ * Storage in localStorage, which stores all instances of an entity as JSON
+ * under a single key.
+ */
+var LocalStorage = Storage.extend({
+  constructor: function(entity, storageKey, options) {
+    Storage.call(this, entity, storageKey, options)
+    /**
+     * JSON last loaded from or written to localStorage, to tell if something
+     * else has written to it since.
+     */
+    this._json = null
+  }
+
+  /**
+   * Gets the object data is stored in, which implements localStorage's
+   * getItem(), setItem(), removeItem(), key() and length.
+   */
+, _area: function() {
+    return localStorage
+  }
+
+  /**
+   * Loads JSON from localStorage and uses the entity's fromObject() to
+   * initialise the storage array. Data stored with an older schema version is
+   * backed up, migrated and written back.
+   */
+, _load: function() {
+    var area = this._area()
+      , json = area.getItem(this._storageKey)
+    this._json = json
+    // If this is the first load, there won't be any data
+    if (!json) {
+      return this._setStore({nextId: 0, instances: []})
+    }
+    var data = JSON.parse(json)
+      , version = area.getItem(this._storageKey + LocalStorage.VERSION_SUFFIX)
+    // Data stored before versions were tracked is a list of instances with
+    // array index ids, or {nextId, instances} once they had their own ids.
+    version = (version !== null ? Number(version) : Array.isArray(data) ? 0 : 1)
+    if (version == SCHEMA_VERSION) {
+      return this._setStore(data)
+    }
+    var backup = this._storageKey + LocalStorage.BACKUP_SUFFIX + version
+    area.setItem(backup, json)
+    this._setStore(this._migrate(data, version, backup))
+    this._write(this._store, [])
+  }
+
+  /**
+   * Saves the current working copy to localStorage using the entity's
+   * toObject() method to create plain data representations to be stringified
+   * - in practice this means writing the job lot on every change.
+   */
+, _write: function(put, remove) {
+    var json = JSON.stringify({
+      nextId: this._nextId
+    , instances: this._store.map(function(instance) {
+        var obj = instance.toObject()
+        obj.id = instance.id
+        return obj
+      })
+    })
+    var area = this._area()
+    area.setItem(this._storageKey, json)
+    area.setItem(this._storageKey + LocalStorage.VERSION_SUFFIX, String(SCHEMA_VERSION))
+    this._json = json
+  }
+
+, isStale: function() {
+    return this._area().getItem(this._storageKey) !== this._json
+  }
+
+, _destroy: function() {
+    var area = this._area()
+      , backupPrefix = this._storageKey + LocalStorage.BACKUP_SUFFIX
+      , keys = []
+    for (var i = 0, l = area.length; i < l; i++) {
+      keys.push(area.key(i))
+    }
+    keys.forEach(function(key) {
+      if (key.indexOf(backupPrefix) === 0) {
+        area.removeItem(key)
+      }
+    })
+    area.removeItem(this._storageKey)
+    area.removeItem(this._storageKey + LocalStorage.VERSION_SUFFIX)
+    this._json = null
+  }
+}, {
+  label: 'localStorage'
+
+  /**
+   * Suffix for the key the schema version of each storage key's data is
+   * stored under.
+   */
+, VERSION_SUFFIX: '.version'
+
+  /**
+   * Suffix for keys data is backed up under before it's migrated, followed by
+   * the schema version it was backed up from.
+   */
+, BACKUP_SUFFIX: '.backup.v'
+})
+
+/**
+ * Storage which only lives as long as the page, for tests and demos. It can be
+ * given initial data as an objects option, which is a list of plain data
+ * representations of instances - their ids are taken from an id property if
+ * they have one, otherwise from their index.
+ */
+var MemoryStorage = Storage.extend({
+  constructor: function(entity, storageKey, options) {
+    Storage.call(this, entity, storageKey, options)
+    this._objects = (options && options.objects) || []
+  }
+
+, _load: function() {
+    this._setStore({instances: this._objects.map(function(obj, i) {
+      return (typeof obj.id == 'number' ? obj : isomorph.object.extend({id: i}, obj))
+    })})
+  }
+
+, _write: function(put, remove) {
+  }
+
+, _destroy: function() {
+    this._objects = []
+  }
+
+  /**
+   * Nothing is stored anywhere else, so the working copy is already up to
+   * date.
+   */
+, reload: function(callback) {
+    callback(null)
+  }
+}, {
+  label: 'Memory (nothing is saved)'
+})
+
+/**
+ * Storage in IndexedDB, which stores each instance as a separate record, so
+ * only instances which changed are written - better for large leagues.
+ * IndexedDB is asynchronous, so load() must be called before use.
+ *
+ * Each storage key has a revision which every write increments. Windows tell
+ * each other about the revisions they write, and a write is refused if the
+ * stored revision isn't the one it was based on, so a change made in another
+ * window is never overwritten.
+ */
+var IndexedDBStorage = Storage.extend({
+  constructor: function(entity, storageKey, options) {
+    Storage.call(this, entity, storageKey, options)
+    /**
+     * Revision of the stored data last loaded or written.
+     */
+    this._revision = 0
+  }
+
+, load: function(callback) {
+    var storage = this
+    IndexedDBStorage.open(function(err, db) {
+      if (err) {
+        return callback(err)
+      }
+      var records = []
+        , nextId = null
+        , version = null
+        , store = db.transaction(IndexedDBStorage.STORE_NAME)
+                    .objectStore(IndexedDBStorage.STORE_NAME)
+      // Requests succeed in the order they're made, so these are done before
+      // the cursor below finishes.
+      store.get([IndexedDBStorage.NEXT_IDS_KEY, storage._storageKey]).onsuccess = function(e) {
+        if (e.target.result) {
+          nextId = e.target.result.data
+        }
+      }
+      store.get([IndexedDBStorage.VERSIONS_KEY, storage._storageKey]).onsuccess = function(e) {
+        if (e.target.result) {
+          version = e.target.result.data
+        }
+      }
+      store.get([IndexedDBStorage.REVISIONS_KEY, storage._storageKey]).onsuccess = function(e) {
+        storage._revision = (e.target.result ? e.target.result.data : 0)
+        IndexedDBStorage.revisions[storage._storageKey] = Math.max(
+          IndexedDBStorage.revisions[storage._storageKey] || 0, storage._revision)
+      }
+      var request = store.index('storageKey')
+                         .openCursor(IDBKeyRange.only(storage._storageKey))
+      request.onsuccess = function(e) {
+        var cursor = e.target.result
+        if (cursor) {
+          records.push(cursor.value)
+          cursor['continue']()
+          return
+        }
+        records.sort(function(a, b) { return a.id - b.id })
+        try {
+          storage._loadRecords(records, nextId, version)
+        }
+        catch (err) {
+          return callback(err)
+        }
+        callback(null)
+      }
+      request.onerror = function() {
+        callback(new Error(storage._storageKey + ': error loading from IndexedDB - ' + request.error))
+      }
+    })
+  }
+
+, _load: function() {
+    throw new Error(this._storageKey + ': IndexedDBStorage must be loaded before use.')
+  }
+
+  /**
+   * Initialises the working copy from stored records, backing up, migrating
+   * and writing them back if they were stored with an older schema version.
+   */
+, _loadRecords: function(records, nextId, version) {
+    var instances = records.map(function(record) {
+      return isomorph.object.extend({id: record.id}, record.data)
+    })
+    // Records stored before versions were tracked have array index ids, or
+    // also have a next id once they had their own ids.
+    if (version === null) {
+      version = (!records.length ? SCHEMA_VERSION : nextId === null ? 0 : 1)
+    }
+    if (version == SCHEMA_VERSION) {
+      return this._setStore({nextId: nextId, instances: instances})
+    }
+    var backup = this._storageKey + IndexedDBStorage.BACKUP_SUFFIX + version
+      , transaction = IndexedDBStorage.db.transaction(IndexedDBStorage.STORE_NAME, 'readwrite')
+    transaction.objectStore(IndexedDBStorage.STORE_NAME).put({
+      storageKey: IndexedDBStorage.BACKUPS_KEY, id: backup, data: records
+    })
+    // Data from before instances had ids is a list in id order
+    var data = (version === 0
+                ? records.map(function(record) { return record.data })
+                : {nextId: nextId, instances: instances})
+    this._setStore(this._migrate(data, version, backup))
+    var ids = this._store.map(function(instance) { return instance.id })
+    this._write(this._store, records.map(function(record) {
+      return record.id
+    }).filter(function(id) {
+      return ids.indexOf(id) == -1
+    }))
+  }
+
+  /**
+   * Writes changes in a transaction which first checks the stored revision is
+   * the one they're based on. If it isn't, another window wrote to the storage
+   * key before this window heard about it, so the transaction is aborted and
+   * error listeners are given a conflict Error.
+   */
+, _write: function(put, remove) {
+    var storage = this
+      , storageKey = this._storageKey
+      , nextId = this._nextId
+      , basedOn = this._revision
+      , revision = basedOn + 1
+      , conflict = false
+      , transaction = IndexedDBStorage.db.transaction(IndexedDBStorage.STORE_NAME, 'readwrite')
+      , store = transaction.objectStore(IndexedDBStorage.STORE_NAME)
+      , objects = put.map(function(instance) {
+          return {storageKey: storageKey, id: instance.id, data: instance.toObject()}
+        })
+    this._revision = IndexedDBStorage.revisions[storageKey] = revision
+    store.get([IndexedDBStorage.REVISIONS_KEY, storageKey]).onsuccess = function(e) {
+      if ((e.target.result ? e.target.result.data : 0) !== basedOn) {
+        conflict = true
+        return transaction.abort()
+      }
+      objects.forEach(function(obj) {
+        store.put(obj)
+      })
+      remove.forEach(function(id) {
+        store['delete']([storageKey, id])
+      })
+      store.put({storageKey: IndexedDBStorage.NEXT_IDS_KEY, id: storageKey, data: nextId})
+      store.put({storageKey: IndexedDBStorage.VERSIONS_KEY, id: storageKey, data: SCHEMA_VERSION})
+      store.put({storageKey: IndexedDBStorage.REVISIONS_KEY, id: storageKey, data: revision})
+    }
+    transaction.oncomplete = function() {
+      IndexedDBStorage.broadcast(storageKey, revision)
+    }
+    // A failed request aborts the transaction, so nothing is half written
+    transaction.onabort = function() {
+      var err = (conflict
+                 ? storage._conflictError('stored data was changed in another window ' +
+                                          'before this change was written.')
+                 : new Error(storageKey + ': error writing to IndexedDB - ' +
+                             (transaction.error || 'the write was aborted')))
+      IndexedDBStorage.errorListeners.forEach(function(listener) {
+        listener(err)
+      })
+    }
+  }
+
+  /**
+   * Stored data is out of date once another window has said it wrote a later
+   * revision than the one last loaded or written here.
+   */
+, isStale: function() {
+    return (IndexedDBStorage.revisions[this._storageKey] || 0) > this._revision
+  }
+
+  /**
+   * Deletes the storage key's records, its next id and schema version and any
+   * backups of its records. Its revision is kept and incremented, so windows
+   * which still have the deleted data can't write it back.
+   */
+, destroy: function(callback) {
+    var storage = this
+      , storageKey = this._storageKey
+    IndexedDBStorage.open(function(err, db) {
+      if (err) {
+        return callback(err)
+      }
+      var transaction = db.transaction(IndexedDBStorage.STORE_NAME, 'readwrite')
+        , store = transaction.objectStore(IndexedDBStorage.STORE_NAME)
+        , backupPrefix = storageKey + IndexedDBStorage.BACKUP_SUFFIX
+        , revision = null
+      store['delete']([IndexedDBStorage.NEXT_IDS_KEY, storageKey])
+      store['delete']([IndexedDBStorage.VERSIONS_KEY, storageKey])
+      store.get([IndexedDBStorage.REVISIONS_KEY, storageKey]).onsuccess = function(e) {
+        revision = (e.target.result ? e.target.result.data : 0) + 1
+        store.put({storageKey: IndexedDBStorage.REVISIONS_KEY, id: storageKey, data: revision})
+      }
+      ;[storageKey, IndexedDBStorage.BACKUPS_KEY].forEach(function(key) {
+        store.index('storageKey').openCursor(IDBKeyRange.only(key)).onsuccess = function(e) {
+          var cursor = e.target.result
+          if (cursor) {
+            if (key == storageKey || cursor.value.id.indexOf(backupPrefix) === 0) {
+              cursor['delete']()
+            }
+            cursor['continue']()
+          }
+        }
+      })
+      transaction.oncomplete = function() {
+        storage._setStore({nextId: 0, instances: []})
+        storage._revision = IndexedDBStorage.revisions[storageKey] = revision
+        IndexedDBStorage.broadcast(storageKey, revision)
+        callback(null)
+      }
+      transaction.onerror = function() {
+        callback(new Error(storageKey + ': error deleting from IndexedDB - ' + transaction.error))
+      }
+    })
+  }
+}, {
+  label: 'IndexedDB'
+
+  /**
+   * Name of the IndexedDB database used for storage.
+   */
+, DB_NAME: 'poker-league'
+
+  /**
+   * Name of the object store holding records for all storage keys.
+   */
+, STORE_NAME: 'instances'
+
+  /**
+   * Storage key for records holding the next id for each storage key.
+   */
+, NEXT_IDS_KEY: '_nextIds'
+
+  /**
+   * Storage key for records holding the schema version of each storage key's
+   * records.
+   */
+, VERSIONS_KEY: '_versions'
+
+  /**
+   * Storage key for records holding backups of each storage key's records
+   * from before they were migrated, by storage key and the schema version
+   * they were backed up from.
+   */
+, BACKUPS_KEY: '_backups'
+
+  /**
+   * Storage key for records holding the revision of each storage key's
+   * records.
+   */
+, REVISIONS_KEY: '_revisions'
+
+, BACKUP_SUFFIX: '.backup.v'
+
+  /**
+   * The open database, once open() has called back.
+   */
+, db: null
+
+  /**
+   * Functions to be called with an Error when changes couldn't be written.
+   */
+, errorListeners: []
+
+  /**
+   * Registers a function to be called with an Error when changes couldn't be
+   * written. Writes finish after the working copy was changed, so it no longer
+   * matches what's stored - it should be reloaded.
+   */
+, onError: function(listener) {
+    IndexedDBStorage.errorListeners.push(listener)
+  }
+
+  /**
+   * The latest revision of each storage key this window knows about - which it
+   * loaded or wrote, or another window said it wrote.
+   */
+, revisions: {}
+
+  /**
+   * Functions to be called with a storage key when another window wrote to it.
+   */
+, changeListeners: []
+
+  /**
+   * Registers a function to be called with a storage key when another window
+   * wrote to it, so its data can be reloaded.
+   */
+, onChange: function(listener) {
+    IndexedDBStorage.changeListeners.push(listener)
+  }
+
+  /**
+   * BroadcastChannel windows tell each other about the revisions they wrote
+   * on, once the database is open - or null where it's not supported.
+   */
+, channel: null
+
+  /**
+   * Tells other windows a revision of a storage key was written.
+   */
+, broadcast: function(storageKey, revision) {
+    if (IndexedDBStorage.channel !== null) {
+      IndexedDBStorage.channel.postMessage({storageKey: storageKey, revision: revision})
+    }
+  }
+
+  /**
+   * Records a revision another window said it wrote and tells change
+   * listeners about it.
+   */
+, _receive: function(e) {
+    var storageKey = e.data.storageKey
+    IndexedDBStorage.revisions[storageKey] = Math.max(
+      IndexedDBStorage.revisions[storageKey] || 0, e.data.revision)
+    IndexedDBStorage.changeListeners.forEach(function(listener) {
+      listener(storageKey)
+    })
+  }
+
+  /**
+   * Opens the database if necessary, creating its object store the first time,
+   * and calls back with an error or null and the database.
+   */
+, open: function(callback) {
+    if (IndexedDBStorage.db !== null) {
+      return callback(null, IndexedDBStorage.db)
+    }
+    var request = indexedDB.open(IndexedDBStorage.DB_NAME, 1)
+    request.onupgradeneeded = function() {
+      var store = request.result.createObjectStore(IndexedDBStorage.STORE_NAME, {
+        keyPath: ['storageKey', 'id']
+      })
+      store.createIndex('storageKey', 'storageKey')
+    }
+    request.onsuccess = function() {
+      IndexedDBStorage.db = request.result
+      if (typeof BroadcastChannel != 'undefined') {
+        IndexedDBStorage.channel = new BroadcastChannel(IndexedDBStorage.DB_NAME)
+        IndexedDBStorage.channel.onmessage = IndexedDBStorage._receive
+      }
+      callback(null, IndexedDBStorage.db)
+    }
+    request.onerror = function() {
+      callback(new Error('Error opening IndexedDB database: ' + request.error))
+    }
+  }
+})
+
+/**
+ * A copy of the values stored on the server which served the app, by key,
+ * which implements the parts of localStorage's API LocalStorage uses. Changes
+ * are sent to the server in the order they were made, along with the values
+ * they replaced - if any of those were changed on the server in the meantime,
+ * the server refuses the changes, the latest values are fetched and error
+ * listeners are given a conflict Error like storage's. Changes which couldn't
+ * be sent for any other reason are kept to be sent again.
+ */
+function ServerArea(url) {
+  this.url = url
+  /**
+   * Stored values, by key.
+   */
+  this._items = {}
+  /**
+   * Changes which haven't been sent yet, or null - {changes, previous}, which
+   * hold the new and replaced values by key, with null for no value.
+   */
+  this._pending = null
+  /**
+   * true while changes are being sent.
+   */
+  this._sending = false
+  /**
+   * Functions to be called with an Error when changes couldn't be saved.
+   */
+  this._errorListeners = []
+}
+
+Object.defineProperty(ServerArea.prototype, 'length', {
+  get: function() {
+    return Object.keys(this._items).length
+  }
+})
+
+ServerArea.prototype.getItem = function(key) {
+  return (Object.prototype.hasOwnProperty.call(this._items, key) ? this._items[key] : null)
+}
+
+ServerArea.prototype.setItem = function(key, value) {
+  this._change(key, String(value))
+}
+
+ServerArea.prototype.removeItem = function(key) {
+  this._change(key, null)
+}
+
+ServerArea.prototype.key = function(index) {
+  var keys = Object.keys(this._items)
+  return (index < keys.length ? keys[index] : null)
+}
+
+/**
+ * Fetches all stored values from the server, calling back with an error or
+ * null.
+ */
+ServerArea.prototype.fetch = function(callback) {
+  var area = this
+  ServerArea.request('GET', this.url, null, function(err, xhr) {
+    if (!err && xhr.status != 200) {
+      err = new Error('Error loading data from the server: ' + xhr.status + ' ' + xhr.statusText)
+    }
+    if (err) {
+      return callback(err)
+    }
+    area._items = JSON.parse(xhr.responseText)
+    callback(null)
+  })
+}
+
+ServerArea.prototype._change = function(key, value) {
+  if (this._pending === null) {
+    this._pending = {changes: {}, previous: {}}
+  }
+  if (!Object.prototype.hasOwnProperty.call(this._pending.previous, key)) {
+    this._pending.previous[key] = this.getItem(key)
+  }
+  this._pending.changes[key] = value
+  if (value === null) {
+    delete this._items[key]
+  }
+  else {
+    this._items[key] = value
+  }
+  this.send()
+}
+
+/**
+ * Sends changes which haven't been sent yet, unless changes are already being
+ * sent - they're sent after those. If they can't be sent, error listeners are
+ * given an Error with an unsaved property and the changes are kept, to be sent
+ * along with the next change or when this is called again.
+ */
+ServerArea.prototype.send = function() {
+  if (this._sending || this._pending === null) {
+    return
+  }
+  var area = this
+    , pending = this._pending
+  this._pending = null
+  this._sending = true
+  ServerArea.request('POST', this.url, JSON.stringify(pending), function(err, xhr) {
+    area._sending = false
+    if (!err && xhr.status == 409) {
+      // Changes made since were made on top of the refused ones
+      area._pending = null
+      return area.fetch(function(err) {
+        if (err) {
+          return area._error(err)
+        }
+        var storageKey = JSON.parse(xhr.responseText)[0]
+          , conflict = new Error(storageKey + ': stored data was changed on the server since it was loaded.')
+        conflict.conflict = {storageKey: storageKey}
+        area._error(conflict)
+      })
+    }
+    if (!err && xhr.status != 204) {
+      err = new Error('Error saving data to the server: ' + xhr.status + ' ' + xhr.statusText)
+    }
+    if (err) {
+      // Changes made since were made on top of these, so they're sent first
+      area._pending = (area._pending === null ? pending : {
+        changes: isomorph.object.extend({}, pending.changes, area._pending.changes)
+      , previous: isomorph.object.extend({}, area._pending.previous, pending.previous)
+      })
+      err.unsaved = true
+      return area._error(err)
+    }
+    area.send()
+  })
+}
+
+/**
+ * Registers a function to be called with an Error when changes couldn't be
+ * saved - a conflict Error if the server refused them because someone else
+ * changed the same data first, in which case the latest data has been fetched.
+ */
+ServerArea.prototype.onError = function(listener) {
+  this._errorListeners.push(listener)
+}
+
+ServerArea.prototype._error = function(err) {
+  this._errorListeners.forEach(function(listener) {
+    listener(err)
+  })
+}
+
+/**
+ * Makes an HTTP request with an optional JSON body, calling back with an error
+ * if it couldn't be made, or null and the XMLHttpRequest.
+ */
+ServerArea.request = function(method, url, body, callback) {
+  var xhr = new XMLHttpRequest()
+  xhr.open(method, url)
+  xhr.onload = function() {
+    callback(null, xhr)
+  }
+  xhr.onerror = function() {
+    callback(new Error('Error connecting to the server'))
+  }
+  if (body !== null) {
+    xhr.setRequestHeader('Content-Type', 'application/json')
+  }
+  xhr.send(body)
+}
+
+/**
+ * Storage on the server which served the app - see server.js - which stores
+ * the same JSON as LocalStorage, under the same keys. The server's data is
+ * fetched when storage is first loaded, so load() must be called before use.
+ */
+var ServerStorage = LocalStorage.extend({
+  load: function(callback) {
+    var storage = this
+    ServerStorage.open(function(err) {
+      if (err) {
+        return callback(err)
+      }
+      LocalStorage.prototype.load.call(storage, callback)
+    })
+  }
+
+, _load: function() {
+    if (ServerStorage.area === null) {
+      throw new Error(this._storageKey + ': ServerStorage must be loaded before use.')
+    }
+    LocalStorage.prototype._load.call(this)
+  }
+
+, _area: function() {
+    return ServerStorage.area
+  }
+}, {
+  label: 'Server'
+
+  /**
+   * URL the server's data is fetched from and changes are sent to.
+   */
+, URL: '/data'
+
+  /**
+   * The server's data, once open() has called back.
+   */
+, area: null
+
+  /**
+   * Fetches the server's data if necessary and calls back with an error or
+   * null.
+   */
+, open: function(callback) {
+    if (ServerStorage.area !== null) {
+      return callback(null)
+    }
+    var area = new ServerArea(ServerStorage.URL)
+    area.fetch(function(err) {
+      if (err) {
+        return callback(err)
+      }
+      ServerStorage.area = area
+      callback(null)
+    })
+  }
+})
+
+/**
+ * Storage backends which can be selected at startup, by name.
+ */
+var STORAGE_BACKENDS = {
+  localStorage: LocalStorage
+, indexedDB: IndexedDBStorage
+, memory: MemoryStorage
+}
+
+// ---------------------------------------------------------------- Commands ---
+
+/**
+ * A change made by the user, which can be undone and redone - it holds the
+ * plain data of every instance it changed, from before and after the change.
+ */
+function Command(description, time, changes) {
+  /**
+   * Unique id, set by storage.
+   */
+  this.id = null
+  /**
+   * What the change was, for display - e.g. "Add Game".
+   */
+  this.description = description
+  /**
+   * When the change was made, in milliseconds since the epoch.
+   */
+  this.time = time
+  /**
+   * Changes to stored instances, as given to Storage change listeners.
+   */
+  this.changes = changes
+  /**
+   * true if the command has been undone and can be redone.
+   */
+  this.undone = false
+}
+
+Command.prototype.toObject = function() {
+  return {
+    description: this.description
+  , time: this.time
+  , changes: this.changes
+  , undone: this.undone
+  }
+}
+
+Command.fromObject = function(obj, id) {
+  var command = new Command(obj.description, obj.time, obj.changes)
+  command.id = id
+  command.undone = !!obj.undone
+  return command
+}
+
+/**
+ * Gets plain data for the instances the command changed, by storage key and
+ * id, from before the change if undoing it, otherwise from after.
+ */
+Command.prototype.getObjects = function(undo) {
+  var objects = {}
+  this.changes.forEach(function(change) {
+    if (!objects.hasOwnProperty(change.storageKey)) {
+      objects[change.storageKey] = {}
+    }
+    objects[change.storageKey][change.id] = (undo ? change.before : change.after)
+  })
+  return objects
+}
+
+/**
+ * Undo and redo for changes made to the given storage, which must be listed
+ * in the order it's loaded in, so storage for related entities is restored
+ * before the storage which depends on it. Changes are made by passing a
+ * function which makes them to run(), and the resulting Commands are kept in
+ * their own storage, so they can still be undone after a reload.
+ *
+ * Undoing or redoing a Command reloads the working copy of all storage, so
+ * any instances being held on to must be got from storage again afterwards.
+ *
+ * Storage can be shared with other histories - such as shared players, which
+ * other leagues' games use. Adding or removing shared instances can't be
+ * undone, as the instances may be in use elsewhere, so commands don't record
+ * it. Pass an isShared option to tell which storage is shared.
+ */
+var CommandHistory = Concur.extend({
+  constructor: function(storages, commands, options) {
+    options = isomorph.object.extend({
+      limit: CommandHistory.LIMIT
+    , isShared: function(storage) { return false }
+    }, options)
+    this._storages = storages
+    this._commands = commands
+    this._limit = options.limit
+    this._isShared = options.isShared
+    /**
+     * Changes made so far by the command being run, or null.
+     */
+    this._changes = null
+    /**
+     * Description of the command being run, undone or redone, or null - e.g.
+     * "Add Game" or "Undo Add Game".
+     */
+    this.current = null
+    /**
+     * Functions to be called when commands are run, undone or redone.
+     */
+    this._listeners = []
+    var history = this
+    storages.forEach(function(storage) {
+      storage.onChange(function(changes) {
+        history._record(changes)
+      })
+    })
+  }
+
+  /**
+   * Loads stored commands, calling back with an error or null when they're
+   * ready to use.
+   */
+, load: function(callback) {
+    this._commands.load(callback)
+  }
+
+  /**
+   * Loads stored commands again, calling back with an error or null.
+   */
+, reload: function(callback) {
+    this._commands.reload(callback)
+  }
+
+  /**
+   * Throws a conflict Error if any of the storage changes are made to, or the
+   * commands themselves, were changed elsewhere - checked before making any
+   * changes, so a command is never left half done.
+   */
+, _checkConflicts: function() {
+    this._storages.concat([this._commands]).forEach(function(storage) {
+      storage.checkConflicts()
+    })
+  }
+
+  /**
+   * Determines if a change adds or removes an instance of shared storage.
+   */
+, _addsOrRemovesShared: function(change) {
+    if (change.before !== null && change.after !== null) {
+      return false
+    }
+    return this._storages.some(function(storage) {
+      return storage._storageKey == change.storageKey && this._isShared(storage)
+    }, this)
+  }
+
+  /**
+   * Throws an Error if a command adds or removes shared instances, which it
+   * can only do if it was recorded before its storage was shared.
+   */
+, _checkShared: function(command, action) {
+    if (command.changes.some(this._addsOrRemovesShared, this)) {
+      var error = new Error(command.description + ' can\'t be ' + action + ' now its ' +
+                            'changes are shared with other leagues.')
+      error.shared = true
+      throw error
+    }
+  }
+
+  /**
+   * Records changes made while a command is running. When a change to the
+   * same instance was already recorded, the command keeps the before data
+   * from the first change and the after data from this one. Shared instances
+   * being added or removed aren't recorded.
+   */
+, _record: function(changes) {
+    if (this._changes === null) {
+      return
+    }
+    changes.forEach(function(change) {
+      if (this._addsOrRemovesShared(change)) {
+        return
+      }
+      for (var i = 0, l = this._changes.length; i < l; i++) {
+        var recorded = this._changes[i]
+        if (recorded.storageKey == change.storageKey && recorded.id == change.id) {
+          recorded.after = change.after
+          return
+        }
+      }
+      this._changes.push(isomorph.object.extend({}, change))
+    }, this)
+  }
+
+  /**
+   * Calls a function which changes stored data and records the changes it
+   * made as a Command which can be undone, returning whatever the function
+   * returned. Commands which were undone can no longer be redone once another
+   * change has been made. Commands run while another is running become part
+   * of it.
+   */
+, run: function(description, func) {
+    if (this._changes !== null) {
+      return func()
+    }
+    this._checkConflicts()
+    this._changes = []
+    this.current = description
+    try {
+      var result = func()
+    }
+    finally {
+      var changes = this._changes
+      this._changes = null
+      this.current = null
+    }
+    if (changes.length) {
+      this._commands.all().forEach(function(command) {
+        if (command.undone) {
+          this._commands.remove(command)
+        }
+      }, this)
+      this._commands.add(new Command(description, Date.now(), changes))
+      var commands = this._commands.all()
+      for (var i = 0, l = commands.length - this._limit; i < l; i++) {
+        this._commands.remove(commands[i])
+      }
+      this._notify()
+    }
+    return result
+  }
+
+  /**
+   * Gets the Command which would be undone next, or null.
+   */
+, getUndo: function() {
+    var commands = this._commands.all().filter(function(command) {
+      return !command.undone
+    })
+    return (commands.length ? commands[commands.length - 1] : null)
+  }
+
+  /**
+   * Gets the Command which would be redone next, or null.
+   */
+, getRedo: function() {
+    var commands = this._commands.all().filter(function(command) {
+      return command.undone
+    })
+    return (commands.length ? commands[0] : null)
+  }
+
+  /**
+   * Undoes the most recent Command which hasn't been undone, returning it, or
+   * null if there was nothing to undo.
+   */
+, undo: function() {
+    var command = this.getUndo()
+    if (command === null) {
+      return null
+    }
+    this._checkShared(command, 'undone')
+    this._checkConflicts()
+    this._apply(command.getObjects(true), 'Undo ' + command.description)
+    command.undone = true
+    this._commands.save(command)
+    this._notify()
+    return command
+  }
+
+  /**
+   * Redoes the Command which was undone least recently, returning it, or null
+   * if there was nothing to redo.
+   */
+, redo: function() {
+    var command = this.getRedo()
+    if (command === null) {
+      return null
+    }
+    this._checkShared(command, 'redone')
+    this._checkConflicts()
+    this._apply(command.getObjects(false), 'Redo ' + command.description)
+    command.undone = false
+    this._commands.save(command)
+    this._notify()
+    return command
+  }
+
+  /**
+   * Puts plain data for instances back into storage and reloads all storage in
+   * order, so instances refer to the restored versions of each other and
+   * anything calculated from them - such as season scores - is recalculated.
+   */
+, _apply: function(objects, description) {
+    var restored = this._storages.filter(function(storage) {
+      return objects.hasOwnProperty(storage._storageKey)
+    })
+    restored.forEach(function(storage) {
+      storage._restore(objects[storage._storageKey])
+    })
+    this._storages.forEach(function(storage) {
+      storage._reload()
+    })
+    this.current = description
+    try {
+      restored.forEach(function(storage) {
+        storage._writeRestored()
+      })
+    }
+    finally {
+      this.current = null
+    }
+  }
+
+  /**
+   * Registers a function to be called when a command is run, undone or
+   * redone.
+   */
+, onChange: function(listener) {
+    this._listeners.push(listener)
+  }
+
+  /**
+   * Tells change listeners the history of commands changed.
+   */
+, _notify: function() {
+    this._listeners.forEach(function(listener) {
+      listener(this)
+    }, this)
+  }
+}, {
+  /**
+   * Default number of commands kept for undoing.
+   */
+  LIMIT: 50
+})
+
+// ------------------------------------------------------------------- Audit ---
+
+/**
+ * A record of a change to a player, season or game, for the audit trail. Game
+ * changes are recorded separately from changes to the rest of their season.
+ */
+function AuditEntry(time, operator, description, type, action) {
+  /**
+   * Unique id, set by storage.
+   */
+  this.id = null
+  /**
+   * When the change was made, in milliseconds since the epoch.
+   */
+  this.time = time
+  /**
+   * Name of whoever was using the app when the change was made, or null.
+   */
+  this.operator = operator
+  /**
+   * What the change was part of - e.g. "Add Game" or "Undo Add Game".
+   */
+  this.description = description
+  /**
+   * What was changed: 'player', 'season' or 'game'.
+   */
+  this.type = type
+  /**
+   * 'add', 'change' or 'remove'.
+   */
+  this.action = action
+  /**
+   * Id of the player, season or game which was changed.
+   */
+  this.targetId = null
+  /**
+   * Id of the season a changed game belongs to, or null.
+   */
+  this.seasonId = null
+  /**
+   * Name of what was changed when the change was made, for display - e.g.
+   * "Alan" or "Season 1 - Game 3".
+   */
+  this.label = ''
+  /**
+   * Plain data from before the change, or null if it was added.
+   */
+  this.before = null
+  /**
+   * Plain data from after the change, or null if it was removed.
+   */
+  this.after = null
+}
+
+AuditEntry.prototype.toObject = function() {
+  return {
+    time: this.time
+  , operator: this.operator
+  , description: this.description
+  , type: this.type
+  , action: this.action
+  , targetId: this.targetId
+  , seasonId: this.seasonId
+  , label: this.label
+  , before: this.before
+  , after: this.after
+  }
+}
+
+AuditEntry.fromObject = function(obj, id) {
+  var entry = new AuditEntry(obj.time, obj.operator, obj.description, obj.type, obj.action)
+  entry.id = id
+  entry.targetId = obj.targetId
+  entry.seasonId = (obj.seasonId != null ? obj.seasonId : null)
+  entry.label = obj.label
+  entry.before = obj.before
+  entry.after = obj.after
+  return entry
+}
+
+/**
+ * Gets the URL of the player, season or game which was changed.
+ */
+AuditEntry.prototype.getUrl = function() {
+  if (this.type == 'player') {
+    return '/players/' + this.targetId
+  }
+  if (this.type == 'season') {
+    return '/seasons/' + this.targetId
+  }
+  return '/seasons/' + this.seasonId + '/games/' + this.targetId
+}
+
+/**
+ * Gets the properties which changed as {name, before, after}, where a value
+ * is undefined if the property didn't exist on that side of the change.
+ */
+AuditEntry.prototype.getChangedProperties = function() {
+  var before = this.before || {}
+    , after = this.after || {}
+    , names = Object.keys(before)
+  Object.keys(after).forEach(function(name) {
+    if (names.indexOf(name) == -1) {
+      names.push(name)
+    }
+  })
+  return names.filter(function(name) {
+    return JSON.stringify(before[name]) != JSON.stringify(after[name])
+  }).map(function(name) {
+    return {name: name, before: before[name], after: after[name]}
+  })
+}
+
+/**
+ * Log of changes to players, seasons and the games in them, which are
+ * recorded as AuditEntries in their own storage by listening for changes to
+ * Player and Season storage. Entries are never changed - undoing a change
+ * is logged as another change - but only the most recent are kept, as the log
+ * shares its storage space with the data it logs.
+ *
+ * Logging happens after the change was saved, so a change which can't be
+ * logged - e.g. because storage is full - is still made, and error listeners
+ * are told why it wasn't logged.
+ *
+ * Options are functions which get details of the change being logged:
+ * getOperator() for who's making it and getDescription() for what it is, and
+ * the limit on the number of entries kept.
+ */
+var AuditLog = Concur.extend({
+  constructor: function(players, seasons, entries, options) {
+    options = isomorph.object.extend({limit: AuditLog.LIMIT}, options)
+    this._entries = entries
+    this._getOperator = options.getOperator || function() { return null }
+    this._getDescription = options.getDescription || function() { return null }
+    this._limit = options.limit
+    /**
+     * Functions to be called with an Error when a change couldn't be logged.
+     */
+    this._errorListeners = []
+    var log = this
+    players.onChange(function(changes) {
+      changes.forEach(function(change) {
+        log._add('player', change.id, null, change.before, change.after,
+                 (change.after || change.before).name)
+      })
+    })
+    seasons.onChange(function(changes) {
+      changes.forEach(function(change) {
+        log._logSeason(change)
+      })
+    })
+  }
+
+  /**
+   * Loads stored entries, calling back with an error or null when they're
+   * ready to use.
+   */
+, load: function(callback) {
+    this._entries.load(callback)
+  }
+
+  /**
+   * Loads stored entries again, calling back with an error or null.
+   */
+, reload: function(callback) {
+    this._entries.reload(callback)
+  }
+
+  /**
+   * Logs a change to a season, with changes to each of its games logged
+   * separately.
+   */
+, _logSeason: function(change) {
+    var before = change.before
+      , after = change.after
+      , name = (after || before).name
+    function withoutGames(season) {
+      if (season === null) {
+        return null
+      }
+      var obj = isomorph.object.extend({}, season)
+      delete obj.games
+      delete obj.nextGameId
+      return obj
+    }
+    if (JSON.stringify(withoutGames(before)) != JSON.stringify(withoutGames(after))) {
+      this._add('season', change.id, null, withoutGames(before), withoutGames(after), name)
+    }
+    var beforeGames = (before !== null ? before.games : [])
+      , afterGames = (after !== null ? after.games : [])
+    function findGame(games, id) {
+      for (var i = 0, l = games.length; i < l; i++) {
+        if (games[i].id === id) {
+          return {game: games[i], number: i + 1}
+        }
+      }
+      return null
+    }
+    var ids = beforeGames.concat(afterGames).map(function(game) { return game.id })
+    ids.filter(function(id, i) { return ids.indexOf(id) == i }).forEach(function(id) {
+      var gameBefore = findGame(beforeGames, id)
+        , gameAfter = findGame(afterGames, id)
+      if (gameBefore !== null && gameAfter !== null &&
+          JSON.stringify(gameBefore.game) == JSON.stringify(gameAfter.game)) {
+        return
+      }
+      this._add('game', id, change.id,
+                gameBefore && gameBefore.game, gameAfter && gameAfter.game,
+                name + ' - Game ' + (gameAfter || gameBefore).number)
+    }, this)
+  }
+
+  /**
+   * Registers a function to be called with an Error when a change couldn't be
+   * logged. The change itself has already been saved by then.
+   */
+, onError: function(listener) {
+    this._errorListeners.push(listener)
+  }
+
+, _error: function(err) {
+    this._errorListeners.forEach(function(listener) {
+      listener(err)
+    })
+  }
+
+  /**
+   * Adds an entry for a change to the log. Entries are only ever added, so any
+   * added elsewhere are loaded first rather than treated as a conflict.
+   */
+, _add: function(type, targetId, seasonId, before, after, label) {
+    var entry = new AuditEntry(Date.now(), this._getOperator(), this._getDescription(),
+                               type, (before === null ? 'add' : after === null ? 'remove' : 'change'))
+    entry.targetId = targetId
+    entry.seasonId = seasonId
+    entry.label = label
+    entry.before = before
+    entry.after = after
+    if (!this._entries.isStale()) {
+      return this._store(entry)
+    }
+    var log = this
+    this._entries.reload(function(err) {
+      if (err) return log._error(err)
+      log._store(entry)
+    })
+  }
+
+  /**
+   * Stores a new entry, removing the oldest entries over the limit. If it
+   * can't be stored, the stored entries are loaded again, as the working copy
+   * may have been changed before writing failed.
+   */
+, _store: function(entry) {
+    try {
+      this._entries.add(entry)
+      var entries = this._entries.all()
+      for (var i = 0, l = entries.length - this._limit; i < l; i++) {
+        this._entries.remove(entries[i])
+      }
+    }
+    catch (err) {
+      var log = this
+      this._error(err)
+      this._entries.reload(function(err) {
+        if (err) log._error(err)
+      })
+    }
+  }
+
+  /**
+   * Gets logged entries, most recent first, optionally filtered by type,
+   * season (which includes its games) and operator.
+   */
+, getEntries: function(filters) {
+    filters = filters || {}
+    return this._entries.all().filter(function(entry) {
+      if (filters.type && entry.type != filters.type) {
+        return false
+      }
+      if (filters.seasonId != null &&
+          (entry.type == 'player' ||
+           (entry.type == 'season' ? entry.targetId : entry.seasonId) !== filters.seasonId)) {
+        return false
+      }
+      if (filters.operator && entry.operator != filters.operator) {
+        return false
+      }
+      return true
+    }).reverse()
+  }
+
+  /**
+   * Gets the names of everyone who has made logged changes.
+   */
+, getOperators: function() {
+    var operators = []
+    this._entries.all().forEach(function(entry) {
+      if (entry.operator !== null && operators.indexOf(entry.operator) == -1) {
+        operators.push(entry.operator)
+      }
+    })
+    return operators.sort()
+  }
+}, {
+  /**
+   * Default number of entries kept.
+   */
+  LIMIT: 1000
+})
+
+// =================================================================== Forms ===
+
+/**
+ * Cleans a buy-in amount. Like all field cleaning functions, this returns an
+ * error message if the value is invalid, or an object holding the cleaned
+ * value.
+ */
+function cleanBuyIn(value) {
+  if (!/^\d+(\.\d\d?)?$/.test(value)) {
+    return 'Buy-in must be an amount of money, e.g. 10 or 7.50.'
+  }
+  return {value: Number(value)}
+}
+
+/**
+ * Cleans payouts entered as comma-separated percentages for each place.
+ */
+function cleanPayouts(value) {
+  var payouts = value.split(/\s*,\s*/)
+  for (var i = 0, l = payouts.length; i < l; i++) {
+    if (!/^\d+$/.test(payouts[i])) {
+      return 'Payouts must be whole number percentages separated by commas.'
+    }
+  }
+  if (!payouts.map(Number).sum()) {
+    return 'At least one place must be paid.'
+  }
+  return {value: payouts.map(Number)}
+}
+
+/**
+ * Cleans the fields of a form for adding or editing a game in a season, which
+ * are given as strings, or lists of strings for the fields which are repeated
+ * for each player (player and position) and each knockout (perp and victim).
+ * Players and structures are looked up by id in the given storage. When a
+ * game is being edited, it's given too, so its new date is checked against
+ * the games either side of it rather than the season's last game.
+ *
+ * Returns {errors, data}, where errors has an error message or null for date,
+ * results (for the positions as a whole), buyIn and payouts, and lists of them
+ * for each position and each knockout. data is null if anything was invalid,
+ * otherwise it has the game's date, results, knockouts, stakes and structure.
+ */
+function cleanGameData(fields, season, Players, Structures, game) {
+  var errors = {
+        date: null
+      , results: null
+      , positions: []
+      , knockouts: []
+      , buyIn: null
+      , payouts: null
+      }
+
+  var date = null
+  try {
+    date = isomorph.time.strpdate(fields.date, INPUT_DATE_FORMAT)
+  }
+  catch (e) {
+    errors.date = 'Enter a valid date in DD/MM/YYYY format.'
+  }
+  if (date !== null) {
+    errors.date = season.checkGameDate(game || null, date)
+  }
+
+  // Blank positions are for players who didn't play, but they can't all be
+  // blank.
+  var positions = fields.position
+    , playerCount = Players.all().length
+  if (!positions.some(function(value) { return value !== '' })) {
+    errors.results = 'For each player who played, enter the position they finished in.'
+  }
+  errors.positions = positions.map(function(value, i) {
+    if (value === '') {
+      return null
+    }
+    if (!/^\d+$/.test(value)) {
+      return 'Positions must be numeric.'
+    }
+    if (parseInt(value, 10) > playerCount) {
+      return 'Position greater than number of players.'
+    }
+    if (Players.get(parseInt(fields.player[i], 10)) === null) {
+      return 'Unknown player.'
+    }
+    return null
+  })
+
+  // If positions are good so far, check for gaps and create the results
+  var results = null
+  if (errors.results === null && errors.positions.every(isNull)) {
+    var expected = 1
+    positions.map(function(value, i) {
+      return {position: parseInt(value, 10), index: i}
+    }).filter(function(entered) {
+      return !isNaN(entered.position)
+    }).sort(function(a, b) {
+      return a.position - b.position
+    }).forEach(function(entered) {
+      // Only the first gap is reported
+      if (expected !== null && entered.position != expected) {
+        errors.positions[entered.index] = 'Expected position ' + expected + ' to be assigned first.'
+        expected = null
+      }
+      else if (expected !== null) {
+        expected++
+      }
+    })
+    if (expected !== null) {
+      results = []
+      positions.forEach(function(value, i) {
+        if (value !== '') {
+          results[parseInt(value, 10) - 1] = Players.get(parseInt(fields.player[i], 10))
+        }
+      })
+    }
+  }
+
+  var knockouts = []
+    , victims = []
+  errors.knockouts = fields.perp.map(function(perpId, i) {
+    var victimId = fields.victim[i]
+      , perp = (perpId !== '' ? Players.get(parseInt(perpId, 10)) : null)
+      , victim = (victimId !== '' ? Players.get(parseInt(victimId, 10)) : null)
+    if (perp === null || victim === null) {
+      return 'Select a player from each dropdown.'
+    }
+    var errorMessage = Game.checkKnockout(perp, victim, results, victims)
+    if (errorMessage === null) {
+      knockouts.push([perp, victim])
+      victims.push(victim)
+    }
+    return errorMessage
+  })
+
+  // Blank stakes fields use the season's stakes
+  var buyIn = fields.buyIn.replace(/^\s+|\s+$/g, '')
+    , payouts = fields.payouts.replace(/^\s+|\s+$/g, '')
+    , cleanedBuyIn = (buyIn ? cleanBuyIn(buyIn) : {value: season.stakes.buyIn})
+    , cleanedPayouts = (payouts ? cleanPayouts(payouts) : {value: season.stakes.payouts.slice(0)})
+    , stakes = null
+  if (typeof cleanedBuyIn == 'string') {
+    errors.buyIn = cleanedBuyIn
+  }
+  if (typeof cleanedPayouts == 'string') {
+    errors.payouts = cleanedPayouts
+  }
+  if ((buyIn || payouts) && errors.buyIn === null && errors.payouts === null) {
+    stakes = new Stakes(cleanedBuyIn.value, cleanedPayouts.value)
+  }
+
+  var valid = [errors.date, errors.results, errors.buyIn, errors.payouts].every(isNull) &&
+              errors.positions.every(isNull) && errors.knockouts.every(isNull)
+  return {
+    errors: errors
+  , data: (!valid ? null : {
+      date: date
+    , results: results
+    , knockouts: knockouts
+    , stakes: stakes
+      // A blank structure means the season's structure
+    , structure: (fields.structure !== '' ? Structures.get(parseInt(fields.structure, 10)) : null)
+    })
+  }
+}
+
+function isNull(value) {
+  return value === null
+}
+
+// =========================================================== Import/Export ===
+
+/**
+ * Identifies league export documents.
+ */
+var EXPORT_FORMAT = 'poker-league'
+
+/**
+ * Version of the league export document schema - increment this and add an
+ * upgrade function whenever the structure of exported data changes.
+ */
+var EXPORT_VERSION = 1
+
+/**
+ * Functions which upgrade export documents in place, from the version they're
+ * keyed under to the next version.
+ */
+var EXPORT_UPGRADES = {}
+
+/**
+ * Creates a versioned export document holding all players, structures,
+ * seasons, games and knockouts from the given storage. Games refer to players
+ * by the ids given in the document.
+ */
+function exportLeague(Players, Seasons, Structures) {
+  return {
+    format: EXPORT_FORMAT
+  , version: EXPORT_VERSION
+  , exported: new Date().toISOString()
+  , players: Players.all().map(function(player) {
+      var obj = player.toObject()
+      obj.id = player.id
+      return obj
+    })
+  , structures: Structures.all().map(function(structure) {
+      var obj = structure.toObject()
+      obj.id = structure.id
+      return obj
+    })
+  , seasons: Seasons.all().map(function(season) {
+      var obj = season.toObject()
+      obj.id = season.id
+      return obj
+    })
+  }
+}
+
+/**
+ * Upgrades an export document to the current version, returning a list of
+ * errors if it can't be used.
+ */
+function upgradeExport(data) {
+  if (data === null || typeof data != 'object' || Array.isArray(data)) {
+    return ['The file does not contain a league export.']
+  }
+  if (data.format !== EXPORT_FORMAT) {
+    return ['The file is not a ' + EXPORT_FORMAT + ' export (format: ' +
+            JSON.stringify(data.format) + ').']
+  }
+  if (typeof data.version != 'number' || data.version % 1 !== 0 || data.version < 1) {
+    return ['Invalid export version: ' + JSON.stringify(data.version) + '.']
+  }
+  if (data.version > EXPORT_VERSION) {
+    return ['The export is from a newer version (' + data.version + ') than ' +
+            'this app supports (' + EXPORT_VERSION + ').']
+  }
+  while (data.version < EXPORT_VERSION) {
+    EXPORT_UPGRADES[data.version](data)
+    data.version++
+  }
+  return []
+}
+
+/**
+ * Validates the contents of an upgraded export document, returning a list of
+ * descriptions of any problems found.
+ */
+function validateExport(data) {
+  var errors = []
+    , playerIds = {}
+    , structureIds = {}
+
+  function error(path, message) {
+    errors.push(path + ': ' + message)
+  }
+
+  function isWholeNumber(value, min) {
+    return typeof value == 'number' && value % 1 === 0 && value >= min
+  }
+
+  function isDate(value) {
+    try {
+      isomorph.time.strpdate(value, STORAGE_DATE_FORMAT)
+      return true
+    }
+    catch (e) {
+      return false
+    }
+  }
+
+  function validateStakes(stakes, path) {
+    if (stakes === null || typeof stakes != 'object') {
+      return error(path, 'must be an object.')
+    }
+    // Stakes which aren't given will use defaults
+    if (typeof stakes.buyIn != 'undefined' &&
+        (typeof stakes.buyIn != 'number' || !(stakes.buyIn >= 0))) {
+      error(path + '.buyIn', 'must be a number which is not negative.')
+    }
+    if (typeof stakes.payouts != 'undefined' &&
+        (!Array.isArray(stakes.payouts) || !stakes.payouts.length ||
+         !stakes.payouts.every(function(p) { return isWholeNumber(p, 0) }))) {
+      error(path + '.payouts', 'must be a list of whole numbers.')
+    }
+  }
+
+  if (!Array.isArray(data.players)) {
+    error('players', 'must be a list.')
+  }
+  else {
+    data.players.forEach(function(player, i) {
+      var path = 'players[' + i + ']'
+      if (player === null || typeof player != 'object') {
+        return error(path, 'must be an object.')
+      }
+      if (typeof player.id == 'undefined' || player.id === null) {
+        error(path + '.id', 'is required.')
+      }
+      else if (playerIds.hasOwnProperty(player.id)) {
+        error(path + '.id', 'duplicate player id ' + JSON.stringify(player.id) + '.')
+      }
+      else {
+        playerIds[player.id] = true
+      }
+      if (typeof player.name != 'string' || !player.name) {
+        error(path + '.name', 'is required.')
+      }
+      if (typeof player.retired != 'undefined' && typeof player.retired != 'boolean') {
+        error(path + '.retired', 'must be true or false.')
+      }
+    })
+  }
+
+  // Structures weren't exported before they were added
+  if (typeof data.structures != 'undefined' && !Array.isArray(data.structures)) {
+    error('structures', 'must be a list.')
+  }
+  else {
+    (data.structures || []).forEach(function(structure, i) {
+      var path = 'structures[' + i + ']'
+      if (structure === null || typeof structure != 'object') {
+        return error(path, 'must be an object.')
+      }
+      if (typeof structure.id == 'undefined' || structure.id === null) {
+        error(path + '.id', 'is required.')
+      }
+      else if (structureIds.hasOwnProperty(structure.id)) {
+        error(path + '.id', 'duplicate structure id ' + JSON.stringify(structure.id) + '.')
+      }
+      else {
+        structureIds[structure.id] = true
+      }
+      if (typeof structure.name != 'string' || !structure.name) {
+        error(path + '.name', 'is required.')
+      }
+      if (!isWholeNumber(structure.startingStack, 0)) {
+        error(path + '.startingStack', 'must be a whole number.')
+      }
+      if (!Array.isArray(structure.levels) || !structure.levels.length) {
+        return error(path + '.levels', 'must be a list of levels.')
+      }
+      structure.levels.forEach(function(level, j) {
+        var levelPath = path + '.levels[' + j + ']'
+        if (level === null || typeof level != 'object') {
+          return error(levelPath, 'must be an object.')
+        }
+        if (!isWholeNumber(level.minutes, 1)) {
+          error(levelPath + '.minutes', 'must be a whole number greater than zero.')
+        }
+        if (!level.isBreak) {
+          ;['smallBlind', 'bigBlind', 'ante'].forEach(function(name) {
+            if (!isWholeNumber(level[name], 0)) {
+              error(levelPath + '.' + name, 'must be a whole number.')
+            }
+          })
+        }
+      })
+    })
+  }
+
+  function validateStructureId(id, path) {
+    if (typeof id != 'undefined' && id !== null && !structureIds.hasOwnProperty(id)) {
+      error(path, 'unknown structure id ' + JSON.stringify(id) + '.')
+    }
+  }
+
+  if (!Array.isArray(data.seasons)) {
+    error('seasons', 'must be a list.')
+    return errors
+  }
+  data.seasons.forEach(function(season, i) {
+    var path = 'seasons[' + i + ']'
+    if (season === null || typeof season != 'object') {
+      return error(path, 'must be an object.')
+    }
+    if (typeof season.name != 'string' || !season.name) {
+      error(path + '.name', 'is required.')
+    }
+    if (typeof season.rules != 'undefined') {
+      var rules = season.rules
+      if (rules === null || typeof rules != 'object') {
+        error(path + '.rules', 'must be an object.')
+      }
+      else {
+        // Rules which aren't given will use defaults
+        if (typeof rules.points != 'undefined' &&
+            (!Array.isArray(rules.points) || !rules.points.length ||
+             !rules.points.every(function(p) { return isWholeNumber(p, 0) }))) {
+          error(path + '.rules.points', 'must be a list of whole numbers.')
+        }
+        ;['fishChipBonus', 'bountyBonus'].forEach(function(name) {
+          if (typeof rules[name] != 'undefined' && !isWholeNumber(rules[name], 0)) {
+            error(path + '.rules.' + name, 'must be a whole number.')
+          }
+        })
+        if (typeof rules.bestGames != 'undefined' && rules.bestGames !== null &&
+            !isWholeNumber(rules.bestGames, 1)) {
+          error(path + '.rules.bestGames', 'must be null or a whole number greater than zero.')
+        }
+        if (typeof rules.tieBreakers != 'undefined' &&
+            (!Array.isArray(rules.tieBreakers) ||
+             !rules.tieBreakers.every(function(name) {
+               return ScoringRules.TIE_BREAKERS.hasOwnProperty(name)
+             }))) {
+          error(path + '.rules.tieBreakers', 'must be a list of tie-breakers: ' +
+                Object.keys(ScoringRules.TIE_BREAKERS).join(', ') + '.')
+        }
+      }
+    }
+    if (typeof season.stakes != 'undefined') {
+      validateStakes(season.stakes, path + '.stakes')
+    }
+    validateStructureId(season.structure, path + '.structure')
+    if (typeof season.weeks != 'undefined' && !isWholeNumber(season.weeks, 1)) {
+      error(path + '.weeks', 'must be a whole number greater than zero.')
+    }
+    if (typeof season.schedule != 'undefined') {
+      if (!Array.isArray(season.schedule)) {
+        error(path + '.schedule', 'must be a list.')
+      }
+      else {
+        season.schedule.forEach(function(date, j) {
+          if (!isDate(date)) {
+            error(path + '.schedule[' + j + ']', 'must be a date in YYYY-MM-DD format.')
+          }
+        })
+      }
+    }
+    if (typeof season.archived != 'undefined' && typeof season.archived != 'boolean') {
+      error(path + '.archived', 'must be true or false.')
+    }
+    if (typeof season.finalStandings != 'undefined') {
+      if (!Array.isArray(season.finalStandings) || !season.finalStandings.length ||
+          !Array.isArray(season.games) || !season.games.length) {
+        error(path + '.finalStandings', 'must be a list of standings for a season with games.')
+      }
+      else {
+        season.finalStandings.forEach(function(standing, j) {
+          var standingPath = path + '.finalStandings[' + j + ']'
+          if (standing === null || typeof standing != 'object') {
+            return error(standingPath, 'must be an object.')
+          }
+          if (!playerIds.hasOwnProperty(standing.player)) {
+            error(standingPath + '.player', 'unknown player id ' + JSON.stringify(standing.player) + '.')
+          }
+          if (typeof standing.ranking != 'string') {
+            error(standingPath + '.ranking', 'must be a string.')
+          }
+          ;['points', 'gamesPlayed', 'wins'].forEach(function(name) {
+            if (!isWholeNumber(standing[name], 0)) {
+              error(standingPath + '.' + name, 'must be a whole number.')
+            }
+          })
+        })
+      }
+    }
+    if (typeof season.nextGameId != 'undefined' && !isWholeNumber(season.nextGameId, 1)) {
+      error(path + '.nextGameId', 'must be a whole number greater than zero.')
+    }
+    if (!Array.isArray(season.games)) {
+      return error(path + '.games', 'must be a list.')
+    }
+    var gameIds = {}
+    season.games.forEach(function(game, j) {
+      var gamePath = path + '.games[' + j + ']'
+      if (game === null || typeof game != 'object') {
+        return error(gamePath, 'must be an object.')
+      }
+      // Games weren't exported with ids before they had them
+      if (typeof game.id != 'undefined') {
+        if (!isWholeNumber(game.id, 1)) {
+          error(gamePath + '.id', 'must be a whole number greater than zero.')
+        }
+        else if (gameIds.hasOwnProperty(game.id)) {
+          error(gamePath + '.id', 'duplicate game id ' + game.id + '.')
+        }
+        gameIds[game.id] = true
+      }
+      if (!isDate(game.date)) {
+        error(gamePath + '.date', 'must be a date in YYYY-MM-DD format.')
+      }
+      if (!Array.isArray(game.results) || !game.results.length) {
+        error(gamePath + '.results', 'must be a list of player ids, winner first.')
+      }
+      else {
+        game.results.forEach(function(id, k) {
+          if (!playerIds.hasOwnProperty(id)) {
+            error(gamePath + '.results[' + k + ']', 'unknown player id ' + JSON.stringify(id) + '.')
+          }
+          else if (game.results.indexOf(id) != k) {
+            error(gamePath + '.results[' + k + ']', 'player id ' + JSON.stringify(id) + ' appears more than once.')
+          }
+        })
+      }
+      if (typeof game.stakes != 'undefined') {
+        validateStakes(game.stakes, gamePath + '.stakes')
+      }
+      validateStructureId(game.structure, gamePath + '.structure')
+      if (!Array.isArray(game.knockouts)) {
+        return error(gamePath + '.knockouts', 'must be a list.')
+      }
+      // Knockouts are checked as they are when adding a game, with players
+      // labelled by their ids in the document.
+      var label = function(id) { return 'Player id ' + JSON.stringify(id) }
+        , results = (Array.isArray(game.results) ? game.results : []).map(label)
+        , victims = []
+      game.knockouts.forEach(function(ko, k) {
+        var koPath = gamePath + '.knockouts[' + k + ']'
+        if (!Array.isArray(ko) || ko.length != 2) {
+          return error(koPath, 'must be a [perp, victim] pair of player ids.')
+        }
+        var errorMessage = Game.checkKnockout(label(ko[0]), label(ko[1]), results, victims)
+        if (errorMessage !== null) {
+          error(koPath, errorMessage)
+        }
+        else {
+          victims.push(label(ko[1]))
+        }
+      })
+    })
+  })
+
+  return errors
+}
+
+/**
+ * Imports a validated export document into the given storage. In 'replace'
+ * mode, all existing data is discarded first. In 'merge' mode, players and
+ * structures are matched to existing ones by name and seasons which already
+ * exist with the same name are skipped. Returns a summary of what was imported.
+ */
+function importLeague(data, mode, Players, Seasons, Structures) {
+  var summary = {playersAdded: 0, structuresAdded: 0, seasonsAdded: 0, seasonsSkipped: []}
+    , players = {}
+    , structures = {}
+    , existingPlayers = {}
+    , existingStructures = {}
+    , existingSeasons = {}
+
+  if (mode == 'replace') {
+    Seasons.clear()
+    Structures.clear()
+    Players.clear()
+  }
+  else {
+    Players.all().forEach(function(player) {
+      existingPlayers[player.name.toLowerCase()] = player
+    })
+    Structures.all().forEach(function(structure) {
+      existingStructures[structure.name.toLowerCase()] = structure
+    })
+    Seasons.all().forEach(function(season) {
+      existingSeasons[season.name.toLowerCase()] = season
+    })
+  }
+
+  // Map player ids in the document to players in storage
+  data.players.forEach(function(obj) {
+    var player = existingPlayers[obj.name.toLowerCase()]
+    if (!player) {
+      player = Players.add(Player.fromObject(obj, null))
+      summary.playersAdded++
+    }
+    players[obj.id] = player
+  })
+
+  // Map structure ids in the document to structures in storage
+  ;(data.structures || []).forEach(function(obj) {
+    var structure = existingStructures[obj.name.toLowerCase()]
+    if (!structure) {
+      structure = Structures.add(Structure.fromObject(obj, null))
+      summary.structuresAdded++
+    }
+    structures[obj.id] = structure
+  })
+
+  data.seasons.forEach(function(obj) {
+    if (existingSeasons.hasOwnProperty(obj.name.toLowerCase())) {
+      summary.seasonsSkipped.push(obj.name)
+      return
+    }
+    var season = Season.fromObject(obj, null, {
+      players: {get: function(id) { return players[id] }}
+    , structures: {get: function(id) { return structures[id] }}
+      // Seasons imported into a league use its tie-breakers
+    , getTieBreakers: Seasons._related.getTieBreakers
+    })
+    Seasons.add(season)
+    summary.seasonsAdded++
+  })
+
+  return summary
+}
+
+// ------------------------------------------------------------- Games CSV ---
+
+/**
+ * Accepted CSV column names for each field of a game results row.
+ */
+var CSV_COLUMNS = {
+  date: ['date', 'played on']
+, game: ['game', 'game number', 'game no']
+, player: ['player', 'name']
+, position: ['position', 'pos', 'place']
+, knockedOutBy: ['knocked out by', 'ko by']
+}
+
+/**
+ * Reads game results from CSV which has a header row and a row for each player
+ * in each game. Rows are grouped into games by date and, if there's a game
+ * column, game number - for nights with more than one game - and games are
+ * sorted in that order. Players are given by name, so the results and
+ * knockouts of the games read refer to players by name - names which don't
+ * match a player in the given storage are listed as unknownNames.
+ *
+ * Games are added to the end of the given season, so they can't have been
+ * played before its last game.
+ */
+function readGamesCSV(text, Players, season) {
+  var imported = {games: [], errors: [], unknownNames: []}
+    , rows = parseCSV(text)
+  if (rows.length < 2) {
+    imported.errors.push('The CSV must have a header row and a row for each player in each game.')
+    return imported
+  }
+
+  // Find columns from the header row
+  var header = rows.shift().map(function(name) {
+        return name.replace(/^\s+|\s+$/g, '').toLowerCase().replace(/[\s_]+/g, ' ')
+      })
+    , columns = {}
+  Object.keys(CSV_COLUMNS).forEach(function(field) {
+    columns[field] = -1
+    CSV_COLUMNS[field].forEach(function(name) {
+      if (columns[field] == -1) columns[field] = header.indexOf(name)
+    })
+    if (columns[field] == -1 && field != 'game' && field != 'knockedOutBy') {
+      imported.errors.push('Missing column: ' + CSV_COLUMNS[field][0] + '.')
+    }
+  })
+  if (imported.errors.length) {
+    return imported
+  }
+
+  // Names in the CSV, and existing players, by lowercase name
+  var names = {}
+    , players = {}
+  Players.all().forEach(function(player) {
+    players[player.name.toLowerCase()] = player
+  })
+  function getName(name) {
+    var key = name.toLowerCase()
+    if (!names.hasOwnProperty(key)) {
+      if (players.hasOwnProperty(key)) {
+        names[key] = players[key].name
+      }
+      else {
+        names[key] = name
+        imported.unknownNames.push(name)
+      }
+    }
+    return names[key]
+  }
+
+  // Group rows into games by date and game number
+  var gamesByKey = {}
+  rows.forEach(function(row, i) {
+    var line = 'Line ' + (i + 2) + ': '
+      , field = function(name) {
+          var value = (columns[name] != -1 ? row[columns[name]] : '')
+          return (value || '').replace(/^\s+|\s+$/g, '')
+        }
+      , date = null
+      , number = field('game')
+      , name = field('player')
+      , position = field('position')
+      , knockedOutBy = field('knockedOutBy')
+    ;[INPUT_DATE_FORMAT, STORAGE_DATE_FORMAT].forEach(function(format) {
+      if (date === null) {
+        try { date = isomorph.time.strpdate(field('date'), format) } catch (e) {}
+      }
+    })
+    if (date === null) {
+      return imported.errors.push(line + 'Enter a valid date in DD/MM/YYYY format.')
+    }
+    if (columns.game != -1 && !/^\d+$/.test(number)) {
+      return imported.errors.push(line + 'Game numbers must be numeric.')
+    }
+    if (!name) {
+      return imported.errors.push(line + 'Player name is required.')
+    }
+    if (!/^\d+$/.test(position)) {
+      return imported.errors.push(line + 'Positions must be numeric.')
+    }
+    number = (columns.game != -1 ? parseInt(number, 10) : null)
+    var key = isomorph.time.strftime(date, STORAGE_DATE_FORMAT) + ' ' + number
+    if (!gamesByKey.hasOwnProperty(key)) {
+      gamesByKey[key] = {date: date, number: number, entries: []}
+    }
+    gamesByKey[key].entries.push({
+      line: line
+    , name: getName(name)
+    , position: parseInt(position, 10)
+    , knockedOutBy: knockedOutBy ? getName(knockedOutBy) : null
+    })
+  })
+
+  // Check each game's positions and knockouts, as is done when adding a game
+  var games = Object.keys(gamesByKey).map(function(key) { return gamesByKey[key] })
+  games.sort(function(a, b) { return (a.date - b.date) || (a.number - b.number) })
+  if (games.length) {
+    var errorMessage = season.checkGameDate(null, games[0].date)
+    if (errorMessage !== null) {
+      imported.errors.push(getImportedGameLabel(games[0]) + ': ' + errorMessage)
+    }
+  }
+  games.forEach(function(game) {
+    var prefix = getImportedGameLabel(game) + ': '
+      , results = []
+      , knockouts = []
+      , victims = []
+      , errors = []
+    game.entries.sort(function(a, b) { return a.position - b.position })
+    game.entries.forEach(function(entry, i) {
+      if (results.indexOf(entry.name) != -1) {
+        errors.push(entry.line + entry.name + ' has more than one result.')
+      }
+      else if (entry.position > game.entries.length) {
+        errors.push(entry.line + 'Position greater than number of players.')
+      }
+      else if (entry.position != i + 1) {
+        errors.push(entry.line + 'Expected position ' + (i + 1) + ' to be assigned first.')
+      }
+      results.push(entry.name)
+    })
+    // Players are knocked out from last place upwards
+    if (!errors.length) {
+      game.entries.slice(0).reverse().forEach(function(entry) {
+        if (entry.knockedOutBy === null) return
+        var errorMessage = Game.checkKnockout(entry.knockedOutBy, entry.name, results, victims)
+        if (errorMessage !== null) {
+          errors.push(entry.line + errorMessage)
+        }
+        else {
+          knockouts.push([entry.knockedOutBy, entry.name])
+          victims.push(entry.name)
+        }
+      })
+    }
+    if (errors.length) {
+      imported.errors.push.apply(imported.errors, errors.map(function(error) {
+        return prefix + error
+      }))
+    }
+    imported.games.push({date: game.date, number: game.number, results: results, knockouts: knockouts})
+  })
+
+  return imported
+}
+
+/**
+ * Gets a label for a game read from CSV to prefix its errors with.
+ */
+function getImportedGameLabel(game) {
+  return 'Game ' + (game.number !== null ? game.number + ' ' : '') + 'on ' +
+         isomorph.time.strftime(game.date, INPUT_DATE_FORMAT)
+}
+
+/**
+ * Creates Games from games read from CSV, given a lookup of Players for each
+ * lowercase player name. Errors are reported if resolving names to players made
+ * any games invalid.
+ */
+function createImportedGames(imported, players) {
+  var games = []
+    , errors = []
+  imported.games.forEach(function(game) {
+    var results = game.results.map(function(name) { return players[name.toLowerCase()] })
+    results.forEach(function(player, i) {
+      if (results.indexOf(player) != i) {
+        errors.push(getImportedGameLabel(game) + ': ' + player.name + ' has more than one result.')
+      }
+    })
+    games.push(new Game(game.date, results, game.knockouts.map(function(ko) {
+      return [players[ko[0].toLowerCase()], players[ko[1].toLowerCase()]]
+    })))
+  })
+  return {games: games, errors: errors}
+}
+
+// ================================================================= Exports ===
+
+return {
+  STORAGE_DATE_FORMAT: STORAGE_DATE_FORMAT
+, INPUT_DATE_FORMAT: INPUT_DATE_FORMAT
+, formatMoney: formatMoney
+, parseCSV: parseCSV
+, Player: Player
+, ScoringRules: ScoringRules
+, Structure: Structure
+, Stakes: Stakes
+, Score: Score
+, Season: Season
+, Game: Game
+, LiveGame: LiveGame
+, Ledger: Ledger
+, KnockoutMatrix: KnockoutMatrix
+, League: League
+, Storage: Storage
+, LocalStorage: LocalStorage
+, MemoryStorage: MemoryStorage
+, IndexedDBStorage: IndexedDBStorage
+, ServerArea: ServerArea
+, ServerStorage: ServerStorage
+, STORAGE_BACKENDS: STORAGE_BACKENDS
+, SCHEMA_VERSION: SCHEMA_VERSION
+, STORAGE_MIGRATIONS: STORAGE_MIGRATIONS
+, Command: Command
+, CommandHistory: CommandHistory
+, AuditEntry: AuditEntry
+, AuditLog: AuditLog
+, EXPORT_FORMAT: EXPORT_FORMAT
+, EXPORT_VERSION: EXPORT_VERSION
+, EXPORT_UPGRADES: EXPORT_UPGRADES
+, exportLeague: exportLeague
+, upgradeExport: upgradeExport
+, validateExport: validateExport
+, importLeague: importLeague
+, cleanBuyIn: cleanBuyIn
+, cleanPayouts: cleanPayouts
+, cleanGameData: cleanGameData
+, CSV_COLUMNS: CSV_COLUMNS
+, readGamesCSV: readGamesCSV
+, createImportedGames: createImportedGames
+}
+
+})
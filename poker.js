@@ -1,1305 +1,2029 @@
-var STORAGE_DATE_FORMAT = '%Y-%m-%d'
-  , INPUT_DATE_FORMAT = '%d/%m/%Y'
+var STORAGE_DATE_FORMAT = league.STORAGE_DATE_FORMAT
+  , INPUT_DATE_FORMAT = league.INPUT_DATE_FORMAT
+  , Player = league.Player
+  , ScoringRules = league.ScoringRules
+  , Stakes = league.Stakes
+  , Structure = league.Structure
+  , Season = league.Season
+  , Game = league.Game
+  , LiveGame = league.LiveGame
+  , KnockoutMatrix = league.KnockoutMatrix
+  , League = league.League
+  , STORAGE_BACKENDS = league.STORAGE_BACKENDS
+  , IndexedDBStorage = league.IndexedDBStorage
+  , ServerStorage = league.ServerStorage
+  , exportLeague = league.exportLeague
+  , upgradeExport = league.upgradeExport
+  , validateExport = league.validateExport
+  , importLeague = league.importLeague
+  , cleanBuyIn = league.cleanBuyIn
+  , cleanPayouts = league.cleanPayouts
+  , cleanGameData = league.cleanGameData
+  , readGamesCSV = league.readGamesCSV
+  , createImportedGames = league.createImportedGames
 
-// =================================================================== Utils ===
+/**
+ * true if the page was served by server.js, which renders the page for each
+ * path first - the app then takes over, using the server's storage.
+ */
+var SERVED = document.body.hasAttribute('data-served')
 
-if (!Array.prototype.sum) {
-  Object.defineProperty(Array.prototype, 'sum', {
-    value: function() {
-      return this.reduce(function(a, b) { return a + b}, 0)
-    }
-  })
-}
+/**
+ * Storage for leagues, and the league whose data is being used.
+ */
+var Leagues = null
+var currentLeague = null
 
-// ================================================================ Entities ===
+/**
+ * All of the current league's storage, created with the selected backend by
+ * League#createStorage() when the league is opened.
+ */
+var leagueStorage = null
 
-// ------------------------------------------------------------------ Player ---
+/**
+ * Storage for each entity in the current league, from leagueStorage.
+ */
+var Players = null
+var Structures = null
+var Seasons = null
+var LiveGames = null
 
-function Player(name) {
-  /**
-   * Unique id, set by storage.
-   */
-  this.id = null
-  /**
-   * The player's name.
-   */
-  this.name = name
-}
+/**
+ * Undo and redo for changes made to stored data - every change goes through
+ * Commands.run().
+ */
+var Commands = null
 
-Player.prototype.toString = function() {
-  return this.name
-}
+/**
+ * Audit trail of changes to players, seasons and games.
+ */
+var Audit = null
+
+// =================================================================== Views ===
+
+// ------------------------------------------------------------------- Utils ---
 
-Player.prototype.toObject = function() {
-  return {name: this.name}
+function stop(e) {
+  e.preventDefault()
+  e.stopPropagation()
 }
 
-Player.fromObject = function(obj, id) {
-  var player = new Player(obj.name)
-  player.id = id
-  return player
+function displayContent(templateName, contextVariables) {
+  var el = document.getElementById('contents')
+  el.innerHTML = ''
+  el.appendChild(DOMBuilder.template.renderTemplate(templateName, contextVariables))
+  if (nextNotice !== null) {
+    displayNotice(nextNotice.contents, nextNotice.type)
+    nextNotice = null
+  }
+  else {
+    displayNotice(null)
+  }
 }
 
-// ------------------------------------------------------------------- Score ---
+/**
+ * Notice to display with the next view, or null - for problems found while a
+ * change is being made, before the view showing it is displayed.
+ */
+var nextNotice = null
 
 /**
- * Scoring for a Player in a sequence of games.
+ * Displays a notice above the current view, or hides it if contents is null.
+ * The notice is hidden again when another view is displayed.
  */
-function Score(player) {
-  /**
-   * The player this score is for.
-   */
-  this.player = player
-  /**
-   * Scores for each game the player has played in, by game index.
-   */
-  this.scores = []
-  /**
-   * Bounty points for each game the player has played in, by game index.
-   */
-  this.bountyPoints = []
-  /**
-   * Fish-chip points for each game the player has played in, by game index.
-   */
-  this.fishChipPoints = []
-  /**
-   * Number of games won by the player.
-   */
-  this.wins = 0
-  /**
-   * Ranking relative to other players in the same sequence of games.
-   */
-  this.ranking = null
+function displayNotice(contents, type) {
+  var notice = document.getElementById('notice')
+  notice.innerHTML = ''
+  notice.className = 'alert alert-' + (type || 'info') + (contents === null ? ' hide' : '')
+  if (contents !== null) {
+    notice.appendChild(DOMBuilder.dom.DIV(contents))
+  }
 }
 
 /**
- * Gets a Score object for the given player, or creates and adds one.
+ * Shows a error message in a help element if it is not null, otherwise hide
+ * and clears the element. If a container is given, an error class will be added
+ * or removed, as appropriate.
  */
-Score.getOrCreate = function(player, scores) {
-  // Look for an existing Score
-  for (var i = 0, l = scores.length; i < l; i++) {
-    if (player === scores[i].player) {
-      return scores[i]
+function toggleError(errorMessage, help, container) {
+  if (errorMessage !== null) {
+    if (container) {
+      container.classList.add('error')
+    }
+    help.classList.remove('hide')
+    help.textContent = errorMessage
+  }
+  else {
+    if (container) {
+      container.classList.remove('error')
     }
+    help.classList.add('hide')
+    help.textContent = ''
   }
-  // Otherwise, create and add a new Score
-  var score = new Score(player)
-  scores.push(score)
-  return score
 }
 
-Score.prototype.reset = function() {
-  this.scores = []
-  this.bonusPoints = []
-  this.wins = 0
+function cloneKnockout(e) {
+  addKnockout(this)
 }
 
 /**
- * Registers the score for the given game.
+ * Clones the first set of knockout inputs and inserts them before the given
+ * "+ Add" button, returning the new knockout inputs.
  */
-Score.prototype.setScore = function(game, score) {
-  this.scores[game.index] = score
+function addKnockout(addButton) {
+  // "+ Add" button -> first KO node
+  var ko = addButton.parentNode.parentNode.firstChild.cloneNode(true)
+  var el = DOMBuilder.dom
+  // Create and insert a "- Remove" button
+  ko.insertBefore(
+    el.SPAN({'class': 'help-inline'}
+    , el.BUTTON({'class': 'btn btn-danger', type: 'button', click: function(e) {
+        this.parentNode.parentNode.parentNode.removeChild(this.parentNode.parentNode)
+      }}, el.I({'class': 'icon-minus icon-white'}), ' Remove')
+    )
+  , ko.lastChild
+  )
+  // Reset any error display the first KO node may have before inserting
+  toggleError(null, ko.lastChild, ko)
+  addButton.parentNode.insertBefore(ko, addButton)
+  return ko
+}
+
+function activateNav(linkId) {
+  var navLinks = document.getElementById('navLinks')
+    , link = linkId !== null ? document.getElementById(linkId) : null
+    , item = link !== null ? link.parentNode : null
+  for (var el = navLinks.firstElementChild; el; el = el.nextElementSibling) {
+    if (el === item) {
+      el.classList.add('active')
+    }
+    else {
+      el.classList.remove('active')
+    }
+  }
 }
 
 /**
- * Registers bounty points earned for the given game.
+ * Enables the Undo and Redo buttons when there's a command to undo or redo,
+ * naming it in the button's tooltip.
  */
-Score.prototype.setBountyPoints = function(game, bountyPoints) {
-  this.bountyPoints[game.index] = bountyPoints
+function updateCommandButtons() {
+  ;[['navUndo', 'Undo', Commands.getUndo(), 'Ctrl+Z']
+  , ['navRedo', 'Redo', Commands.getRedo(), 'Ctrl+Y']
+  ].forEach(function(button) {
+    var link = document.getElementById(button[0])
+      , command = button[2]
+    link.title = button[1] + (command !== null ? ' ' + command.description : '') +
+                 ' (' + button[3] + ')'
+    link.parentNode.classList[command !== null ? 'remove' : 'add']('disabled')
+  })
 }
 
 /**
- * Registers bounty points earned for the given game.
+ * Undoes the last change and redisplays the current view with the restored
+ * data.
  */
-Score.prototype.setFishChipPoints = function(game, fishChipPoints) {
-  this.fishChipPoints[game.index] = fishChipPoints
+function undoCommand(e) {
+  if (e) stop(e)
+  applyCommand('undo')
 }
 
 /**
- * Registers that the player won a game.
+ * Redoes the last undone change and redisplays the current view.
  */
-Score.prototype.win = function() {
-  this.wins++
+function redoCommand(e) {
+  if (e) stop(e)
+  applyCommand('redo')
 }
 
 /**
- * Fiters undefined values out of the scores array, which is sparse.
+ * Undoes or redoes a command, displaying why if it can't be because it would
+ * add or remove players other leagues share.
  */
-Score.prototype.getGameScores = function() {
-  return this.scores.filter(function(s) { return typeof s != 'undefined'})
+function applyCommand(method) {
+  try {
+    var command = Commands[method]()
+  }
+  catch (err) {
+    if (!err.shared) throw err
+    return displayNotice(err.message, 'error')
+  }
+  if (command !== null) {
+    Router.dispatch()
+  }
 }
 
-Score.prototype.getGamesPlayed = function() {
-  return this.getGameScores().length
+/**
+ * Keyboard shortcuts for undo (Ctrl+Z) and redo (Ctrl+Y or Ctrl+Shift+Z), or
+ * Cmd on a Mac. Form fields keep their own undo.
+ */
+function handleCommandKeys(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey ||
+      /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.nodeName)) {
+    return
+  }
+  var key = e.key.toLowerCase()
+  if (key == 'z' && !e.shiftKey) {
+    undoCommand(e)
+  }
+  else if (key == 'y' || key == 'z') {
+    redoCommand(e)
+  }
 }
 
-Score.prototype.getAveragePointsPerGame = function() {
-  var scores = this.getGameScores()
-  if (!scores.length) return 0
-  return (scores.sum() / scores.length).toFixed(1)
-}
+// ---------------------------------------------------------- View Functions ---
 
-Score.prototype.getBountyPoints = function() {
-  return this.bountyPoints.sum()
+function index() {
+  activateNav(null)
+  displayContent('index', templates.contexts.index(leagueStorage))
 }
 
-Score.prototype.getFishChipPoints = function() {
-  return this.fishChipPoints.sum()
+function playersList() {
+  activateNav('navPlayers')
+  displayContent('player_list', templates.contexts.player_list(leagueStorage))
 }
 
-Score.prototype.getBonusPoints = function() {
-  return this.getBountyPoints() + this.getFishChipPoints()
-}
+function addPlayer(e) {
+  if (e) stop(e)
+  var form = document.getElementById('addPlayerForm')
+    , name = form.elements.name.value
+    , help = form.elements.name.nextSibling
+    , container = help.parentNode.parentNode
+    , errorMessage = name ? null : 'Name is required to add a new Player.'
+  toggleError(errorMessage, help, container)
+  if (!name) {
+    return
+  }
 
-Score.prototype.getLowestWeeklyPoints = function() {
-  var scores = this.getGameScores()
-  if (!scores.length) return 0
-  return Math.min.apply(Math, scores)
+  Commands.run('Add Player', function() {
+    Players.add(new Player(name))
+  })
+  playersList()
 }
 
-Score.prototype.getOverallScore = function() {
-  return this.getGameScores().slice(0)                              // Make a copy
-                             .sort(function(a, b) { return b - a }) // Sort in descending order
-                             .slice(0, 9)                           // Only take the top 9
-                             .sum()                                 // Add 'em up
+function displayPlayer(player) {
+  activateNav('navPlayers')
+  displayContent('player_details',
+                 templates.contexts.player_details(leagueStorage, player, playersShared()))
 }
 
-/**
- * Determines if this score ranks higher than another. Returns a negative number
- * if this score ranks higher, zero if the scores rank equally or a positive
- * number if the other score ranks higher, so this can be used with an array
- * sort to sort scores in winner-first fashion.
- */
-Score.prototype.compareTo = function(score) {
-  // Overall score, descending
-  if (score.getOverallScore() != this.getOverallScore()) {
-    return score.getOverallScore() - this.getOverallScore()
-  }
-  // Wins, descending
-  else if (score.wins != this.wins) {
-    return score.wins - this.wins
-  }
-  // Games played, ascending (higher average score is better)
-  else if (this.getGamesPlayed() != score.getGamesPlayed()) {
-    return this.getGamesPlayed() - score.getGamesPlayed()
+function renamePlayer(player, e) {
+  if (e) stop(e)
+  var name = cleanField(document.getElementById('renamePlayerForm'), 'name', function(value) {
+    if (!value) {
+      return 'Name is required.'
+    }
+    var existing = Players.all().filter(function(other) {
+      return other !== player && other.name.toLowerCase() == value.toLowerCase()
+    })
+    if (existing.length) {
+      return existing[0].name + ' already exists - merge the players instead.'
+    }
+    return {value: value}
+  })
+  if (typeof name == 'string') {
+    return
   }
-  // Fish-chip points, descending
-  else if (score.getFishChipPoints() != this.getFishChipPoints()) {
-    return score.getFishChipPoints() - this.getFishChipPoints()
+
+  Commands.run('Rename Player', function() {
+    player.name = name.value
+    Players.save(player)
+  })
+  displayPlayer(player)
+}
+
+function mergePlayer(player, e) {
+  if (e) stop(e)
+  var form = document.getElementById('mergePlayerForm')
+    , into = (form.elements.into.value !== ''
+              ? Players.get(parseInt(form.elements.into.value, 10))
+              : null)
+    , help = form.elements.into.nextSibling
+    , errorMessage = (into === null
+                      ? 'Select the player to merge into.'
+                      : Player.checkMerge(player, into, Seasons.all(), LiveGames.all()))
+  toggleError(errorMessage, help, help.parentNode.parentNode)
+  if (errorMessage !== null) {
+    return
   }
-  // Name, ascending (blame your parents if you lose based on this!)
-  else {
-    return this.name == score.name ? 0 : (this.name < score.name ? -1 : 1)
+  if (!confirm('Are you sure you want to merge ' + player.name + ' into ' + into.name + '?')) {
+    return
   }
+
+  Commands.run('Merge Players', function() {
+    Seasons.all().forEach(function(season) {
+      if (season.replacePlayer(player, into)) {
+        Seasons.save(season)
+      }
+    })
+    LiveGames.all().forEach(function(liveGame) {
+      if (liveGame.replacePlayer(player, into)) {
+        LiveGames.save(liveGame)
+      }
+    })
+    Players.remove(player)
+  })
+  Router.navigate(into.getUrl())
 }
 
-// ------------------------------------------------------------------ Season ---
+function toggleRetired(player, e) {
+  if (e) stop(e)
+  Commands.run(player.retired ? 'Reinstate Player' : 'Retire Player', function() {
+    player.retired = !player.retired
+    Players.save(player)
+  })
+  displayPlayer(player)
+}
 
-/**
- * A 12 week season of poker games.
- */
-function Season(name) {
-  /**
-   * Unique id, set by storage.
-   */
-  this.id = null
-  /**
-   * Whimsy, the obvious, whatever you like.
-   */
-  this.name = name
-  /**
-   * Games played in this season.
-   */
-  this.games = []
-  /**
-   * Scores for players who've played in this season.
-   */
-  this.scores = []
+function seasonsList() {
+  activateNav('navSeasons')
+  displayContent('season_list', templates.contexts.season_list(leagueStorage))
 }
 
-Season.prototype.toObject = function() {
-  return {
-    name: this.name
-  , games: this.games.map(function(g) { return g.toObject() })
+function addSeason(e) {
+  if (e) stop(e)
+  var form = document.getElementById('addSeasonForm')
+    , name = form.elements.name.value
+    , help = form.elements.name.nextSibling
+    , container = help.parentNode.parentNode
+    , errorMessage = name ? null : 'Name is required to add a new Season.'
+  toggleError(errorMessage, help, container)
+  if (!name) {
+    return
   }
-}
 
-Season.fromObject = function(obj, id) {
-  var season = new Season(obj.name)
-  season.id = id
-  obj.games.forEach(function(gameObj) {
-    season.addGame(Game.fromObject(gameObj), false)
+  var season = Commands.run('Add Season', function() {
+    return Seasons.add(currentLeague.createSeason(name))
   })
-  season.sortScores
-  return season
+  Router.navigate(season.getUrl())
 }
 
-/**
- * Adds a game and calculates its scores.
- */
-Season.prototype.addGame = function(game, sortScores) {
-  // If this is not the first game, let it know about the previous game
-  if (this.games.length) {
-    game.setPreviousGameInfo(this.games[this.games.length - 1])
+function displaySeason(season) {
+  activateNav('navSeasons')
+  displayContent('season_details', templates.contexts.season_details(leagueStorage, season))
+  if (!season.isCompleted()) {
+    selectStructure(document.getElementById('seasonStructure'), season.structure)
   }
-  // Let the game know which index it's going to live at
-  game.index = this.games.length
-  // Link back to this season
-  game.season = this
-  this.games.push(game)
-  game.calculateScores(this.scores)
-  if (!sortScores) {
-    this.sortScores()
+  // Default the date of the next game to when its week is scheduled for
+  var nextWeek = season.getNextWeek()
+  if (!season.isCompleted() && nextWeek !== null && season.schedule[nextWeek - 1]) {
+    ;['addGameForm', 'knockoutLogForm'].forEach(function(formId) {
+      document.getElementById(formId).elements.date.defaultValue =
+          isomorph.time.strftime(season.schedule[nextWeek - 1], INPUT_DATE_FORMAT)
+    })
   }
 }
 
-Season.prototype.lastGame = function() {
-  return this.games.length ? this.games[this.games.length - 1] : null
+/**
+ * Cleans a form field's value with the given function, which returns an error
+ * message if the value is invalid, or an object holding the cleaned value.
+ * Displays any error and returns the result of cleaning.
+ */
+function cleanField(form, name, clean) {
+  var el = form.elements[name]
+    , help = el.nextSibling
+    , container = help.parentNode.parentNode
+    , result = clean(el.value.replace(/^\s+|\s+$/g, ''))
+    , errorMessage = (typeof result == 'string' ? result : null)
+  toggleError(errorMessage, help, container)
+  return result
 }
 
 /**
- * Sorts scores based on overall score and updates their rankings.
+ * Cleans field values with cleanField, returning an object holding the cleaned
+ * value for each of the given names, or null if any of them were invalid.
  */
-Season.prototype.sortScores = function() {
-  this.scores.sort(function(a, b) {
-    return a.compareTo(b)
-  })
-
-  /**
-   * Assigns a rank to a list of scores - if more than one score is gettig the
-   * same rank, it will be suffixed with '='.
-   */
-  function assignRank(rank, scores) {
-    var assignedRank = rank + (scores.length > 1 ? '=' : '')
-    scores.forEach(function(score) {
-      score.ranking = assignedRank
-    })
-  }
-
-  // Update rankings
-  var rank = 1
-    , rankScores
-    , comparisonScore
-  for (var i = 0, l = this.scores.length; i < l; i++) {
-    var score = this.scores[i]
-    // Set up the first score check with the first score
-    if (i == 0) {
-      comparisonScore = score.getOverallScore()
-      rankScores = [score]
-    }
-    // If subsequent scores are the same, we buffer them until we find the next
-    // score which is lower.
-    else if (score.getOverallScore() == comparisonScore) {
-      rankScores.push(score)
+function cleanFields(form, cleaners) {
+  var cleaned = {}
+    , valid = true
+  for (var name in cleaners) {
+    var result = cleanField(form, name, cleaners[name])
+    if (typeof result == 'string') {
+      valid = false
     }
-    // Scores are sorted by overallScore descending, so this one must be lower
     else {
-      // Assign ranks to the buffered scores
-      assignRank(rank, rankScores)
-      // Increase the next rank to be given by the number of scores we just
-      // assigned the same rank to.
-      rank += rankScores.length
-      // Reset score check and buffer to the current score
-      comparisonScore = score.getOverallScore()
-      rankScores = [score]
-    }
-    // Assign ranks to whatever's left in the buffer after the last score
-    if (i == l - 1) {
-      assignRank(rank, rankScores)
+      cleaned[name] = result.value
     }
   }
-}
-
-// -------------------------------------------------------------------- Game ---
-
-function Game(date, results, knockouts) {
-  /**
-   * The season this game belongs to.
-   */
-  this.season = null
-  /**
-   * Index of this game in its Season's games.
-   */
-  this.index = null
-  /**
-   * Date the game was played on.
-   */
-  this.date = date
-  /**
-   * Players in the order they finished in, winner first.
-   */
-  this.results = results
-  /**
-   * Record who knocked out who, [perp, victim], for distribution of bonus
-   * points.
-   */
-  this.knockouts = knockouts || []
-  /**
-   * Top 3 players from last game who are playing this game.
-   */
-  this.bountyPlayers = null
-  /**
-   * Lowest-placed player from last game who is playing this game.
-   */
-  this.fishChipper = null
-  /**
-   * The story of the game, as told by scoring log messages.
-   */
-  this.story = []
-}
-
-Game.prototype.toObject = function() {
-  return {
-    date: isomorph.time.strftime(this.date, STORAGE_DATE_FORMAT)
-  , results: this.results.map(function(p) { return p.id })
-  , knockouts: this.knockouts.map(function(ko) { return [ko[0].id, ko[1].id] })
-  }
-}
-
-Game.fromObject = function(obj) {
-  var dateParts = obj.date.split('-').map(Number)
-  return new Game(
-    isomorph.time.strpdate(obj.date, STORAGE_DATE_FORMAT)
-  , obj.results.map(function(id) { return Players.get(id) })
-  , obj.knockouts.map(function(ko) {
-      return [Players.get(ko[0]), Players.get(ko[1])]
-    })
-  )
+  return (valid ? cleaned : null)
 }
 
 /**
- * Sets up information based on the previous game played, for bonus calculation.
+ * Cleans blind levels entered one per line as described by LEVELS_HELP in
+ * templates.js. The ante may be left out of blind levels.
  */
-Game.prototype.setPreviousGameInfo = function(previousGame) {
-  // Determine who has a bounty on their head
-  this.bountyPlayers = []
-  for (var i = 0, l = previousGame.results.length;
-       i < l && this.bountyPlayers.length < 3;
-       i++) {
-    var player = previousGame.results[i]
-    if (this.results.indexOf(player) != -1) {
-      this.bountyPlayers.push(player)
-    }
+function cleanLevels(value) {
+  var lines = value.split(/\s*\n\s*/).filter(function(line) { return line !== '' })
+  if (!lines.length) {
+    return 'Enter at least one blind level.'
   }
-
-  // Determine who has the fish-chip
-  for (var i = previousGame.results.length - 1; i >= 0; i--) {
-    var player = previousGame.results[i]
-    if (this.results.indexOf(player) != -1) {
-      this.fishChipper = player
-      break
+  for (var i = 0, l = lines.length; i < l; i++) {
+    var parts = lines[i].split(/\s*,\s*/)
+      , isBreak = /^break$/i.test(parts[0])
+      , numbers = (isBreak ? parts.slice(1) : parts)
+    if (!numbers.every(function(part) { return /^\d+$/.test(part) }) ||
+        numbers[numbers.length - 1] == 0) {
+      return 'Line ' + (i + 1) + ' must only contain whole numbers and minutes must be greater than zero.'
+    }
+    numbers = numbers.map(Number)
+    if (isBreak) {
+      if (numbers.length != 1) {
+        return 'Line ' + (i + 1) + ' must have the minutes the break lasts.'
+      }
+      lines[i] = {isBreak: true, minutes: numbers[0]}
+    }
+    else if (numbers.length == 3 || numbers.length == 4) {
+      lines[i] = {
+        smallBlind: numbers[0]
+      , bigBlind: numbers[1]
+      , ante: (numbers.length == 4 ? numbers[2] : 0)
+      , minutes: numbers[numbers.length - 1]
+      }
+    }
+    else {
+      return 'Line ' + (i + 1) + ' must have a small blind, big blind, ante and minutes.'
     }
   }
+  return {value: lines}
 }
 
 /**
- * Default distribution of points based on finishing position, winner first.
+ * Formats blind levels for editing, as cleanLevels expects them.
  */
-Game.DEFAULT_POINTS = [15, 13, 11, 9, 7, 5, 4, 3, 2, 1]
+function formatLevels(levels) {
+  return levels.map(function(level) {
+    return (level.isBreak
+            ? ['break', level.minutes]
+            : [level.smallBlind, level.bigBlind, level.ante || 0, level.minutes]).join(', ')
+  }).join('\n')
+}
 
 /**
- * Bonus points awarded for having the fish-chip and being in the money.
+ * Selects a structure in a select whose options have structure ids as their
+ * values - the option with a blank value is selected for null.
  */
-Game.FISH_CHIP_BONUS = 1
+function selectStructure(select, structure) {
+  Array.prototype.forEach.call(select.options, function(option) {
+    option.defaultSelected = (option.value === (structure !== null ? String(structure.id) : ''))
+  })
+}
 
 /**
- * Bonus points awarded for knocking out a top 3 player from the previous game.
+ * Gets the structure selected in a select created with selectStructure, or
+ * null if none was selected.
  */
-Game.BOUNTY_BONUS = 1
-
-Game.prototype.getGameNumber = function() {
-  return this.index + 1
+function getSelectedStructure(select) {
+  return (select.value !== '' ? Structures.get(parseInt(select.value, 10)) : null)
 }
 
-Game.prototype.getWinner = function() {
-  return this.results[0]
-}
-
-Game.prototype.getPaidPlayers = function() {
-  // Determine how many players should get paid
-  var playerCount = this.results.length
-  var paid = (playerCount - (playerCount % 3)) / 3
-  return this.results.slice(0, paid)
-}
-
-Game.prototype.calculateScores = function(scores) {
-  this.story = []
+function saveScoringRules(season, e) {
+  if (e) stop(e)
+  var form = document.getElementById('scoringRulesForm')
 
-  // Adjust points to cope with number of players if necessary
-  var points = Game.DEFAULT_POINTS.slice(0)
-  if (this.results.length > points.length) {
-    var extraPoints = this.results.length - points.length
-    // Add extra points to the defaults
-    points = points.map(function(score) { return score + extraPoints})
-    // Add new points, descending, so the player in last place gets 1 point
-    while (extraPoints > 0) {
-      points.push(extraPoints)
-      extraPoints--
+  function cleanBonus(value) {
+    if (!/^\d+$/.test(value)) {
+      return 'Bonus points must be a whole number.'
     }
+    return {value: parseInt(value, 10)}
   }
 
-  if (this.bountyPlayers !== null) {
-    this.log('Bounties issued for: ' + this.bountyPlayers.join(', ') + '.')
-  }
-  if (this.fishChipper !== null) {
-    this.log(this.fishChipper.name + ' has the fish-chip.')
-  }
-
-  for (var i = 0, l = this.results.length; i < l; i++) {
-    var player = this.results[i]
-      , score = Score.getOrCreate(player, scores)
-      , placeScore = points[i]
-      , fishChipBonus = this.calculateFishChipBonus(player)
-      , bountyBonus = this.calculateBountyBonus(player)
-    if (i == 0) {
-      score.win()
-      if (this.bountyPlayers !== null && this.bountyPlayers.indexOf(player) != -1) {
-        this.log(player + ' escaped with his own bounty!')
-        bountyBonus++
+  var rules = cleanFields(form, {
+    points: function(value) {
+      var points = value.split(/\s*,\s*/)
+      for (var i = 0, l = points.length; i < l; i++) {
+        if (!/^\d+$/.test(points[i])) {
+          return 'Points must be whole numbers separated by commas.'
+        }
       }
+      return {value: points.map(Number)}
     }
-    score.setScore(this, placeScore + fishChipBonus + bountyBonus)
-    score.setFishChipPoints(this, fishChipBonus)
-    score.setBountyPoints(this, bountyBonus)
-  }
-
-  for (var i = 0, l = this.knockouts.length; i < l; i++) {
-    var ko = this.knockouts[i]
-    this.log(ko[0].name + ' knocked out ' + ko[1].name)
+  , fishChipBonus: cleanBonus
+  , bountyBonus: cleanBonus
+  , bestGames: function(value) {
+      if (value == '') {
+        return {value: null}
+      }
+      if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+        return 'Number of games counted must be a whole number greater than zero.'
+      }
+      return {value: parseInt(value, 10)}
+    }
+  })
+  if (rules === null) {
+    return
   }
 
-  this.log(this.getWinner() + ' wins!')
-  this.log('In the money: ' + this.getPaidPlayers().join(', '))
+  Commands.run('Change Scoring Rules', function() {
+    rules.tieBreakers = season.rules.tieBreakers
+    season.rules = new ScoringRules(rules)
+    Seasons.save(season)
+  })
+  displaySeason(season)
 }
 
-/**
- * Calculates bonus points based on the given player ending up in the money
- * after losing the previous game.
- */
-Game.prototype.calculateFishChipBonus = function(player) {
-  var fishChipBonus = 0
-  if (player === this.fishChipper) {
-    var paidPlayers = this.getPaidPlayers()
-    if (paidPlayers.indexOf(player) != -1) {
-      this.log(player + ' gets a bonus point for cashing in with the fish-chip!')
-      fishChipBonus += Game.FISH_CHIP_BONUS
-    }
+function saveStakes(season, e) {
+  if (e) stop(e)
+  var errorMessage = season.checkChange('its stakes')
+  if (errorMessage !== null) {
+    return alert(errorMessage)
+  }
+  var stakes = cleanFields(document.getElementById('stakesForm'), {
+    buyIn: cleanBuyIn
+  , payouts: cleanPayouts
+  })
+  if (stakes === null) {
+    return
   }
-  return fishChipBonus
-}
 
-/**
- * Calculates bonus points based on the given player having knocked out a
- * bounty player.
- */
-Game.prototype.calculateBountyBonus = function(player) {
-  var bountyBonus = 0
-  if (this.bountyPlayers !== null) {
-    for (var i = 0, l = this.knockouts.length; i < l; i++) {
-      var knockout = this.knockouts[i]
-      if (knockout[0] === player && this.bountyPlayers.indexOf(knockout[1]) != -1) {
-        this.log(player + ' cashes in the bounty on ' + knockout[1] + '!')
-        bountyBonus += Game.BOUNTY_BONUS
+  Commands.run('Change Stakes', function() {
+    season.setStakes(new Stakes(stakes.buyIn, stakes.payouts))
+    Seasons.save(season)
+  })
+  displaySeason(season)
+}
+
+function renameSeason(season, e) {
+  if (e) stop(e)
+  var name = cleanField(document.getElementById('renameSeasonForm'), 'name', function(value) {
+    if (!value) {
+      return 'Name is required.'
+    }
+    var existing = Seasons.all().filter(function(other) {
+      return other !== season && other.name.toLowerCase() == value.toLowerCase()
+    })
+    if (existing.length) {
+      return 'There is already a Season called ' + existing[0].name + '.'
+    }
+    return {value: value}
+  })
+  if (typeof name == 'string') {
+    return
+  }
+
+  Commands.run('Rename Season', function() {
+    season.name = name.value
+    Seasons.save(season)
+  })
+  displaySeason(season)
+}
+
+function toggleArchived(season, e) {
+  if (e) stop(e)
+  Commands.run(season.archived ? 'Unarchive Season' : 'Archive Season', function() {
+    season.archived = !season.archived
+    Seasons.save(season)
+  })
+  displaySeason(season)
+}
+
+function deleteSeason(season, e) {
+  if (e) stop(e)
+  var totals = season.getTotals()
+  if (!confirm('Are you sure you want to delete ' + season.name + ' and its ' +
+               totals.games + ' game(s)? This can be undone with the toolbar\'s ' +
+               'Undo button.')) {
+    return
+  }
+
+  Commands.run('Delete Season', function() {
+    var liveGame = getLiveGame(season)
+    if (liveGame !== null) {
+      LiveGames.remove(liveGame)
+    }
+    Seasons.remove(season)
+  })
+  Router.navigate('/seasons')
+}
+
+function saveSeasonStructure(season, e) {
+  if (e) stop(e)
+  Commands.run('Change Season Structure', function() {
+    season.structure = getSelectedStructure(document.getElementById('seasonStructure'))
+    Seasons.save(season)
+  })
+  displaySeason(season)
+}
+
+function saveSchedule(season, e) {
+  if (e) stop(e)
+  var errorMessage = season.checkChange('its schedule')
+  if (errorMessage !== null) {
+    return alert(errorMessage)
+  }
+  var schedule = cleanFields(document.getElementById('scheduleForm'), {
+    weeks: function(value) {
+      if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+        return 'Weeks must be a whole number greater than zero.'
+      }
+      return {value: parseInt(value, 10)}
+    }
+  , firstWeek: function(value) {
+      if (value == '') {
+        return {value: null}
+      }
+      try {
+        return {value: isomorph.time.strpdate(value, INPUT_DATE_FORMAT)}
+      }
+      catch (e) {
+        return 'Enter a valid date in DD/MM/YYYY format.'
       }
     }
+  })
+  if (schedule === null) {
+    return
   }
-  return bountyBonus
+
+  Commands.run('Change Schedule', function() {
+    season.setSchedule(schedule.weeks, schedule.firstWeek)
+    Seasons.save(season)
+  })
+  displaySeason(season)
 }
 
-Game.prototype.log = function(message) {
-  this.story.push(message)
+function completeSeason(season, e) {
+  if (e) stop(e)
+  var errorMessage = Season.checkComplete(season, LiveGames.all())
+  if (errorMessage !== null) {
+    return alert(errorMessage)
+  }
+  if (!confirm('Are you sure you want to complete ' + season.name + '? Its ' +
+               'games will be locked and ' + season.scores[0].player.name +
+               ' will be crowned champion.')) {
+    return
+  }
+  Commands.run('Complete Season', function() {
+    season.complete()
+    Seasons.save(season)
+  })
+  displaySeason(season)
 }
 
-// ----------------------------------------------------------------- Storage ---
+function reopenSeason(season, e) {
+  if (e) stop(e)
+  Commands.run('Reopen Season', function() {
+    season.reopen()
+    Seasons.save(season)
+  })
+  displaySeason(season)
+}
 
 /**
- * Wrapper around localStorage which stores instances in an array, using its
- * indices as ids.
+ * Gets the values of a form's fields with the given name, as a list.
  */
-var LocalStorage = Concur.extend({
-  constructor: function(entity, storageKey) {
-    if (typeof entity.fromObject != 'function') {
-      throw new Error(storageKey + ': LocalStorage entities must define a static fromObject() function.')
-    }
-    if (typeof entity.prototype.toObject != 'function') {
-      throw new Error(storageKey + ': LocalStorage entities must define a toObject() instance method.')
-    }
-    this._entity = entity
-    this._storageKey = storageKey
-    /**
-     * Working copy of stored data, null indicates that it hasn't been
-     * initialised from localStorage yet.
-     */
-    this._store = null
+function getFieldValues(form, name) {
+  var fields = form.elements[name]
+  if (!fields) {
+    return []
+  }
+  if (typeof fields.nodeType != 'undefined') {
+    fields = [fields]
   }
+  return Array.prototype.map.call(fields, function(field) { return field.value })
+}
 
-  /**
-   * Loads JSON from localStorage and uses the entity's fromObject() to
-   * initialise the storage array.
-   */
-, _load: function() {
-    var json = localStorage.getItem(this._storageKey)
-    // If this is the first load, there won't be any data
-    this._store = json ? JSON.parse(json).map(this._entity.fromObject) : []
+/**
+ * Cleans a form for adding or editing a game with cleanGameData, displaying
+ * any errors. Returns the game's data, or null if the form was invalid.
+ */
+function cleanGameForm(form, season, game) {
+  var cleaned = cleanGameData({
+        date: form.elements.date.value
+      , player: getFieldValues(form, 'player')
+      , position: getFieldValues(form, 'position')
+      , perp: getFieldValues(form, 'perp')
+      , victim: getFieldValues(form, 'victim')
+      , buyIn: form.elements.buyIn.value
+      , payouts: form.elements.payouts.value
+      , structure: form.elements.structure.value
+      }, season, Players, Structures, game)
+    , errors = cleaned.errors
+
+  // Errors are displayed after each field, except for knockouts, which have a
+  // pair of fields with the error at the end.
+  function toggleFieldError(errorMessage, el) {
+    toggleError(errorMessage, el.nextSibling, el.parentNode.parentNode)
   }
+  toggleFieldError(errors.date, form.elements.date)
+  var resultsHelp = document.getElementById('results-help')
+  toggleError(errors.results, resultsHelp, resultsHelp.parentNode.parentNode)
+  Array.prototype.forEach.call(form.querySelectorAll('input[name=position]'), function(el, i) {
+    toggleFieldError(errors.positions[i], el)
+  })
+  Array.prototype.forEach.call(form.querySelectorAll('select[name=victim]'), function(el, i) {
+    toggleError(errors.knockouts[i], el.parentNode.lastChild, el.parentNode)
+  })
+  toggleFieldError(errors.buyIn, form.elements.buyIn)
+  toggleFieldError(errors.payouts, form.elements.payouts)
 
-  /**
-   * Saves the current working copy to localStorage using the entity's
-   * toObject() method to create plain data representations to be stringified.
-   */
-, _save: function() {
-    var json = JSON.stringify(this._store.map(
-      function(instance) { return instance.toObject() }
-    ))
-    localStorage.setItem(this._storageKey, json)
+  // If the form is invalid, display an extra message below the submit button
+  var btn = form.elements.submitBtn
+  toggleError(cleaned.data === null ? 'Please correct input errors.' : null,
+              btn.parentNode.lastChild)
+  return cleaned.data
+}
+
+function loadGamesCSV(e) {
+  var csv = this.form.elements.csv
+    , reader = new FileReader()
+  if (!this.files.length) {
+    return
+  }
+  reader.onload = function() {
+    csv.value = reader.result
   }
+  reader.readAsText(this.files[0])
+}
 
-  /**
-   * Gets the storage array for the entity, initialising it first if necessary.
-   */
-, _getStore: function() {
-    if (this._store === null) {
-      this._load()
-    }
-    return this._store
+function previewGamesImport(season, e) {
+  if (e) stop(e)
+  var form = document.getElementById('importGamesForm')
+    , csv = form.elements.csv
+    , help = csv.nextSibling
+    , container = help.parentNode.parentNode
+    , errorMessage = csv.value ? null : 'Enter CSV or choose a CSV file to import.'
+  toggleError(errorMessage, help, container)
+  if (errorMessage !== null) {
+    document.getElementById('importGamesPreview').innerHTML = ''
+    return
   }
 
-  /**
-   * Gets all instances of the entity - altering the array won't affect the
-   * working copy, but altering an instance will.
-   */
-, all: function() {
-    return this._getStore().slice(0)
+  displayGamesImportPreview(season, readGamesCSV(csv.value, Players, season))
+}
+
+function displayGamesImportPreview(season, imported) {
+  var preview = document.getElementById('importGamesPreview')
+  preview.innerHTML = ''
+  preview.appendChild(DOMBuilder.template.renderTemplate('games_import_preview', {
+    season: season
+  , imported: imported
+  , players: Players.all()
+  }))
+}
+
+function confirmGamesImport(season, imported, e) {
+  if (e) stop(e)
+  var form = document.getElementById('confirmGamesImportForm')
+    , selects = Array.prototype.slice.call(form.querySelectorAll('select[name=unknownName]'))
+    , players = {}
+  Players.all().forEach(function(player) {
+    players[player.name.toLowerCase()] = player
+  })
+  // Players for unknown names which aren't going to be created
+  var newNames = imported.unknownNames.filter(function(name, i) {
+    if (selects[i].value === '') return true
+    players[name.toLowerCase()] = Players.get(parseInt(selects[i].value, 10))
+    return false
+  })
+  newNames.forEach(function(name) {
+    players[name.toLowerCase()] = new Player(name)
+  })
+
+  var created = createImportedGames(imported, players)
+  if (created.errors.length) {
+    imported.errors = created.errors
+    displayGamesImportPreview(season, imported)
+    return
   }
 
-  /**
-   * Gets the instances with the given id.
-   */
-, get: function(id) {
-    return this._getStore()[id]
+  Commands.run('Import Games', function() {
+    newNames.forEach(function(name) {
+      Players.add(players[name.toLowerCase()])
+    })
+    created.games.forEach(function(game) {
+      season.addGame(game)
+    })
+    Seasons.save(season)
+  })
+  displaySeason(season)
+}
+
+/**
+ * Pre-fills a game form with an existing game's details. Default values are
+ * set so resetting the form restores them.
+ */
+function populateGameForm(form, game) {
+  form.elements.date.defaultValue =
+      isomorph.time.strftime(game.date, INPUT_DATE_FORMAT)
+
+  var positions = form.querySelectorAll('input[name=position]')
+    , playerIds = getFieldValues(form, 'player')
+  Array.prototype.forEach.call(positions, function(el, i) {
+    var position = game.results.indexOf(Players.get(parseInt(playerIds[i], 10)))
+    el.defaultValue = (position != -1 ? position + 1 : '')
+  })
+
+  function selectPlayer(select, player) {
+    Array.prototype.forEach.call(select.options, function(option) {
+      option.defaultSelected = (option.value === String(player.id))
+    })
   }
 
-  /**
-   * Determines the next available id (working copy array index).
-   */
-, nextId: function() {
-    return this._getStore().length
+  var ko = form.querySelector('.control-knockout')
+  game.knockouts.forEach(function(knockout, i) {
+    if (i > 0) {
+      ko = addKnockout(form.elements.addKnockoutBtn)
+    }
+    selectPlayer(ko.querySelector('select[name=perp]'), knockout[0])
+    selectPlayer(ko.querySelector('select[name=victim]'), knockout[1])
+  })
+
+  if (game.stakes !== null) {
+    form.elements.buyIn.defaultValue = game.stakes.formatBuyIn()
+    form.elements.payouts.defaultValue = game.stakes.payouts.join(',')
   }
+  selectStructure(form.elements.structure, game.structure)
+}
 
-  /**
-   * Generates an id for the given instance and stores it.
-   */
-, add: function(instance) {
-    instance.id = this.nextId()
-    this._getStore().push(instance)
-    this._save()
-    return instance
+function addGame(season, e) {
+  if (e) stop(e)
+  var data = cleanGameForm(document.getElementById('addGameForm'), season)
+  if (data === null) {
+    return
   }
 
-  /**
-   * Saves an existing instance - in practice this means writing the job lot to
-   * localStorage, but that's just this crappy implmentation.
-   */
-, save: function(instance) {
-    this._save()
+  // Add the game to its season
+  var game = new Game(data.date, data.results, data.knockouts, data.stakes)
+  game.structure = data.structure
+  Commands.run('Add Game', function() {
+    season.addGame(game)
+    Seasons.save(season)
+  })
+  displaySeason(season)
+}
+
+function addGameFromKnockoutLog(season, e) {
+  if (e) stop(e)
+  var form = document.getElementById('knockoutLogForm')
+    , valid = true
+
+  var date = cleanField(form, 'date', function(value) {
+    try {
+      return {value: isomorph.time.strpdate(value, INPUT_DATE_FORMAT)}
+    }
+    catch (e) {
+      return 'Enter a valid date in DD/MM/YYYY format.'
+    }
+  })
+  if (typeof date == 'string') valid = false
+
+  // Each knockout must have both players selected before the log is checked
+  var rows = Array.prototype.slice.call(form.querySelectorAll('.control-knockout'))
+    , eliminations = []
+  rows.forEach(function(row) {
+    var victimId = row.querySelector('select[name=victim]').value
+      , perpId = row.querySelector('select[name=perp]').value
+      , errorMessage = null
+    if (victimId == '' || perpId == '') {
+      errorMessage = 'Select a player from each dropdown.'
+      valid = false
+    }
+    else {
+      eliminations.push([Players.get(parseInt(perpId, 10)),
+                         Players.get(parseInt(victimId, 10))])
+    }
+    toggleError(errorMessage, row.lastChild, row)
+  })
+
+  var help = form.elements.submitBtn.parentNode.lastChild
+  if (!valid) {
+    return toggleError('Please correct input errors.', help)
+  }
+
+  var derived = Game.fromKnockoutLog(date.value, eliminations)
+    , logError = null
+  derived.errors.forEach(function(error) {
+    if (error.index !== null) {
+      toggleError(error.message, rows[error.index].lastChild, rows[error.index])
+    }
+    else {
+      logError = error.message
+    }
+  })
+  toggleError(derived.errors.length ? logError || 'Please correct input errors.' : null, help)
+  if (derived.game === null) {
+    return
   }
-})
 
-var Players = new LocalStorage(Player, 'players')
-var Seasons = new LocalStorage(Season, 'seasons')
+  Commands.run('Add Game', function() {
+    season.addGame(derived.game)
+    Seasons.save(season)
+  })
+  displaySeason(season)
+}
 
-// =============================================================== Templates ===
+/**
+ * Gets games from all seasons.
+ */
+function allGames() {
+  return Season.getAllGames(Seasons.all())
+}
 
-// ---------------------------------------------------------- Template Nodes ---
+function displayKnockouts(season) {
+  activateNav(season !== null ? 'navSeasons' : 'navKnockouts')
+  displayContent('knockout_matrix', {
+    season: season
+  , matrix: new KnockoutMatrix(season !== null ? season.games : allGames())
+  })
+}
 
-var templateAPI = DOMBuilder.modes.template.api
+/**
+ * Gets the live game being played for the given season, if any.
+ */
+function getLiveGame(season) {
+  return LiveGame.getForSeason(LiveGames.all(), season)
+}
 
 /**
- * Provides an event-handling function and optionally partially applies
- * arguments to it. The function can be provided directly or as a template
- * variable and any arguments are expected to come from template variables.
+ * Interval which updates the clock while a live game is being displayed.
  */
-var EventHandlerNode = templateAPI.TemplateNode.extend({
-  constructor: function(func, args) {
-    args = args || []
-    this.func = (typeof func == 'function' ? func : new templateAPI.Variable(func))
-    this.args = args.map(function(arg) {
-      return (arg instanceof templateAPI.Variable ? arg : new templateAPI.Variable(arg))
+var clockInterval = null
+
+function displayLiveGame(season) {
+  activateNav('navSeasons')
+  if (clockInterval !== null) {
+    clearInterval(clockInterval)
+    clockInterval = null
+  }
+  var liveGame = getLiveGame(season)
+  if (liveGame === null) {
+    var lastGame = season.lastGame()
+    displayContent('live_game_setup', {
+      season: season
+    , players: Player.getActive(Players.all())
+    , structures: Structures.all()
+    , levels: formatLevels(new LiveGame(season, [], null, season.structure).levels)
     })
+    selectStructure(document.getElementById('liveStructure'), season.structure)
+    // Assume the players from the last game are present
+    if (lastGame !== null) {
+      Array.prototype.forEach.call(document.getElementById('liveGameForm').elements.present, function(el) {
+        el.defaultChecked = (lastGame.results.indexOf(Players.get(parseInt(el.value, 10))) != -1)
+      })
+    }
+    return
   }
 
-, render: function(context) {
-    var func = (typeof this.func == 'function' ? this.func : this.func.resolve(context))
-      , args = this.args.map(function(arg) { return arg.resolve(context) })
-    return function() {
-      func.apply(this, args.concat(Array.prototype.slice.call(arguments)))
+  var info = liveGame.getPreviousGameInfo()
+  displayContent('live_game', {
+    liveGame: liveGame
+  , info: info
+  , remaining: liveGame.getRemainingPlayers().map(function(player) {
+      return {
+        player: player
+      , bounty: info.bountyPlayers.indexOf(player) != -1
+      , fishChip: info.fishChipper === player
+      }
+    })
+  })
+  updateClock(liveGame)
+  clockInterval = setInterval(function() {
+    // Stop updating once the clock is no longer displayed
+    if (document.getElementById('clock') === null) {
+      clearInterval(clockInterval)
+      clockInterval = null
+      return
     }
+    updateClock(liveGame)
+  }, 1000)
+}
+
+/**
+ * Formats milliseconds as minutes and seconds.
+ */
+function formatDuration(ms) {
+  var seconds = Math.ceil(ms / 1000)
+    , minutes = Math.floor(seconds / 60)
+  seconds = seconds % 60
+  return minutes + ':' + (seconds < 10 ? '0' : '') + seconds
+}
+
+/**
+ * Describes a level's blinds and ante, or that it's a break.
+ */
+function formatLevel(level) {
+  if (level.isBreak) {
+    return 'Break'
   }
-})
+  return level.smallBlind + ' / ' + level.bigBlind + (level.ante ? ' ante ' + level.ante : '')
+}
+
+function updateClock(liveGame) {
+  var index = liveGame.getLevelIndex()
+    , numbered = new Structure(null, 0, liveGame.levels).getNumberedLevels()
+    , level = liveGame.levels[index]
+    , next = liveGame.levels[index + 1]
+    , remaining = liveGame.getLevelRemaining()
+  document.getElementById('clockLevel').textContent =
+      (level.isBreak
+       ? (index > 0 ? 'After Level ' + numbered[index - 1].number : 'Before Level 1')
+       : 'Level ' + numbered[index].number) +
+      (liveGame.isRunning() ? '' : ' (paused)')
+  document.getElementById('clockBlinds').textContent = formatLevel(level)
+  document.getElementById('clockRemaining').textContent =
+      (remaining !== null ? formatDuration(remaining) : 'Final Level')
+  document.getElementById('clockNext').textContent = (next
+      ? 'Next level: ' + formatLevel(next)
+      : '')
+  document.getElementById('clockToggle').textContent =
+      (liveGame.isRunning() ? 'Pause' : 'Start') + ' Clock'
+}
+
+function startLiveGame(season, e) {
+  if (e) stop(e)
+  var form = document.getElementById('liveGameForm')
+    , presentHelp = document.getElementById('present-help')
+    , players = Array.prototype.filter.call(form.elements.present, function(el) {
+        return el.checked
+      }).map(function(el) {
+        return Players.get(parseInt(el.value, 10))
+      })
+  toggleError(players.length < 2 ? 'At least 2 players must be present.' : null,
+              presentHelp, presentHelp.parentNode.parentNode)
+
+  var levels = cleanField(form, 'levels', cleanLevels)
+  if (players.length < 2 || typeof levels == 'string') {
+    return
+  }
+
+  Commands.run('Start Live Game', function() {
+    LiveGames.add(new LiveGame(season, players, levels.value,
+                               getSelectedStructure(form.elements.structure)))
+  })
+  displayLiveGame(season)
+}
 
 /**
- * Provides access to construct an EventHandlerNode in templates.
+ * Replaces the live game form's levels with those of the selected structure.
  */
-DOMBuilder.template.$handler = function(func) {
-  return new EventHandlerNode(func, Array.prototype.slice.call(arguments, 1))
+function selectLiveStructure(e) {
+  var structure = getSelectedStructure(this)
+  if (structure !== null) {
+    this.form.elements.levels.value = formatLevels(structure.levels)
+  }
 }
 
-// --------------------------------------------------------------- Templates ---
+/**
+ * Starts or pauses the clock. The clock's state is saved so it survives a
+ * reload, but working the clock isn't a Command - undoing it would put the
+ * clock back to a time which has already passed.
+ */
+function toggleClock(liveGame) {
+  if (liveGame.isRunning()) {
+    liveGame.pause()
+  }
+  else {
+    liveGame.start()
+  }
+  LiveGames.save(liveGame)
+  updateClock(liveGame)
+}
 
-void function() { with (DOMBuilder.template) {
+function previousLevel(liveGame) {
+  liveGame.setLevel(liveGame.getLevelIndex() - 1)
+  LiveGames.save(liveGame)
+  updateClock(liveGame)
+}
 
-var template = DOMBuilder.template
+function nextLevel(liveGame) {
+  liveGame.setLevel(liveGame.getLevelIndex() + 1)
+  LiveGames.save(liveGame)
+  updateClock(liveGame)
+}
 
-function toggleAddButton(text) {
-  return template.DIV({'class': 'form-actions'}
-  , template.BUTTON({'class': 'btn btn-primary', type: 'button', click: function(e) {
-      this.parentNode.nextSibling.classList.toggle('hide')
-      this.parentNode.classList.toggle('hide')
-    }}, text)
-  )
+function recordKnockout(liveGame, victim, e) {
+  if (e) stop(e)
+  var perpId = this.elements.perp.value
+    , help = this.lastChild
+    , errorMessage = (perpId === ''
+                      ? 'Select who knocked them out.'
+                      : liveGame.knockout(Players.get(parseInt(perpId, 10)), victim))
+  toggleError(errorMessage, help, this.parentNode.parentNode)
+  if (errorMessage !== null) {
+    return
+  }
+
+  if (!liveGame.isFinished()) {
+    Commands.run('Record Knockout', function() {
+      LiveGames.save(liveGame)
+    })
+    return displayLiveGame(liveGame.season)
+  }
+
+  // Only the winner is left, so the game's over
+  var season = liveGame.season
+    , now = new Date()
+    , game = liveGame.toGame(new Date(now.getFullYear(), now.getMonth(), now.getDate()))
+  Commands.run('Finish Live Game', function() {
+    season.addGame(game)
+    Seasons.save(season)
+    LiveGames.remove(liveGame)
+  })
+  Router.navigate(game.getUrl())
 }
 
-function toggleCancelButton() {
-  return template.BUTTON({'class': 'btn', type: 'button', click: function(e) {
-    this.form.classList.toggle('hide')
-    this.form.previousSibling.classList.toggle('hide')
-    this.form.reset()
-  }}, 'Cancel')
-}
-
-$template('league_table'
-, TABLE({'class': 'table table-striped table-bordered table-condensed'}
-  , THEAD(TR(
-      TH('Player')
-    , TH('Games Played')
-    , TH('Wins')
-    , TH('Average Points Per Game')
-    , TH('Bonus Points')
-    , TH('Lowest Weekly Points')
-    , TH('Overall Points')
-    , TH('Ranking')
-    ))
-  , TBODY($for('score in scores'
-    , TR(
-        TD(
-          A({href: '#', click: $handler(displayPlayer, 'score.player')}
-          , '{{ score.player.name }}'
-          )
-        )
-      , TD('{{ score.getGamesPlayed }}')
-      , TD('{{ score.wins }}')
-      , TD('{{ score.getAveragePointsPerGame }}')
-      , TD('{{ score.getBonusPoints }}')
-      , TD('{{ score.getLowestWeeklyPoints }}')
-      , TD('{{ score.getOverallScore }}')
-      , TD('{{ score.ranking }}')
-      )
-    ))
-  )
-)
-
-$template('index'
-, $if('season'
-  , DIV({'class': 'page-header'}
-    , H1(
-        A({href: '#', click: $handler(displaySeason, 'season')}, '{{ season.name }}')
-      , ' League Table'
-      )
-    )
-  , $if('season.games.length'
-    , $include('league_table', {scores: $var('season.scores')})
-    , $else(DIV({'class': 'alert alert-info'}
-      ,'The League Table will begin as soon as some games have been played.'
-      ))
-    )
-  , $else(
-      DIV({'class': 'alert alert-info'}, 'There are no Seasons set up yet.')
-    )
-  )
-)
+function undoKnockout(liveGame) {
+  Commands.run('Undo Knockout', function() {
+    liveGame.undoKnockout()
+    LiveGames.save(liveGame)
+  })
+  displayLiveGame(liveGame.season)
+}
 
-$template('player_list'
-, DIV({'class': 'page-header'}
-  , H1('Players')
-  )
-, $if('players.length'
-  , UL($for('player in players'
-    , LI(A({href: '#', click: $handler(displayPlayer, 'player')}, '{{ player.name }}'))
-    ))
-  , $else(DIV({'class': 'alert alert-info'}, 'None yet - add one below.'))
-  )
-, toggleAddButton('Add Player')
-, FORM({id: 'addPlayerForm', 'class': 'form-horizontal hide', submit: addPlayer}
-  , FIELDSET(
-      LEGEND('Add Player')
-    , DIV({'class': 'control-group'}
-      , LABEL({'class': 'control-label', 'for': 'name'}, 'Name')
-      , DIV({'class': 'controls'}
-        , INPUT({'class:': 'input-large', type: 'text', name: 'name', id: 'name'})
-        , P({'class': 'help-block hide'})
-        )
-      )
-    , DIV({'class': 'form-actions'}
-      , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Add Player')
-      , ' '
-      , toggleCancelButton()
-      )
-    )
-  )
-)
+function abandonLiveGame(liveGame, e) {
+  if (e) stop(e)
+  if (!confirm('Are you sure you want to abandon this game? Knockouts recorded so far will be lost.')) {
+    return
+  }
+  Commands.run('Abandon Live Game', function() {
+    LiveGames.remove(liveGame)
+  })
+  Router.navigate(liveGame.season.getUrl())
+}
 
-// TODO
-$template('player_details'
-, DIV({'class': 'page-header'}
-  , H1('Player: {{ player.name }}')
-  )
-, H2('All-Time Rankings')
-, $for('season, score in seasonScores'
-  , H3(
-      'Season: '
-    , A({href: '#', click: $handler(displaySeason, 'season')}, '{{ season.name }}')
-    )
-  , TABLE({'class': 'table table-striped table-bordered table-condensed'}
-    , THEAD(TR(
-        TH('Games Played')
-      , TH('Wins')
-      , TH('Average Points Per Game')
-      , TH('Bonus Points')
-      , TH('Lowest Weekly Points')
-      , TH('Overall Points')
-      , TH('Ranking')
-      ))
-    , TBODY(
-        TR(
-          TD('{{ score.getGamesPlayed }}')
-        , TD('{{ score.wins }}')
-        , TD('{{ score.getAveragePointsPerGame }}')
-        , TD('{{ score.getBonusPoints }}')
-        , TD('{{ score.getLowestWeeklyPoints }}')
-        , TD('{{ score.getOverallScore }}')
-        , TD('{{ score.ranking }}')
-        )
-      )
-    )
-  , $empty("This player hasn't played any games yet.")
-  )
-)
+function structuresList() {
+  activateNav('navStructures')
+  displayContent('structure_list', {
+    structures: Structures.all()
+  , playerCount: Players.all().length || 8
+  })
+}
 
-$template('season_list'
-, DIV({'class': 'page-header'}
-  , H1('Seasons')
-  )
-, $if('seasons.length'
-  ,TABLE({'class': 'table table-striped table-bordered table-condensed'}
-    , THEAD(TR(
-        TH('Name')
-      , TH('Games Played')
-      ))
-    , TBODY($for('season in seasons'
-      , TR(
-          TD(
-            A({href: '#', click: $handler(displaySeason, 'season')}
-            , '{{ season.name }}'
-            )
-          )
-        , TD('{{ season.games.length }}')
-        )
-      ))
-    )
-  , $else(DIV({'class': 'alert alert-info'}, 'None yet - add one below.'))
-  )
-, toggleAddButton('Add Season')
-, FORM({id: 'addSeasonForm', 'class': 'form-horizontal hide', submit: addSeason}
-  , FIELDSET(
-      LEGEND('Add Season')
-    , DIV({'class': 'control-group'}
-      , LABEL({'class': 'control-label', 'for': 'name'}, 'Name')
-      , DIV({'class': 'controls'}
-        , INPUT({'class:': 'input-large', type: 'text', name: 'name', id: 'name'})
-        , P({'class': 'help-block hide'})
-        )
-      )
-    , DIV({'class': 'form-actions'}
-      , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Add Season')
-      , ' '
-      , toggleCancelButton()
-      )
-    )
-  )
-)
+function generateStructure(e) {
+  if (e) stop(e)
+  var form = document.getElementById('generateStructureForm')
 
-$template('season_details'
-, DIV({'class': 'page-header'}
-  , H1('Season: {{ season.name }}')
-  )
-, H2('Games')
-, $if('season.games.length'
-  , TABLE({'class': 'table table-striped table-bordered table-condensed'}
-    , THEAD(TR(
-        TH()
-      , TH('Players')
-      , TH('Played On')
-      , TH('Winner')
-      ))
-    , TBODY($for('game in season.games'
-      , TR(
-          TD(A({href: '#', click: $handler(displayGame, 'game')}, 'Game {{ game.getGameNumber }}'))
-        , TD('{{ game.results.length }}')
-        , TD('{{ game.date.toDateString }}')
-        , TD(A({href: '#', click: $handler(displayPlayer, 'game.getWinner')}, '{{ game.getWinner.name }}'))
-        )
-      ))
-    )
-  , $else(DIV({'class': 'alert alert-info'}, 'None yet - add one below.'))
-  )
-, toggleAddButton('Add Game')
-, FORM({id: 'addGameForm', 'class': 'form-horizontal hide', submit: $handler(addGame, 'season')}
-  , FIELDSET(
-      LEGEND('Add Game')
-    , DIV({'class': 'control-group'}
-      , LABEL({'class': 'control-label', 'for': 'date'}, 'Date')
-      , DIV({'class': 'controls'}
-        , INPUT({type: 'text', name: 'date', id: 'date', placeholder: 'DD/MM/YYYY'})
-        , P({'class': 'help-block hide'})
-        )
-      )
-    , DIV({'class': 'control-group'}
-      , LABEL({'class': 'control-label'}, 'Results')
-      , DIV({'class': 'controls'}
-        , $if('players.length'
-          , TABLE({'class': 'table table-condensed table-controls', style: 'width: auto'}
-            , THEAD(TR(
-                TH({style: 'width: 150px'}, 'Player')
-              , TH({style: 'width: 350px'}, 'Position')
-              ))
-            , TBODY($for('player in players'
-              , TR(
-                  TD(LABEL({'for': 'position{{ forloop.counter }}'}, '{{ player.name }}'))
-                , TD(
-                    INPUT({type: 'hidden', name: 'player', value: '{{ player.id }}'})
-                  , INPUT({type: 'text', name: 'position', id: 'position{{ forloop.counter }}', 'class': 'input-mini'})
-                  , SPAN({'class': 'help-inline hide'})
-                  )
-                )
-              ))
-            )
-          , $else(
-              DIV({'class': 'alert alert-info'}
-              , 'There are no Players registered yet - add some on the '
-              , A({href: '#', click: playersList}, 'Players')
-              , ' page.'
-              )
-            )
-          )
-        , P({'class': 'help-block hide', id: 'results-help'})
-        )
-      )
-    , DIV({'class': 'control-group'}
-      , LABEL({'class': 'control-label'}, 'Knockouts')
-      , DIV({'class': 'controls'}
-        , DIV({'class': 'control-knockout'}
-          , SELECT({'name': 'perp'}
-            , OPTION({value: ''}, '----')
-            , $for('player in players'
-              , OPTION({value: '{{ player.id }}'}, '{{ player.name }}')
-              )
-            )
-          , ' knocked out '
-          , SELECT({'name': 'victim'}
-            , OPTION({value: ''}, '----')
-            , $for('player in players'
-              , OPTION({value: '{{ player.id }}'}, '{{ player.name }}')
-              )
-            )
-          , P({'class': 'help-block hide'})
-          )
-        , P(BUTTON({'class': 'btn btn-success', type: 'button', click: cloneKnockout}
-          , I({'class': 'icon-plus icon-white'})
-          , ' Add'
-          ))
-        )
-      )
-    , DIV({'class': 'form-actions'}
-      , BUTTON({'class': 'btn btn-primary', type: 'submit', name: 'submitBtn'}, 'Add Game')
-      , ' '
-      , toggleCancelButton()
-      , P({'class': 'help-block hide'})
-      )
-    )
-  )
-, H2('League Table')
-, $if('season.games.length'
-  , $include('league_table', {scores: $var('season.scores')})
-  , $else(DIV({'class': 'alert alert-info'}
-    ,'The League Table will begin as soon as some games have been played.'
+  function cleanWholeNumber(label, min) {
+    return function(value) {
+      if (!/^\d+$/.test(value) || Number(value) < min) {
+        return label + ' must be a whole number of at least ' + min + '.'
+      }
+      return {value: Number(value)}
+    }
+  }
+
+  var data = cleanFields(form, {
+    name: function(value) {
+      return (value ? {value: value} : 'Name is required to generate a Structure.')
+    }
+  , startingStack: cleanWholeNumber('Starting stack', 100)
+  , playerCount: cleanWholeNumber('Players', 2)
+  , targetMinutes: cleanWholeNumber('Target duration', 1)
+  , levelMinutes: cleanWholeNumber('Level length', 1)
+  })
+  if (data === null) {
+    return
+  }
+
+  var structure = Commands.run('Generate Structure', function() {
+    return Structures.add(Structure.generate(
+      data.name, data.startingStack, data.playerCount, data.targetMinutes, data.levelMinutes
     ))
-  )
-)
-
-$template('game_details'
-, DIV({'class': 'page-header'}
-  , H1(
-      'Game {{ game.getGameNumber }} in '
-    , A({href: '#', click: $handler(displaySeason, 'game.season')}, '{{ game.season.name }}')
-    , ', played on {{ game.date.toDateString }}'
-    )
-  )
-, H2('Story of the Game')
-, $for('line in game.story'
-  , P('{{ line }}')
-  )
-, UL({'class': 'pager'}
-  , $if('previousGame'
-    , LI({'class': 'previous'}
-      , A({href: '#', click: $handler(displayGame, 'previousGame')}, '\u2190 Previous Game')
-      )
-    )
-  , $if('nextGame'
-    , LI({'class': 'next'}
-      , A({href: '#', click: $handler(displayGame, 'nextGame')}, 'Next Game \u2192')
-      )
-    )
-  )
-)
+  })
+  Router.navigate(structure.getUrl())
+}
 
-}}()
+function displayStructure(structure) {
+  activateNav('navStructures')
+  displayContent('structure_details', {
+    structure: structure
+  , levels: formatLevels(structure.levels)
+  })
+}
 
-// =================================================================== Views ===
+function editStructure(structure, e) {
+  if (e) stop(e)
+  var data = cleanFields(document.getElementById('editStructureForm'), {
+    name: function(value) {
+      return (value ? {value: value} : 'Name is required.')
+    }
+  , startingStack: function(value) {
+      return (/^\d+$/.test(value) ? {value: Number(value)} : 'Starting stack must be a whole number.')
+    }
+  , levels: cleanLevels
+  })
+  if (data === null) {
+    return
+  }
 
-// ------------------------------------------------------------------- Utils ---
+  Commands.run('Edit Structure', function() {
+    structure.name = data.name
+    structure.startingStack = data.startingStack
+    structure.levels = data.levels
+    Structures.save(structure)
+  })
+  displayStructure(structure)
+}
 
-function stop(e) {
-  e.preventDefault()
-  e.stopPropagation()
+function displayRankingHistory(season) {
+  activateNav('navSeasons')
+  displayContent('ranking_history', {
+    season: season
+  })
 }
 
-function displayContent(templateName, contextVariables) {
-  var el = document.getElementById('contents')
-  el.innerHTML = ''
-  el.appendChild(DOMBuilder.template.renderTemplate(templateName, contextVariables))
+function leagueData(summary) {
+  var current = getStorageBackend()
+  activateNav('navData')
+  displayContent('league_data', {
+    summary: summary || null
+  , backends: (SERVED
+               ? [{name: 'server', label: ServerStorage.label, current: true}]
+               : Object.keys(STORAGE_BACKENDS).map(function(name) {
+                   return {name: name, label: STORAGE_BACKENDS[name].label, current: name == current}
+                 }))
+  })
 }
 
-/**
- * Shows a error message in a help element if it is not null, otherwise hide
- * and clears the element. If a container is given, an error class will be added
- * or removed, as appropriate.
- */
-function toggleError(errorMessage, help, container) {
+function displayStorageError(err) {
+  activateNav(null)
+  displayContent('storage_error', {
+    error: err
+  })
+}
+
+function downloadExport(e) {
+  var json = JSON.stringify(exportLeague(Players, Seasons, Structures), null, 2)
+    , a = document.createElement('a')
+  a.href = URL.createObjectURL(new Blob([json], {type: 'application/json'}))
+  a.download = 'poker-league-' + isomorph.time.strftime(new Date(), STORAGE_DATE_FORMAT) + '.json'
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(a.href)
+}
+
+function importLeagueFile(e) {
+  if (e) stop(e)
+  var form = document.getElementById('importForm')
+    , fileInput = form.elements.file
+    , help = fileInput.nextSibling
+    , container = help.parentNode.parentNode
+    , errors = document.getElementById('importErrors')
+    , mode = form.querySelector('input[name=mode]:checked').value
+
+  function showErrors(messages) {
+    var el = DOMBuilder.dom
+    errors.innerHTML = ''
+    errors.appendChild(el.P(
+      el.STRONG('The file could not be imported'), ' - please correct these problems:'
+    ))
+    errors.appendChild(el.UL(messages.map(function(message) {
+      return el.LI(message)
+    })))
+    errors.classList.remove('hide')
+  }
+
+  errors.classList.add('hide')
+  var errorMessage = fileInput.files.length ? null : 'Choose an export file to import.'
+  toggleError(errorMessage, help, container)
   if (errorMessage !== null) {
-    if (container) {
-      container.classList.add('error')
+    return
+  }
+
+  var reader = new FileReader()
+  reader.onload = function() {
+    var data
+    try {
+      data = JSON.parse(reader.result)
     }
-    help.classList.remove('hide')
-    help.textContent = errorMessage
+    catch (e) {
+      return showErrors(['The file is not valid JSON: ' + e.message])
+    }
+    var problems = upgradeExport(data)
+    if (!problems.length) {
+      problems = validateExport(data)
+    }
+    if (problems.length) {
+      return showErrors(problems)
+    }
+    if (mode == 'replace' && playersShared()) {
+      return showErrors(['Players are shared with other leagues, so they can\'t be replaced - ' +
+                         'merge the file into the current data instead.'])
+    }
+    if (mode == 'replace') {
+      if (!confirm('Are you sure you want to delete all current players, structures and seasons?')) {
+        return
+      }
+    }
+    var summary = Commands.run('Import League Data', function() {
+      if (mode == 'replace') {
+        // Live games belong to seasons which are about to be deleted
+        LiveGames.clear()
+      }
+      return importLeague(data, mode, Players, Seasons, Structures)
+    })
+    leagueData(summary)
+  }
+  reader.readAsText(fileInput.files[0])
+}
+
+/**
+ * Filters applied to the history page - {type, seasonId, operator}.
+ */
+var historyFilters = {}
+
+/**
+ * Gets the name of whoever is making changes on this device, or null.
+ */
+function getOperator() {
+  return localStorage.getItem('operator') || null
+}
+
+function saveOperator(e) {
+  if (e) stop(e)
+  var operator = document.getElementById('operatorForm').elements.operator.value
+  if (operator) {
+    localStorage.setItem('operator', operator)
   }
   else {
-    if (container) {
-      container.classList.remove('error')
-    }
-    help.classList.add('hide')
-    help.textContent = ''
+    localStorage.removeItem('operator')
+  }
+  displayHistory()
+}
+
+function filterHistory(e) {
+  if (e) stop(e)
+  var form = document.getElementById('historyFilterForm')
+  historyFilters = {
+    type: form.elements.type.value
+  , seasonId: (form.elements.season.value !== '' ? Number(form.elements.season.value) : null)
+  , operator: form.elements.operator.value
+  }
+  displayHistory()
+}
+
+/**
+ * Formats a value from a logged change for display - player ids in game
+ * results and knockouts are displayed as the players' current names.
+ */
+function formatAuditValue(name, value, entry) {
+  if (value === undefined || value === null) {
+    return '\u2014'
+  }
+  function playerName(id) {
+    var player = Players.get(id)
+    return (player !== null ? player.name : 'Player ' + id)
+  }
+  if (entry.type == 'game' && name == 'results') {
+    return value.map(playerName).join(', ')
+  }
+  if (entry.type == 'game' && name == 'knockouts') {
+    return value.map(function(ko) {
+      return playerName(ko[0]) + ' knocked out ' + playerName(ko[1])
+    }).join(', ') || 'None'
   }
+  return (typeof value == 'string' ? value : JSON.stringify(value))
 }
 
-function cloneKnockout(e) {
-  // "+ Add" button -> first KO node
-  var ko = this.parentNode.parentNode.firstChild.cloneNode(true)
+function displayHistory() {
+  activateNav('navHistory')
+  displayContent('history', {
+    operator: getOperator() || ''
+  , seasons: Seasons.all()
+  , operators: Audit.getOperators()
+  , rows: Audit.getEntries(historyFilters).map(function(entry) {
+      var season = Seasons.get(entry.type == 'game' ? entry.seasonId : entry.targetId)
+      return {
+        entry: entry
+      , time: isomorph.time.strftime(new Date(entry.time), INPUT_DATE_FORMAT + ' %H:%M')
+      , exists: (entry.type == 'player' ? Players.get(entry.targetId) !== null
+                 : entry.type == 'season' ? season !== null
+                 : season !== null && season.getGame(entry.targetId) !== null)
+      , properties: entry.getChangedProperties().map(function(property) {
+          return {
+            name: property.name
+          , before: formatAuditValue(property.name, property.before, entry)
+          , after: formatAuditValue(property.name, property.after, entry)
+          }
+        })
+      }
+    })
+  })
+  var form = document.getElementById('historyFilterForm')
+  form.elements.type.value = historyFilters.type || ''
+  form.elements.season.value = (historyFilters.seasonId != null ? String(historyFilters.seasonId) : '')
+  form.elements.operator.value = historyFilters.operator || ''
+}
+
+/**
+ * Fills the navbar's league switcher with the leagues, selecting the current
+ * one, followed by an option to manage them.
+ */
+function updateLeagueSwitcher() {
   var el = DOMBuilder.dom
-  // Create and insert a "- Remove" button
-  ko.insertBefore(
-    el.SPAN({'class': 'help-inline'}
-    , el.BUTTON({'class': 'btn btn-danger', type: 'button', click: function(e) {
-        this.parentNode.parentNode.parentNode.removeChild(this.parentNode.parentNode)
-      }}, el.I({'class': 'icon-minus icon-white'}), ' Remove')
-    )
-  , ko.lastChild
-  )
-  // Reset any error display the first KO node may have before inserting
-  toggleError(null, ko.lastChild, ko)
-  this.parentNode.insertBefore(ko, this)
+    , select = document.getElementById('leagueSelect')
+  select.innerHTML = ''
+  Leagues.all().forEach(function(league) {
+    select.appendChild(el.OPTION({value: league.id}, league.name))
+  })
+  select.appendChild(el.OPTION({value: ''}, 'Manage Leagues\u2026'))
+  select.value = String(currentLeague.id)
 }
 
-function activateNav(linkId) {
-  var navLinks = document.getElementById('navLinks')
-    , link = linkId !== null ? document.getElementById(linkId) : null
-    , item = link !== null ? link.parentNode : null
-  for (var el = navLinks.firstElementChild; el; el = el.nextElementSibling) {
-    if (el === item) {
-      el.classList.add('active')
-    }
-    else {
-      el.classList.remove('active')
-    }
+function selectLeague(e) {
+  var value = this.value
+  if (value === '') {
+    this.value = String(currentLeague.id)
+    return Router.navigate('/leagues')
   }
+  switchLeague(Leagues.get(Number(value)))
 }
 
-// ---------------------------------------------------------- View Functions ---
+/**
+ * Determines if the current league's players are used by other leagues too.
+ */
+function playersShared() {
+  return currentLeague.isSharingPlayers(Leagues.all())
+}
 
-function index(e) {
-  if (e) stop(e)
+function leaguesList() {
   activateNav(null)
-  displayContent('index', {
-    season: Seasons.all().pop()
+  displayContent('league_list', {
+    current: currentLeague
+  , firstLeague: Leagues.get(0)
+  , rows: Leagues.all().map(function(league) {
+      return {league: league, current: league === currentLeague}
+    })
+  , tieBreakers: Object.keys(ScoringRules.TIE_BREAKERS).map(function(name) {
+      return {name: name, label: ScoringRules.TIE_BREAKERS[name].label}
+    })
+  })
+  var selects = document.getElementById('tieBreakersForm').querySelectorAll('select[name=tieBreaker]')
+  currentLeague.tieBreakers.forEach(function(name, i) {
+    Array.prototype.forEach.call(selects[i].options, function(option) {
+      option.defaultSelected = (option.value === name)
+    })
   })
 }
 
-function playersList(e) {
+/**
+ * Cleans a league name, which must be given and not be used by another league.
+ */
+function cleanLeagueName(league) {
+  return function(value) {
+    if (!value) {
+      return 'Name is required.'
+    }
+    var existing = Leagues.all().filter(function(other) {
+      return other !== league && other.name.toLowerCase() == value.toLowerCase()
+    })
+    if (existing.length) {
+      return 'There is already a League called ' + existing[0].name + '.'
+    }
+    return {value: value}
+  }
+}
+
+function switchLeague(league, e) {
   if (e) stop(e)
-  activateNav('navPlayers')
-  displayContent('player_list', {
-    players: Players.all()
+  openLeague(league, function(err) {
+    if (err) return displayStorageError(err)
+    Router.navigate('/')
   })
 }
 
-function addPlayer(e) {
+function addLeague(e) {
   if (e) stop(e)
-  var form = document.getElementById('addPlayerForm')
-    , name = form.elements.name.value
-    , help = form.elements.name.nextSibling
+  var form = document.getElementById('addLeagueForm')
+    , name = cleanField(form, 'name', cleanLeagueName(null))
+  if (typeof name == 'string') {
+    return
+  }
+
+  var sharePlayers = !!(form.elements.sharePlayers && form.elements.sharePlayers.checked)
+  switchLeague(Leagues.add(new League(name.value, sharePlayers)))
+}
+
+function renameLeague(e) {
+  if (e) stop(e)
+  var name = cleanField(document.getElementById('renameLeagueForm'), 'name',
+                        cleanLeagueName(currentLeague))
+  if (typeof name == 'string') {
+    return
+  }
+
+  currentLeague.name = name.value
+  Leagues.save(currentLeague)
+  updateLeagueSwitcher()
+  leaguesList()
+}
+
+/**
+ * Changes the tie-breakers of the current league, re-ranking players in its
+ * seasons. Like the league's name, they're a league setting rather than a
+ * change to its data, so this isn't a Command which can be undone.
+ */
+function saveTieBreakers(e) {
+  if (e) stop(e)
+  var form = document.getElementById('tieBreakersForm')
+    , selects = Array.prototype.slice.call(form.querySelectorAll('select[name=tieBreaker]'))
+    , help = selects[selects.length - 1].parentNode.nextSibling
     , container = help.parentNode.parentNode
-    , errorMessage = name ? null : 'Name is required to add a new Player.'
+    , tieBreakers = selects.map(function(select) { return select.value })
+                           .filter(function(name) { return name !== '' })
+    , errorMessage = null
+  if (tieBreakers.some(function(name, i) { return tieBreakers.indexOf(name) != i })) {
+    errorMessage = 'Each tie-breaker can only be used once.'
+  }
   toggleError(errorMessage, help, container)
-  if (!name) {
+  if (errorMessage !== null) {
     return
   }
 
-  var player = Players.add(new Player(name))
-  playersList()
+  currentLeague.setTieBreakers(tieBreakers, Seasons.all())
+  Leagues.save(currentLeague)
+  leaguesList()
 }
 
-function displayPlayer(player, e) {
+function deleteLeague(league, e) {
   if (e) stop(e)
-  activateNav('navPlayers')
-  var seasonScores = []
-  Seasons.all().forEach(function(season) {
-    for (var i = 0, l = season.scores.length; i < l; i++) {
-      var score = season.scores[i]
-      if (score.player === player) {
-        seasonScores.push([season, score])
-        break
-      }
+  var errorMessage = League.checkDelete(league, currentLeague, Leagues.all())
+  if (errorMessage !== null) {
+    return alert(errorMessage)
+  }
+  if (!confirm('Are you sure you want to delete ' + league.name + ' and all its ' +
+               'data? This cannot be undone.')) {
+    return
+  }
+
+  var Backend = getBackend()
+    , storages = league.getOwnStorageNames().map(function(name) {
+        return new Backend(League.ENTITIES[name], league.getStorageKey(name))
+      })
+  void function destroyNext(i) {
+    if (i == storages.length) {
+      Leagues.remove(league)
+      updateLeagueSwitcher()
+      return leaguesList()
     }
-  })
-  displayContent('player_details', {
-    player: player
-  , seasonScores: seasonScores
-  })
+    storages[i].destroy(function(err) {
+      if (err) return displayStorageError(err)
+      destroyNext(i + 1)
+    })
+  }(0)
 }
 
-function seasonsList(e) {
-  if (e) stop(e)
-  activateNav('navSeasons')
-  displayContent('season_list', {
-    seasons: Seasons.all()
-  })
+function notFound() {
+  activateNav(null)
+  displayContent('not_found', {})
 }
 
-function addSeason(e) {
+function displayGame(game) {
+  displayContent('game_details', templates.contexts.game_details(leagueStorage, game))
+  if (!game.season.isCompleted()) {
+    populateGameForm(document.getElementById('editGameForm'), game)
+  }
+}
+
+function editGame(game, e) {
   if (e) stop(e)
-  var form = document.getElementById('addSeasonForm')
-    , name = form.elements.name.value
-    , help = form.elements.name.nextSibling
-    , container = help.parentNode.parentNode
-    , errorMessage = name ? null : 'Name is required to add a new Season.'
-  toggleError(errorMessage, help, container)
-  if (!name) {
+  var data = cleanGameForm(document.getElementById('editGameForm'), game.season, game)
+  if (data === null) {
     return
   }
 
-  var season = Seasons.add(new Season(name))
-  displaySeason(season)
+  Commands.run('Edit Game', function() {
+    // Update the game and recalculate the season from it onward
+    game.season.updateGame(game, data)
+    Seasons.save(game.season)
+  })
+  displayGame(game)
 }
 
-function displaySeason(season, e) {
+function deleteGame(game, e) {
   if (e) stop(e)
-  activateNav('navSeasons')
-  displayContent('season_details', {
-    season: season
-  , players: Players.all()
+  var season = game.season
+  if (!confirm('Are you sure you want to delete Game ' + game.getGameNumber() +
+               ' from ' + season.name + '?')) {
+    return
+  }
+
+  Commands.run('Delete Game', function() {
+    season.removeGame(game)
+    Seasons.save(season)
   })
+  Router.navigate(season.getUrl())
 }
 
-function addGame(season, e) {
-  if (e) stop(e)
-  var form = document.getElementById('addGameForm')
-    , valid = true
+// ----------------------------------------------------------------- Routing ---
 
-  // Game date input and validation
-  var date = (function() {
-    var date = null
-      , el = form.elements.date
-      , container = el.parentNode.parentNode
-      , help = el.nextSibling
-      , errorMessage = null
-    try {
-      date = isomorph.time.strpdate(form.elements.date.value, INPUT_DATE_FORMAT)
+/**
+ * Maps URL paths to views, using the History API to keep the URL in sync with
+ * the view being displayed. Paths live in the URL's fragment, so any view can
+ * be bookmarked even though the app is served as a single static page - unless
+ * it was served by server.js, which serves pages at the paths themselves.
+ */
+var Router = {
+  /**
+   * [pattern RegExp, parameter names, view function] for each route.
+   */
+  routes: []
+
+  /**
+   * Adds a route - named parameters in the pattern (e.g. ':seasonId') match
+   * numeric ids, which are passed to the view function in an object.
+   */
+, add: function(pattern, view) {
+    var names = []
+    var re = new RegExp('^' + pattern.replace(/:(\w+)/g, function(match, name) {
+      names.push(name)
+      return '(\\d+)'
+    }) + '$')
+    this.routes.push([re, names, view])
+  }
+
+  /**
+   * Gets the URL for a path.
+   */
+, href: function(path) {
+    return templates.href(path)
+  }
+
+  /**
+   * Gets the path for the current URL.
+   */
+, getPath: function() {
+    var prefix = templates.settings.urlPrefix
+    return (prefix ? location.hash.slice(prefix.length) : location.pathname) || '/'
+  }
+
+  /**
+   * Displays the view for the current URL.
+   */
+, dispatch: function() {
+    var path = Router.getPath()
+    for (var i = 0, l = Router.routes.length; i < l; i++) {
+      var route = Router.routes[i]
+        , match = route[0].exec(path)
+      if (match) {
+        var params = {}
+        route[1].forEach(function(name, i) {
+          params[name] = Number(match[i + 1])
+        })
+        return route[2](params)
+      }
     }
-    catch (e) {
-      errorMessage = 'Enter a valid date in DD/MM/YYYY format.'
-      valid = false
+    notFound()
+  }
+
+  /**
+   * Adds a history entry for the given path and displays its view. Navigating
+   * to the current path redisplays it without adding a history entry.
+   */
+, navigate: function(path) {
+    if (path == this.getPath()) {
+      history.replaceState(null, '', this.href(path))
     }
-    toggleError(errorMessage, help, container)
-    return date
-  })()
-
-  // Player position result input and validation
-  var playerPositions = (function() {
-    var playerPositionsValid = true
-      , positions = Array.prototype.slice.call(form.elements.position || [])
-      , resultsHelp = document.getElementById('results-help')
-      , resultsContainer = resultsHelp.parentNode.parentNode
-      , resultsErrorMessage = null
-    // All blank is invalid
-    if (positions.filter(function(el) { return el.value != '' }).length == 0) {
-      resultsErrorMessage = 'For each player who played, enter the position they finished in.'
+    else {
+      history.pushState(null, '', this.href(path))
     }
-    if (resultsErrorMessage !== null) playerPositionsValid = valid = false
-    toggleError(resultsErrorMessage, resultsHelp, resultsContainer)
-
-    // Check that position inputs are valid - keep going even if we detected
-    // that all inputs are blank in order to clear individual error messages.
-    positions.forEach(function(el) {
-      var container = el.parentNode.parentNode
-        , help = el.nextSibling
-        , errorMessage = null
-      // Blank is valid, as we've verified that they're not all blank and not
-      // all players have to play in each game.
-      if (el.value != '') {
-        if (!/^\d+$/.test(el.value)) {
-          errorMessage = 'Positions must be numeric.'
-        }
-        else if (parseInt(el.value, 10) > Players.all().length) {
-          errorMessage = 'Position greater than number of players.'
-        }
-      }
-      if (errorMessage !== null) playerPositionsValid = valid = false
-      toggleError(errorMessage, help, container)
+    this.dispatch()
+  }
+}
+
+Router.add('/', index)
+Router.add('/seasons', seasonsList)
+Router.add('/seasons/:seasonId', function(params) {
+  var season = Seasons.get(params.seasonId)
+  if (!season) return notFound()
+  displaySeason(season)
+})
+Router.add('/seasons/:seasonId/knockouts', function(params) {
+  var season = Seasons.get(params.seasonId)
+  if (!season) return notFound()
+  displayKnockouts(season)
+})
+Router.add('/seasons/:seasonId/rankings', function(params) {
+  var season = Seasons.get(params.seasonId)
+  if (!season) return notFound()
+  displayRankingHistory(season)
+})
+Router.add('/seasons/:seasonId/live', function(params) {
+  var season = Seasons.get(params.seasonId)
+  if (!season || season.isCompleted()) return notFound()
+  displayLiveGame(season)
+})
+Router.add('/seasons/:seasonId/games/:gameId', function(params) {
+  var season = Seasons.get(params.seasonId)
+    , game = (season ? season.getGame(params.gameId) : null)
+  if (!game) return notFound()
+  displayGame(game)
+})
+Router.add('/structures', structuresList)
+Router.add('/structures/:structureId', function(params) {
+  var structure = Structures.get(params.structureId)
+  if (!structure) return notFound()
+  displayStructure(structure)
+})
+Router.add('/knockouts', function() {
+  displayKnockouts(null)
+})
+Router.add('/data', function() {
+  leagueData()
+})
+Router.add('/history', displayHistory)
+Router.add('/leagues', leaguesList)
+Router.add('/players', playersList)
+Router.add('/players/:playerId', function(params) {
+  var player = Players.get(params.playerId)
+  if (!player) return notFound()
+  displayPlayer(player)
+})
+
+/**
+ * Handles clicks on links to app paths, unless the user is trying to open them
+ * somewhere else.
+ */
+function handleLinkClick(e) {
+  if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) {
+    return
+  }
+  for (var el = e.target; el && el.nodeName != 'A'; el = el.parentNode) {}
+  var href = (el ? el.getAttribute('href') : null)
+  if (href && href.indexOf(Router.href('/')) === 0) {
+    stop(e)
+    Router.navigate(href.slice(templates.settings.urlPrefix.length))
+  }
+}
+
+// ==================================================================== Init ===
+
+/**
+ * Gets the name of the storage backend to use. A backend can be selected by
+ * loading the app with a ?storage=<name> query string, which is remembered.
+ */
+function getStorageBackend() {
+  var match = /[?&]storage=(\w+)/.exec(location.search)
+  if (match && STORAGE_BACKENDS.hasOwnProperty(match[1])) {
+    localStorage.setItem('storage', match[1])
+  }
+  var name = localStorage.getItem('storage')
+  return (STORAGE_BACKENDS.hasOwnProperty(name) ? name : 'localStorage')
+}
+
+/**
+ * Gets the storage backend to use - pages served by server.js always use the
+ * server's storage.
+ */
+function getBackend() {
+  return (SERVED ? ServerStorage : STORAGE_BACKENDS[getStorageBackend()])
+}
+
+/**
+ * Loads - or reloads, if method is 'reload' - the given storage in order,
+ * calling back with the first error or null once they've all loaded.
+ */
+function loadStorage(storages, method, callback) {
+  void function loadNext(i) {
+    if (i == storages.length) {
+      return callback(null)
+    }
+    storages[i][method](function(err) {
+      if (err) return callback(err)
+      loadNext(i + 1)
     })
+  }(0)
+}
 
-    if (!playerPositionsValid) return null
-
-    // If we're still good, check for gaps
-    var expected = 1
-      , sorted = positions.slice()
-                          .filter(function(el) { return el.value != '' })
-                          .sort(function(a, b) {
-                             return parseInt(a.value, 10) - parseInt(b.value, 10)
-                           })
-    for (var i = 0, l = sorted.length ; i < l; i++) {
-      var el = sorted[i]
-        , position = parseInt(el.value, 10)
-        , container = el.parentNode.parentNode
-        , help = el.nextSibling
-        , errorMessage = null
-      // Stop checking after the first invalid position, but keep looping to
-      // clear any previous validation errors which may have been displayed.
-      if (playerPositionsValid && position != expected) {
-        errorMessage = 'Expected position ' + expected + ' to be assigned first.'
-      }
-      if (errorMessage !== null) playerPositionsValid = valid = false
-      toggleError(errorMessage, help, container)
-      expected++
+/**
+ * Creates and loads storage for a league's data, which becomes the current
+ * league, calling back with an error or null when it's ready to use.
+ */
+function openLeague(league, callback) {
+  leagueStorage = league.createStorage(getBackend(), Leagues, {getOperator: getOperator})
+  Players = leagueStorage.Players
+  Structures = leagueStorage.Structures
+  Seasons = leagueStorage.Seasons
+  LiveGames = leagueStorage.LiveGames
+  Commands = leagueStorage.Commands
+  Commands.onChange(updateCommandButtons)
+  Audit = leagueStorage.Audit
+  Audit.onError(handleAuditError)
+  currentLeague = league
+  localStorage.setItem('league', String(league.id))
+  if (SERVED) {
+    // The server renders pages for the league last used
+    document.cookie = 'league=' + league.id + '; path=/'
+  }
+
+  loadStorage(leagueStorage.storages, 'load', function(err) {
+    if (err) return callback(err)
+    updateLeagueSwitcher()
+    updateCommandButtons()
+    callback(null)
+  })
+}
+
+/**
+ * Reloads leagues and the current league's data, calling back with an error or
+ * null. If the current league was deleted, the first league is opened instead.
+ */
+function reloadLeague(callback) {
+  Leagues.reload(function(err) {
+    if (err) return callback(err)
+    var league = Leagues.get(currentLeague.id)
+    if (league === null) {
+      return openLeague(Leagues.all()[0], callback)
     }
+    currentLeague = league
+    loadStorage(leagueStorage.storages, 'reload', function(err) {
+      if (err) return callback(err)
+      updateLeagueSwitcher()
+      updateCommandButtons()
+      callback(null)
+    })
+  })
+}
+
+/**
+ * Determines if a form field in the current view has focus.
+ */
+function isEditing() {
+  var active = document.activeElement
+  return (active !== null && /^(INPUT|SELECT|TEXTAREA)$/.test(active.nodeName) &&
+          document.getElementById('contents').contains(active))
+}
 
-    if (!playerPositionsValid) return null
+/**
+ * Pending reload after data was changed in another window, if any.
+ */
+var syncTimeout = null
 
-    // Input looks good, so create player position array
-    var playerPositions = []
-      , players = Array.prototype.slice.call(form.elements.player)
-    positions.forEach(function(el, i) {
-      if (el.value != '') {
-        var position = parseInt(el.value, 10)
-          , playerId = parseInt(players[i].value, 10)
-        playerPositions[position - 1] = Players.get(playerId)
+/**
+ * Picks up changes another window made to localStorage or IndexedDB - given a
+ * storage event, or an object with the changed storage key as its key -
+ * reloading the current league and redisplaying the current view with them.
+ * If a form is being filled in, it's left alone and a notice offers to
+ * refresh the view instead.
+ */
+function handleStorageEvent(e) {
+  if (currentLeague === null || syncTimeout !== null) {
+    return
+  }
+  var keys = League.STORAGE_NAMES.map(function(name) {
+    return currentLeague.getStorageKey(name)
+  }).concat(['leagues'])
+  if (e.key !== null && keys.indexOf(e.key) == -1) {
+    return
+  }
+  // Every key a change writes to is reloaded at once
+  syncTimeout = setTimeout(function() {
+    syncTimeout = null
+    reloadLeague(function(err) {
+      if (err) return displayStorageError(err)
+      if (!isEditing()) {
+        return Router.dispatch()
       }
+      displayNotice([
+        'League data was changed in another window. '
+      , DOMBuilder.dom.A({href: '#', click: function(e) {
+          stop(e)
+          Router.dispatch()
+        }}, 'Refresh to see the changes')
+      , ' - anything you\'ve entered here will be lost.'
+      ])
     })
-    return playerPositions
-  })()
-
-  // Knockouts input and validation
-  var knockouts = (function() {
-    var knockouts = []
-      , knockoutsValid = true
-      , perpEls = form.elements.perp
-      , victimEls = form.elements.victim
-      , victims = []
-    if (typeof perpEls.nodeType != 'undefined') {
-      perpEls = [perpEls]
-      victimEls = [victimEls]
+  }, 0)
+}
+
+/**
+ * Wraps a function which may change stored data - such as an event handler -
+ * so a conflict Error thrown while it runs is handled, rather than escaping
+ * as an uncaught error. The function stops at the change which was refused.
+ */
+function catchConflicts(func) {
+  return function() {
+    try {
+      return func.apply(this, arguments)
     }
-    for (var i = 0, l = perpEls.length; i < l; i++) {
-      var perpId = perpEls[i].value
-        , victimId = victimEls[i].value
-        , container = victimEls[i].parentNode
-        , help = container.lastChild
-        , errorMessage = null
-      if (perpId == '' || victimId == '') {
-        errorMessage = 'Select a player from each dropdown.'
-      }
-      else if (perpId == victimId) {
-        errorMessage ='A player cannot knock themselves out.'
-      }
-      else {
-        var perp = Players.get(parseInt(perpId, 10))
-          , victim = Players.get(parseInt(victimId, 10))
-        // Validate that selected players were actually playing in this game
-        if (playerPositions && playerPositions.indexOf(perp) == -1) {
-          errorMessage = perp.name + " didn't play in this game (no position entered)."
-        }
-        else if (playerPositions && playerPositions.indexOf(victim) == -1) {
-          errorMessage = victim.name + " didn't play in this game (no position entered)."
-        }
-        else if (playerPositions && playerPositions.indexOf(victim) == 0) {
-          errorMessage = "You can't knock the winner out."
-        }
-        // Validate that selected players haven't already been knocked out
-        else if (victims.indexOf(perp) != -1) {
-          errorMessage = perp.name + ' has already been knocked out.'
-        }
-        else if (victims.indexOf(victim) != -1) {
-          errorMessage = victim.name + ' has already been knocked out.'
-        }
-        else {
-          knockouts.push([perp, victim])
-        }
-      }
-      if (errorMessage !== null) knockoutsValid = valid = false
-      toggleError(errorMessage, help, container)
+    catch (err) {
+      if (!err.conflict) throw err
+      handleConflict()
     }
-    return knockouts
-  })()
-
-  // If the form is invalid, display an extra message below the submit button
-  var btn = form.elements.submitBtn
-    , help = btn.parentNode.lastChild
-    , errorMessage = valid ? null : 'Please correct input errors.'
-  toggleError(errorMessage, help)
-  if (!valid) {
-    return
   }
+}
 
-  // Add the game to its season
-  season.addGame(new Game(date, playerPositions, knockouts))
-  Seasons.save(season)
-  displaySeason(season)
+/**
+ * Handles a conflict Error from storage, which means a change was about to
+ * overwrite one made in another window, or on the server. Nothing is saved -
+ * the latest data is loaded and displayed, so the change can be made again.
+ */
+function handleConflict() {
+  reloadLeague(function(err) {
+    if (err) return displayStorageError(err)
+    Router.dispatch()
+    displayConflictNotice()
+  })
 }
 
-function displayGame(game, e) {
-  if (e) stop(e)
-  var season = game.season
-  displayContent('game_details', {
-    game: game
-  , previousGame: game.index > 0 ? season.games[game.index - 1] : null
-  , nextGame: (game.index < season.games.length - 1
-               ? season.games[game.index + 1]
-               : null)
+/**
+ * Explains that a change wasn't saved because of a conflict.
+ */
+function displayConflictNotice() {
+  displayNotice([
+    DOMBuilder.dom.STRONG('Your change was not saved'), ' - the data it was about to change '
+  , 'was changed elsewhere in the meantime. The latest data is shown below, '
+  , 'please check it and make your change again if it\'s still needed.'
+  ], 'error')
+}
+
+/**
+ * Handles an Error logging a change in the audit trail - the change itself was
+ * saved, so it's displayed as usual, with a notice about the problem.
+ */
+function handleAuditError(err) {
+  nextNotice = {
+    contents: [
+      DOMBuilder.dom.STRONG('Your change was saved'), ', but it couldn\'t be added to the '
+    , 'History: ' + err.message
+    ]
+  , type: 'error'
+  }
+}
+
+/**
+ * Error being handled by handleWriteError(), or null.
+ */
+var writeError = null
+
+/**
+ * Handles an Error writing changes to storage after the working copy was
+ * changed - the stored data is loaded and displayed again, so what's displayed
+ * is what was actually saved. A change can fail to write to several storage
+ * keys at once, so errors are handled once until the data has been reloaded.
+ * A conflict Error means another window wrote first.
+ */
+function handleWriteError(err) {
+  if (writeError !== null) {
+    return
+  }
+  writeError = err
+  reloadLeague(function(reloadErr) {
+    writeError = null
+    if (reloadErr) return displayStorageError(reloadErr)
+    Router.dispatch()
+    if (err.conflict) return displayConflictNotice()
+    displayNotice([
+      DOMBuilder.dom.STRONG('Your change was not saved'), ' - ' + err.message + '. The '
+    , 'data which was saved is shown below.'
+    ], 'error')
   })
 }
 
-// ==================================================================== Init ===
+/**
+ * Handles an Error saving changes to the server - which is a conflict Error if
+ * the server refused them because the data was changed there first. Changes
+ * which couldn't be sent are kept until they can be, so they can be retried.
+ */
+function handleServerError(err) {
+  if (err.conflict) return handleConflict()
+  if (!err.unsaved) return displayStorageError(err)
+  displayNotice([
+    DOMBuilder.dom.STRONG('Your changes have not been saved yet'), ' - ' + err.message + '. '
+  , 'They\'ll be sent again with your next change, or you can '
+  , DOMBuilder.dom.A({href: '#', click: function(e) {
+      stop(e)
+      displayNotice(null)
+      ServerStorage.area.send()
+    }}, 'try again now')
+  , '.'
+  ], 'error')
+}
 
-document.getElementById('navIndex').onclick = index
-document.getElementById('navSeasons').onclick = seasonsList
-document.getElementById('navPlayers').onclick = playersList
+void function() {
+  if (SERVED) {
+    templates.settings.urlPrefix = ''
+  }
+  templates.settings.wrapHandler = catchConflicts
+  var Backend = getBackend()
+  Leagues = new Backend(League, 'leagues')
+
+  document.addEventListener('click', handleLinkClick)
+  window.addEventListener('popstate', Router.dispatch)
+  document.addEventListener('keydown', catchConflicts(handleCommandKeys))
+  document.getElementById('navUndo').addEventListener('click', catchConflicts(undoCommand))
+  document.getElementById('navRedo').addEventListener('click', catchConflicts(redoCommand))
+
+  document.getElementById('leagueSelect').addEventListener('change', selectLeague)
+  window.addEventListener('storage', handleStorageEvent)
+  IndexedDBStorage.onError(handleWriteError)
+  IndexedDBStorage.onChange(function(storageKey) {
+    handleStorageEvent({key: storageKey})
+  })
 
-index()
+  Leagues.load(function(err) {
+    if (err) return displayStorageError(err)
+    if (SERVED) {
+      ServerStorage.area.onError(handleServerError)
+    }
+    // Data stored before there were leagues belongs to the first league
+    if (!Leagues.all().length) {
+      Leagues.add(new League('Poker League'))
+    }
+    var league = Leagues.get(Number(localStorage.getItem('league'))) || Leagues.all()[0]
+    openLeague(league, function(err) {
+      if (err) return displayStorageError(err)
+      Router.dispatch()
+    })
+  })
+}()
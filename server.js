@@ -0,0 +1,538 @@
+/**
+ * Serves the app from Node, rendering the pages for the index, seasons, players
+ * and games with the same templates the browser uses, so they work as plain
+ * forms 'n links pages - players, seasons and games are added by posting their
+ * forms. Once a page has loaded, the app takes over in the browser, storing
+ * league data on the server.
+ *
+ * Requires DOMBuilder (npm install DOMBuilder) - usage:
+ *
+ *    node server.js [port] [data file]
+ *
+ * When it's required as a module, createServer() creates a server without
+ * starting it.
+ */
+var fs = require('fs')
+  , http = require('http')
+  , path = require('path')
+  , querystring = require('querystring')
+  , url = require('url')
+
+var DOMBuilder = require('DOMBuilder')
+  , league = require('./league')
+  , templates = require('./templates')
+
+var Player = league.Player
+  , Game = league.Game
+  , League = league.League
+  , LocalStorage = league.LocalStorage
+  , cleanGameData = league.cleanGameData
+
+var PORT = Number(process.argv[2]) || 8000
+  , DATA_FILE = process.argv[3] || path.join(__dirname, 'league-data.json')
+
+templates.settings.urlPrefix = ''
+
+// ================================================================= Storage ===
+
+/**
+ * Values stored by key in a JSON file, which is written on every change. This
+ * implements the parts of localStorage's API LocalStorage uses, so the server
+ * stores the same data under the same keys as the browser does.
+ */
+function FileArea(filename) {
+  this.filename = filename
+  this._items = (fs.existsSync(filename) ? JSON.parse(fs.readFileSync(filename, 'utf8')) : {})
+}
+
+Object.defineProperty(FileArea.prototype, 'length', {
+  get: function() {
+    return Object.keys(this._items).length
+  }
+})
+
+FileArea.prototype.getItem = function(key) {
+  return (Object.prototype.hasOwnProperty.call(this._items, key) ? this._items[key] : null)
+}
+
+FileArea.prototype.setItem = function(key, value) {
+  var changes = {}
+  changes[key] = String(value)
+  this.update(changes)
+}
+
+FileArea.prototype.removeItem = function(key) {
+  var changes = {}
+  changes[key] = null
+  this.update(changes)
+}
+
+FileArea.prototype.key = function(index) {
+  var keys = Object.keys(this._items)
+  return (index < keys.length ? keys[index] : null)
+}
+
+/**
+ * Sets values by key, removing those which are null, and writes them all at
+ * once.
+ */
+FileArea.prototype.update = function(changes) {
+  Object.keys(changes).forEach(function(key) {
+    if (changes[key] === null) {
+      delete this._items[key]
+    }
+    else {
+      this._items[key] = String(changes[key])
+    }
+  }, this)
+  fs.writeFileSync(this.filename, JSON.stringify(this._items))
+}
+
+/**
+ * The data file's values, once createServer() has been called.
+ */
+var area = null
+
+/**
+ * Storage in the data file, which the browser's ServerStorage reads and writes
+ * via /data.
+ */
+var FileStorage = LocalStorage.extend({
+  _area: function() {
+    return area
+  }
+}, {
+  label: 'Data file'
+})
+
+/**
+ * Opens the league whose data a request is for - the last one the browser
+ * used, or the first - returning an object with all leagues' storage as
+ * Leagues, the league, and its storage as created by League#createStorage().
+ * Storage is created for each request, as the browser may have changed any of
+ * it since the last one.
+ */
+function openLeague(req) {
+  var Leagues = new FileStorage(League, 'leagues')
+  // Data stored before there were leagues belongs to the first league
+  if (!Leagues.all().length) {
+    Leagues.add(new League('Poker League'))
+  }
+  var match = /(?:^|;\s*)league=(\d+)/.exec(req.headers.cookie || '')
+    , current = (match && Leagues.get(Number(match[1]))) || Leagues.all()[0]
+    , storage = current.createStorage(FileStorage, Leagues)
+  storage.Audit.onError(function(err) {
+    console.error('Error logging a change: ' + err.message)
+  })
+  return {
+    Leagues: Leagues
+  , league: current
+  , storage: storage
+  }
+}
+
+// =================================================================== Pages ===
+
+var SHELL = fs.readFileSync(path.join(__dirname, 'poker.html'), 'utf8')
+  // Pages live at their app paths, so static files are relative to the root
+  .replace('<meta name="viewport"', '<base href="/">\n<meta name="viewport"')
+  .replace(/href="#\//g, 'href="/')
+  // Tells poker.js the page was served from here
+  .replace('<div class="navbar', '<body data-served>\n<div class="navbar')
+
+/**
+ * Renders a template to HTML.
+ */
+function render(templateName, context) {
+  return DOMBuilder.withMode('html', function() {
+    return DOMBuilder.template.renderTemplate(templateName, context).toString()
+  })
+}
+
+/**
+ * Replaces the first occurrence of a string in HTML - unlike String#replace()
+ * with a replacement string, $ patterns in the replacement are left alone, as
+ * it may contain user data.
+ */
+function replaceHTML(html, search, replacement) {
+  return html.replace(search, function() { return replacement })
+}
+
+/**
+ * Renders a page with a view's contents, making its nav link active and
+ * displaying any error messages above it.
+ */
+function renderPage(view, errors) {
+  var html = replaceHTML(SHELL, '<div id="contents"></div>',
+                         '<div id="contents">' + render(view.template, view.context) + '</div>')
+  if (view.nav) {
+    html = replaceHTML(html, '<li><a id="' + view.nav + '"',
+                       '<li class="active"><a id="' + view.nav + '"')
+  }
+  if (errors) {
+    var el = DOMBuilder.html
+    html = replaceHTML(html, '<div id="notice" class="alert hide"></div>', el.DIV(
+      {id: 'notice', 'class': 'alert alert-error'}
+    , el.STRONG('Please correct input errors:')
+    , el.UL(errors.map(function(error) { return el.LI(error) }))
+    ).toString())
+  }
+  return html
+}
+
+// ------------------------------------------------------------------- Views ---
+
+/**
+ * View for things which don't exist.
+ */
+var NOT_FOUND = {template: 'not_found', context: {}, nav: null}
+
+/**
+ * Views for paths which are rendered here, which are given the opened league
+ * and route parameters and return {template, context, nav}, or null if what's
+ * being displayed doesn't exist.
+ */
+var views = []
+
+/**
+ * Actions for paths forms are posted to, which are given the opened league,
+ * route parameters and the posted fields, and return a list of error messages
+ * if the fields were invalid, otherwise the path to redirect to - or null if
+ * what they'd change doesn't exist.
+ */
+var actions = []
+
+/**
+ * Adds a route to a list of views or actions - named parameters in the pattern
+ * (e.g. ':seasonId') match numeric ids, like poker.js's Router.
+ */
+function addRoute(routes, pattern, func) {
+  var names = []
+  var re = new RegExp('^' + pattern.replace(/:(\w+)/g, function(match, name) {
+    names.push(name)
+    return '(\\d+)'
+  }) + '$')
+  routes.push([re, names, func])
+}
+
+/**
+ * Finds the route for a path, returning the function and its parameters, or
+ * null.
+ */
+function findRoute(routes, pathname) {
+  for (var i = 0, l = routes.length; i < l; i++) {
+    var match = routes[i][0].exec(pathname)
+    if (match) {
+      var params = {}
+      routes[i][1].forEach(function(name, i) {
+        params[name] = Number(match[i + 1])
+      })
+      return {func: routes[i][2], params: params}
+    }
+  }
+  return null
+}
+
+addRoute(views, '/', function(data) {
+  return {
+    template: 'index'
+  , context: templates.contexts.index(data.storage)
+  , nav: null
+  }
+})
+addRoute(views, '/seasons', function(data) {
+  return {
+    template: 'season_list'
+  , context: templates.contexts.season_list(data.storage)
+  , nav: 'navSeasons'
+  }
+})
+addRoute(views, '/seasons/:seasonId', function(data, params) {
+  var season = data.storage.Seasons.get(params.seasonId)
+  if (!season) return null
+  return {
+    template: 'season_details'
+  , context: templates.contexts.season_details(data.storage, season)
+  , nav: 'navSeasons'
+  }
+})
+addRoute(views, '/seasons/:seasonId/games/:gameId', function(data, params) {
+  var season = data.storage.Seasons.get(params.seasonId)
+    , game = (season ? season.getGame(params.gameId) : null)
+  if (!game) return null
+  return {
+    template: 'game_details'
+  , context: templates.contexts.game_details(data.storage, game)
+  , nav: 'navSeasons'
+  }
+})
+addRoute(views, '/players', function(data) {
+  return {
+    template: 'player_list'
+  , context: templates.contexts.player_list(data.storage)
+  , nav: 'navPlayers'
+  }
+})
+addRoute(views, '/players/:playerId', function(data, params) {
+  var player = data.storage.Players.get(params.playerId)
+  if (!player) return null
+  return {
+    template: 'player_details'
+  , context: templates.contexts.player_details(data.storage, player,
+                                               data.league.isSharingPlayers(data.Leagues.all()))
+  , nav: 'navPlayers'
+  }
+})
+
+addRoute(actions, '/players', function(data, params, fields) {
+  var name = fields.name || ''
+  if (!name) {
+    return ['Name is required to add a new Player.']
+  }
+  data.storage.Commands.run('Add Player', function() {
+    data.storage.Players.add(new Player(name))
+  })
+  return '/players'
+})
+addRoute(actions, '/seasons', function(data, params, fields) {
+  var name = fields.name || ''
+  if (!name) {
+    return ['Name is required to add a new Season.']
+  }
+  var season = data.storage.Commands.run('Add Season', function() {
+    return data.storage.Seasons.add(data.league.createSeason(name))
+  })
+  return season.getUrl()
+})
+addRoute(actions, '/seasons/:seasonId', function(data, params, fields) {
+  var season = data.storage.Seasons.get(params.seasonId)
+  if (!season) return null
+  if (season.isCompleted()) {
+    return [season.name + ' has been completed, so games can\'t be added to it.']
+  }
+  function list(value) {
+    return [].concat(value !== undefined ? value : [])
+  }
+  var cleaned = cleanGameData({
+        date: fields.date || ''
+      , player: list(fields.player)
+      , position: list(fields.position)
+      , perp: list(fields.perp)
+      , victim: list(fields.victim)
+      , buyIn: fields.buyIn || ''
+      , payouts: fields.payouts || ''
+      , structure: fields.structure || ''
+      }, season, data.storage.Players, data.storage.Structures)
+    , errors = cleaned.errors
+  if (cleaned.data === null) {
+    var players = list(fields.player).map(function(id) {
+      return data.storage.Players.get(Number(id))
+    })
+    return [errors.date, errors.results].concat(
+      errors.positions.map(function(error, i) {
+        return (error !== null && players[i] ? players[i].name + ': ' + error : error)
+      })
+    , errors.knockouts.map(function(error, i) {
+        return (error !== null ? 'Knockout ' + (i + 1) + ': ' + error : error)
+      })
+    , [errors.buyIn, errors.payouts]
+    ).filter(function(error) { return error !== null })
+  }
+  var game = new Game(cleaned.data.date, cleaned.data.results, cleaned.data.knockouts,
+                      cleaned.data.stakes)
+  game.structure = cleaned.data.structure
+  data.storage.Commands.run('Add Game', function() {
+    season.addGame(game)
+    data.storage.Seasons.save(season)
+  })
+  return season.getUrl()
+})
+
+// ================================================================== Server ===
+
+/**
+ * Content types of the static files which are served, by extension.
+ */
+var CONTENT_TYPES = {
+  '.css': 'text/css'
+, '.html': 'text/html; charset=utf-8'
+, '.js': 'application/javascript; charset=utf-8'
+, '.png': 'image/png'
+}
+
+/**
+ * Largest request body which will be read, in bytes.
+ */
+var MAX_BODY_SIZE = 5 * 1024 * 1024
+
+function send(res, status, body, contentType) {
+  res.writeHead(status, {'Content-Type': contentType || 'text/html; charset=utf-8'})
+  res.end(body)
+}
+
+function redirect(res, location) {
+  res.writeHead(303, {'Location': location})
+  res.end()
+}
+
+/**
+ * Reads a request's body, calling back with an error or null and the body.
+ */
+function readBody(req, callback) {
+  var chunks = []
+    , size = 0
+  req.on('data', function(chunk) {
+    size += chunk.length
+    if (size > MAX_BODY_SIZE) {
+      req.destroy()
+      return callback(new Error('Request body is too large.'))
+    }
+    chunks.push(chunk)
+  })
+  req.on('end', function() {
+    callback(null, Buffer.concat(chunks).toString('utf8'))
+  })
+}
+
+/**
+ * Serves a static file from the app's directory, or a 404.
+ */
+function serveFile(res, pathname) {
+  var filename = path.join(__dirname, path.normalize(pathname))
+    , contentType = CONTENT_TYPES[path.extname(filename)]
+  if (!contentType || filename.indexOf(__dirname + path.sep) !== 0) {
+    return send(res, 404, 'Not Found', 'text/plain')
+  }
+  fs.readFile(filename, function(err, contents) {
+    if (err) return send(res, 404, 'Not Found', 'text/plain')
+    send(res, 200, contents, contentType)
+  })
+}
+
+/**
+ * Gets all stored data, or changes it with {changes, previous} JSON, where
+ * changes has new values by key (null to remove a value) and previous has the
+ * values they're replacing, which must still be current - if not, nothing is
+ * changed and the keys which were changed by someone else are sent back with a
+ * 409.
+ */
+function handleData(req, res) {
+  if (req.method == 'GET') {
+    return send(res, 200, JSON.stringify(area._items), 'application/json')
+  }
+  readBody(req, handleErrors(res, function(err, body) {
+    if (err) return send(res, 413, err.message, 'text/plain')
+    var data = null
+    try {
+      data = JSON.parse(body)
+    }
+    catch (e) {}
+    if (!isObject(data) || !isObject(data.changes) || !isObject(data.previous) ||
+        !Object.keys(data.changes).every(function(key) {
+          return (data.changes[key] === null || typeof data.changes[key] == 'string')
+        })) {
+      return send(res, 400, 'Expected {changes, previous} JSON, with string or null values.',
+                  'text/plain')
+    }
+    var conflicts = Object.keys(data.changes).filter(function(key) {
+      return area.getItem(key) !== data.previous[key]
+    })
+    if (conflicts.length) {
+      return send(res, 409, JSON.stringify(conflicts), 'application/json')
+    }
+    area.update(data.changes)
+    res.writeHead(204)
+    res.end()
+  }))
+}
+
+/**
+ * Determines if a value parsed from JSON is an object, rather than null, an
+ * array or a primitive.
+ */
+function isObject(value) {
+  return (value !== null && typeof value == 'object' && !Array.isArray(value))
+}
+
+/**
+ * Handles a form being posted, redirecting to what it added, or redisplaying
+ * the page it was posted from with errors if it was invalid.
+ */
+function handleAction(req, res, pathname, action) {
+  readBody(req, handleErrors(res, function(err, body) {
+    if (err) return send(res, 413, err.message, 'text/plain')
+    var data = openLeague(req)
+      , result = action.func(data, action.params, querystring.parse(body))
+    if (result === null) {
+      return send(res, 404, renderPage(NOT_FOUND))
+    }
+    if (typeof result == 'string') {
+      return redirect(res, result)
+    }
+    var view = findRoute(views, pathname)
+    send(res, 400, renderPage(view.func(data, view.params), result))
+  }))
+}
+
+function handleRequest(req, res) {
+  var pathname = url.parse(req.url).pathname
+  if (pathname == '/data') {
+    return handleData(req, res)
+  }
+  if (req.method == 'POST') {
+    var action = findRoute(actions, pathname)
+    if (action === null) {
+      return send(res, 405, 'Method Not Allowed', 'text/plain')
+    }
+    return handleAction(req, res, pathname, action)
+  }
+  if (path.extname(pathname)) {
+    return serveFile(res, pathname)
+  }
+  // Other app paths are left for the browser to display
+  var route = findRoute(views, pathname)
+  if (route === null) {
+    return send(res, 200, SHELL)
+  }
+  var view = route.func(openLeague(req), route.params)
+  if (view === null) {
+    return send(res, 404, renderPage(NOT_FOUND))
+  }
+  send(res, 200, renderPage(view))
+}
+
+/**
+ * Wraps a function so anything it throws is logged and sent as a 500.
+ */
+function handleErrors(res, func) {
+  return function() {
+    try {
+      func.apply(this, arguments)
+    }
+    catch (err) {
+      console.error(err.stack)
+      send(res, 500, 'Internal Server Error', 'text/plain')
+    }
+  }
+}
+
+/**
+ * Creates a server which stores league data in the given file.
+ */
+function createServer(dataFile) {
+  area = new FileArea(dataFile)
+  return http.createServer(function(req, res) {
+    handleErrors(res, handleRequest)(req, res)
+  })
+}
+
+if (require.main === module) {
+  createServer(DATA_FILE).listen(PORT, function() {
+    console.log('Poker League running at http://localhost:' + PORT + '/')
+  })
+}
+
+module.exports = {
+  FileArea: FileArea
+, createServer: createServer
+}
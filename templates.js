@@ -0,0 +1,1975 @@
+/**
+ * DOMBuilder templates for the app's views, which poker.js renders to DOM
+ * elements in the browser and server.js renders to HTML in Node, along with
+ * functions which create the context for the views they both render.
+ */
+;(function(root, factory) {
+  if (typeof module != 'undefined' && module.exports) {
+    module.exports = factory(require('DOMBuilder'), require('./league'), {})
+  }
+  else {
+    root.templates = factory(root.DOMBuilder, root.league, root)
+  }
+})(this, function(DOMBuilder, league, handlers) {
+
+var Player = league.Player
+  , Season = league.Season
+  , LiveGame = league.LiveGame
+  , Ledger = league.Ledger
+  , KnockoutMatrix = league.KnockoutMatrix
+  , formatMoney = league.formatMoney
+
+// =================================================================== Utils ===
+
+/**
+ * Settings for rendering templates.
+ */
+var settings = {
+  /**
+   * Prefix for app paths when they're used as URLs - paths live in the URL's
+   * fragment, unless the page was served by server.js.
+   */
+  urlPrefix: '#'
+
+  /**
+   * Wraps handler functions when they're called by event handlers - the
+   * browser uses this to handle errors they throw.
+   */
+, wrapHandler: function(handler) {
+    return handler
+  }
+}
+
+/**
+ * Gets the URL for an app path.
+ */
+function href(path) {
+  return settings.urlPrefix + path
+}
+
+/**
+ * Creates an event handler which calls the handler function with the given
+ * name - in the browser, these are poker.js's functions, which are defined
+ * after the templates. Event handlers aren't rendered to HTML.
+ */
+function on(name) {
+  return function() {
+    return settings.wrapHandler(handlers[name]).apply(this, arguments)
+  }
+}
+
+// =============================================================== Templates ===
+
+// ---------------------------------------------------------- Template Nodes ---
+
+var templateAPI = DOMBuilder.modes.template.api
+
+/**
+ * Provides an event-handling function and optionally partially applies
+ * arguments to it. The function can be provided directly or as a template
+ * variable and any arguments are expected to come from template variables.
+ */
+var EventHandlerNode = templateAPI.TemplateNode.extend({
+  constructor: function(func, args) {
+    args = args || []
+    // Functions provided as template variables must not be called on lookup
+    this.func = (typeof func == 'function' ? func : new templateAPI.Variable(func, false))
+    this.args = args.map(function(arg) {
+      return (arg instanceof templateAPI.Variable ? arg : new templateAPI.Variable(arg))
+    })
+  }
+
+, render: function(context) {
+    var func = (typeof this.func == 'function' ? this.func : this.func.resolve(context))
+      , args = this.args.map(function(arg) { return arg.resolve(context) })
+    return function() {
+      func.apply(this, args.concat(Array.prototype.slice.call(arguments)))
+    }
+  }
+})
+
+/**
+ * Provides access to construct an EventHandlerNode in templates.
+ */
+DOMBuilder.template.$handler = function(func) {
+  return new EventHandlerNode(func, Array.prototype.slice.call(arguments, 1))
+}
+
+/**
+ * Renders a URL for a template variable which has a getUrl() method, or for a
+ * path given directly, optionally followed by a path suffix.
+ */
+var URLNode = templateAPI.TemplateNode.extend({
+  constructor: function(expr, suffix) {
+    this.path = (expr.charAt(0) == '/' ? expr : null)
+    this.variable = (this.path === null ? new templateAPI.Variable(expr) : null)
+    this.suffix = suffix || ''
+  }
+
+, render: function(context) {
+    return href((this.path !== null
+                 ? this.path
+                 : this.variable.resolve(context).getUrl()) + this.suffix)
+  }
+})
+
+/**
+ * Provides access to construct a URLNode in templates.
+ */
+DOMBuilder.template.$url = function(expr, suffix) {
+  return new URLNode(expr, suffix)
+}
+
+// --------------------------------------------------------------- Templates ---
+
+void function() { with (DOMBuilder.template) {
+
+var template = DOMBuilder.template
+
+function toggleAddButton(text) {
+  return template.DIV({'class': 'form-actions form-toggle'}
+  , template.BUTTON({'class': 'btn btn-primary', type: 'button', click: function(e) {
+      this.parentNode.nextSibling.classList.toggle('hide')
+      this.parentNode.classList.toggle('hide')
+    }}, text)
+  )
+}
+
+function toggleCancelButton() {
+  return template.BUTTON({'class': 'btn', type: 'button', click: function(e) {
+    this.form.classList.toggle('hide')
+    this.form.previousSibling.classList.toggle('hide')
+    this.form.reset()
+  }}, 'Cancel')
+}
+
+/**
+ * Help text for fields where blind levels are entered - see cleanLevels.
+ */
+var LEVELS_HELP = 'One level per line: small blind, big blind, ante and minutes, ' +
+                  'separated by commas - or "break" and minutes for a break.'
+
+$template('league_table'
+, TABLE({'class': 'table table-striped table-bordered table-condensed'}
+  , THEAD(TR(
+      TH('Player')
+    , TH('Games Played')
+    , TH('Wins')
+    , TH('Average Points Per Game')
+    , TH('Bonus Points')
+    , TH('Lowest Weekly Points')
+    , TH('Overall Points')
+    , TH('Ranking')
+    , TH('Previous Ranking')
+    , TH('Tie-Breaker')
+    ))
+  , TBODY($for('score in scores'
+    , TR(
+        TD(
+          A({href: $url('score.player')}
+          , '{{ score.player.name }}'
+          )
+        )
+      , TD('{{ score.getGamesPlayed }}')
+      , TD('{{ score.wins }}')
+      , TD('{{ score.getAveragePointsPerGame }}')
+      , TD('{{ score.getBonusPoints }}')
+      , TD('{{ score.getLowestWeeklyPoints }}')
+      , TD('{{ score.getOverallScore }}')
+      , TD(
+          '{{ score.ranking }} '
+        , $if("score.getMovement == 'up'"
+          , I({'class': 'icon-arrow-up', title: 'Moved up'})
+          , $else($if("score.getMovement == 'down'"
+            , I({'class': 'icon-arrow-down', title: 'Moved down'})
+            ))
+          )
+        )
+      , TD($if('score.getPreviousRanking'
+        , '{{ score.getPreviousRanking }}'
+        , $else(EM('New'))
+        ))
+      , TD($if('score.separatedBy'
+        , SPAN({title: 'Ranked below the player above on this tie-breaker'}
+          , '{{ score.getSeparatedByLabel }}'
+          )
+        ))
+      )
+    ))
+  )
+)
+
+$template('ranking_history'
+, DIV({'class': 'page-header'}
+  , H1('Rankings over time in ', A({href: $url('season')}, '{{ season.name }}'))
+  )
+, $if('season.games.length'
+  , P("Each row shows a player's ranking in the League Table after each game.")
+  , TABLE({'class': 'table table-striped table-bordered table-condensed', style: 'width: auto'}
+    , THEAD(TR(
+        TH('Player')
+      , $for('game in season.games'
+        , TH(A({href: $url('game')}, 'Game {{ game.getGameNumber }}'))
+        )
+      ))
+    , TBODY($for('row in season.getRankingHistory'
+      , TR(
+          TH(A({href: $url('row.player')}, '{{ row.player.name }}'))
+        , $for('ranking in row.rankings'
+          , TD($if('ranking', '{{ ranking }}', $else('\u2014')))
+          )
+        )
+      ))
+    )
+  , $else(DIV({'class': 'alert alert-info'}
+    , 'Rankings will be tracked as soon as some games have been played.'
+    ))
+  )
+)
+
+$template('earnings_table'
+, TABLE({'class': 'table table-striped table-bordered table-condensed'}
+  , THEAD(TR(
+      TH('Player')
+    , TH('Games Played')
+    , TH('Cashes')
+    , TH('Buy-Ins')
+    , TH('Winnings')
+    , TH('Net Profit')
+    , TH('ROI %')
+    ))
+  , TBODY($for('summary in summaries'
+    , TR(
+        TD(A({href: $url('summary.player')}, '{{ summary.player.name }}'))
+      , TD('{{ summary.gamesPlayed }}')
+      , TD('{{ summary.cashes }}')
+      , TD('{{ summary.buyIns }}')
+      , TD('{{ summary.winnings }}')
+      , TD('{{ summary.netProfit }}')
+      , TD('{{ summary.roi }}')
+      )
+    ))
+  )
+)
+
+$template('final_standings'
+, TABLE({'class': 'table table-striped table-bordered table-condensed'}
+  , THEAD(TR(
+      TH('Player')
+    , TH('Games Played')
+    , TH('Wins')
+    , TH('Overall Points')
+    , TH('Ranking')
+    ))
+  , TBODY($for('standing in season.finalStandings'
+    , TR(
+        TD(A({href: $url('standing.player')}, '{{ standing.player.name }}'))
+      , TD('{{ standing.gamesPlayed }}')
+      , TD('{{ standing.wins }}')
+      , TD('{{ standing.points }}')
+      , TD('{{ standing.ranking }}')
+      )
+    ))
+  )
+)
+
+$template('champion'
+, DIV({'class': 'alert alert-success'}
+  , I({'class': 'icon-star'})
+  , ' Champion: '
+  , STRONG(A({href: $url('season.getChampion')}, '{{ season.getChampion.name }}'))
+  )
+)
+
+$template('index'
+, $if('season'
+  , DIV({'class': 'page-header'}
+    , H1(
+        A({href: $url('season')}, '{{ season.name }}')
+      , $if('season.isCompleted', ' Final Standings', $else(' League Table'))
+      )
+    )
+  , $if('season.isCompleted'
+    , $include('champion', {season: $var('season')})
+    , $include('final_standings', {season: $var('season')})
+    , $else($if('season.games.length'
+      , $include('league_table', {scores: $var('season.scores')})
+      , $else(DIV({'class': 'alert alert-info'}
+        ,'The League Table will begin as soon as some games have been played.'
+        ))
+      ))
+    )
+  , $else(
+      DIV({'class': 'alert alert-info'}, 'There are no Seasons set up yet.')
+    )
+  )
+)
+
+$template('player_list'
+, DIV({'class': 'page-header'}
+  , H1('Players')
+  )
+, $if('players.length'
+  , UL($for('player in players'
+    , LI(
+        A({href: $url('player')}, '{{ player.name }}')
+      , $if('player.retired', ' ', SPAN({'class': 'label'}, 'Retired'))
+      )
+    ))
+  , $else(DIV({'class': 'alert alert-info'}, 'None yet - add one below.'))
+  )
+, toggleAddButton('Add Player')
+, FORM({id: 'addPlayerForm', 'class': 'form-horizontal hide', method: 'post', action: $url('/players'), submit: on('addPlayer')}
+  , FIELDSET(
+      LEGEND('Add Player')
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'name'}, 'Name')
+      , DIV({'class': 'controls'}
+        , INPUT({'class:': 'input-large', type: 'text', name: 'name', id: 'name'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Add Player')
+      , ' '
+      , toggleCancelButton()
+      )
+    )
+  )
+)
+
+$template('player_details'
+, DIV({'class': 'page-header'}
+  , H1('Player: {{ player.name }} ', $if('player.retired', SMALL('Retired')))
+  )
+, $if('knockoutSummary.nemeses.count || knockoutSummary.favouriteVictims.count'
+  , H2('Knockouts')
+  , $include('knockout_summaries', {summaries: $var('knockoutSummaries')})
+  )
+, $if('ledger.getGamesPlayed'
+  , H2('Money')
+  , $include('earnings_table', {summaries: $var('ledgerSummaries')})
+  , TABLE({'class': 'table table-striped table-bordered table-condensed'}
+    , THEAD(TR(
+        TH('Season')
+      , TH()
+      , TH('Played On')
+      , TH('Buy-In')
+      , TH('Winnings')
+      , TH('Net')
+      ))
+    , TBODY($for('row in ledger.getRows'
+      , TR(
+          TD(A({href: $url('row.game.season')}, '{{ row.game.season.name }}'))
+        , TD(A({href: $url('row.game')}, 'Game {{ row.game.getGameNumber }}'))
+        , TD('{{ row.game.date.toDateString }}')
+        , TD('{{ row.buyIn }}')
+        , TD('{{ row.winnings }}')
+        , TD('{{ row.net }}')
+        )
+      ))
+    )
+  )
+, H2('All-Time Rankings')
+, $for('season, score, results in seasonResults'
+  , H3(
+      'Season: '
+    , A({href: $url('season')}, '{{ season.name }}')
+    )
+  , TABLE({'class': 'table table-striped table-bordered table-condensed'}
+    , THEAD(TR(
+        TH('Games Played')
+      , TH('Wins')
+      , TH('Average Points Per Game')
+      , TH('Bonus Points')
+      , TH('Lowest Weekly Points')
+      , TH('Overall Points')
+      , TH('Ranking')
+      ))
+    , TBODY(
+        TR(
+          TD('{{ score.getGamesPlayed }}')
+        , TD('{{ score.wins }}')
+        , TD('{{ score.getAveragePointsPerGame }}')
+        , TD('{{ score.getBonusPoints }}')
+        , TD('{{ score.getLowestWeeklyPoints }}')
+        , TD('{{ score.getOverallScore }}')
+        , TD('{{ score.ranking }}')
+        )
+      )
+    )
+  , TABLE({'class': 'table table-striped table-bordered table-condensed'}
+    , THEAD(TR(
+        TH()
+      , TH('Played On')
+      , TH('Players')
+      , TH('Position')
+      , TH('Place Points')
+      , TH('Bounty Points')
+      , TH('Fish-Chip Points')
+      , TH('Total Points')
+      , TH('Knocked Out')
+      , TH('Knocked Out By')
+      ))
+    , TBODY($for('result in results'
+      , TR(
+          TD(A({href: $url('result.game')}, 'Game {{ result.game.getGameNumber }}'))
+        , TD('{{ result.game.date.toDateString }}')
+        , TD('{{ result.game.results.length }}')
+        , TD('{{ result.position }}')
+        , TD('{{ result.placePoints }}')
+        , TD('{{ result.bountyPoints }}')
+        , TD('{{ result.fishChipPoints }}')
+        , TD('{{ result.points }}')
+        , TD($for('victim in result.knockedOut'
+          , A({href: $url('victim')}, '{{ victim.name }}')
+          , $if('!forloop.last', ', ')
+          ))
+        , TD($if('result.knockedOutBy'
+          , A({href: $url('result.knockedOutBy')}, '{{ result.knockedOutBy.name }}')
+          ))
+        )
+      ))
+    )
+  , $empty("This player hasn't played any games yet.")
+  )
+, H2('Manage Player')
+, toggleAddButton('Rename Player')
+, FORM({id: 'renamePlayerForm', 'class': 'form-horizontal hide', submit: $handler(on('renamePlayer'), 'player')}
+  , FIELDSET(
+      LEGEND('Rename Player')
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'name'}, 'Name')
+      , DIV({'class': 'controls'}
+        , INPUT({'class': 'input-large', type: 'text', name: 'name', id: 'name', value: '{{ player.name }}'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Rename Player')
+      , ' '
+      , toggleCancelButton()
+      )
+    )
+  )
+, $if('playersShared'
+  , P({'class': 'help-block'}, 'Players are shared with other leagues, so they can\'t be merged - '
+                             , 'their games in other leagues would lose track of them.')
+  )
+, $if('otherPlayers.length && !playersShared'
+  , toggleAddButton('Merge Player')
+  , FORM({id: 'mergePlayerForm', 'class': 'form-horizontal hide', submit: $handler(on('mergePlayer'), 'player')}
+    , FIELDSET(
+        LEGEND('Merge Player')
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'into'}, 'Merge Into')
+        , DIV({'class': 'controls'}
+          , SELECT({name: 'into', id: 'into'}
+            , OPTION({value: ''}, '----')
+            , $for('other in otherPlayers'
+              , OPTION({value: '{{ other.id }}'}, '{{ other.name }}')
+              )
+            )
+          , P({'class': 'help-block hide'})
+          , P({'class': 'help-block'}
+            , "{{ player.name }}'s games and knockouts in every Season will be given to the "
+            , 'selected player and {{ player.name }} will be deleted.'
+            )
+          )
+        )
+      , DIV({'class': 'form-actions'}
+        , BUTTON({'class': 'btn btn-danger', type: 'submit'}, 'Merge Player')
+        , ' '
+        , toggleCancelButton()
+        )
+      )
+    )
+  )
+, FORM({'class': 'form-horizontal', submit: $handler(on('toggleRetired'), 'player')}
+  , DIV({'class': 'form-actions'}
+    , $if('player.retired'
+      , BUTTON({'class': 'btn', type: 'submit'}, 'Reinstate Player')
+      , ' '
+      , SPAN({'class': 'help-inline'}, 'The player will be available to add to games again.')
+      , $else(
+          BUTTON({'class': 'btn', type: 'submit'}, 'Retire Player')
+        , ' '
+        , SPAN({'class': 'help-inline'}
+          , "The player will no longer be available to add to games, but their history will be kept."
+          )
+        )
+      )
+    )
+  )
+)
+
+$template('season_list'
+, DIV({'class': 'page-header'}
+  , H1('Seasons')
+  )
+, $if('seasons.length'
+  ,TABLE({'class': 'table table-striped table-bordered table-condensed'}
+    , THEAD(TR(
+        TH('Name')
+      , TH('Games Played')
+      , TH('State')
+      , TH('Champion')
+      ))
+    , TBODY($for('season in seasons'
+      , TR(
+          TD(
+            A({href: $url('season')}
+            , '{{ season.name }}'
+            )
+          )
+        , TD('{{ season.games.length }} of {{ season.weeks }}')
+        , TD('{{ season.getState }}')
+        , TD($if('season.isCompleted'
+          , A({href: $url('season.getChampion')}, '{{ season.getChampion.name }}')
+          ))
+        )
+      ))
+    )
+  , $else(DIV({'class': 'alert alert-info'}, 'None yet - add one below.'))
+  )
+, $if('archivedSeasons.length'
+  , H2('Archived Seasons')
+  , UL($for('season in archivedSeasons'
+    , LI(A({href: $url('season')}, '{{ season.name }}'))
+    ))
+  )
+, toggleAddButton('Add Season')
+, FORM({id: 'addSeasonForm', 'class': 'form-horizontal hide', method: 'post', action: $url('/seasons'), submit: on('addSeason')}
+  , FIELDSET(
+      LEGEND('Add Season')
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'name'}, 'Name')
+      , DIV({'class': 'controls'}
+        , INPUT({'class:': 'input-large', type: 'text', name: 'name', id: 'name'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Add Season')
+      , ' '
+      , toggleCancelButton()
+      )
+    )
+  )
+)
+
+/**
+ * Form for adding or editing a Game - the form is submitted by calling
+ * submitGame with target, or by posting it to target's URL.
+ */
+$template('game_form'
+, FORM({id: '{{ formId }}', 'class': 'form-horizontal hide', method: 'post', action: $url('target'), submit: $handler('submitGame', 'target')}
+  , FIELDSET(
+      LEGEND('{{ legend }}')
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'date'}, 'Date')
+      , DIV({'class': 'controls'}
+        , INPUT({type: 'text', name: 'date', id: 'date', placeholder: 'DD/MM/YYYY'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label'}, 'Results')
+      , DIV({'class': 'controls'}
+        , $if('players.length'
+          , TABLE({'class': 'table table-condensed table-controls', style: 'width: auto'}
+            , THEAD(TR(
+                TH({style: 'width: 150px'}, 'Player')
+              , TH({style: 'width: 350px'}, 'Position')
+              ))
+            , TBODY($for('player in players'
+              , TR(
+                  TD(LABEL({'for': 'position{{ forloop.counter }}'}, '{{ player.name }}'))
+                , TD(
+                    INPUT({type: 'hidden', name: 'player', value: '{{ player.id }}'})
+                  , INPUT({type: 'text', name: 'position', id: 'position{{ forloop.counter }}', 'class': 'input-mini'})
+                  , SPAN({'class': 'help-inline hide'})
+                  )
+                )
+              ))
+            )
+          , $else(
+              DIV({'class': 'alert alert-info'}
+              , 'There are no Players registered yet - add some on the '
+              , A({href: $url('/players')}, 'Players')
+              , ' page.'
+              )
+            )
+          )
+        , P({'class': 'help-block hide', id: 'results-help'})
+        )
+      )
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label'}, 'Knockouts')
+      , DIV({'class': 'controls'}
+        , DIV({'class': 'control-knockout'}
+          , SELECT({'name': 'perp'}
+            , OPTION({value: ''}, '----')
+            , $for('player in players'
+              , OPTION({value: '{{ player.id }}'}, '{{ player.name }}')
+              )
+            )
+          , ' knocked out '
+          , SELECT({'name': 'victim'}
+            , OPTION({value: ''}, '----')
+            , $for('player in players'
+              , OPTION({value: '{{ player.id }}'}, '{{ player.name }}')
+              )
+            )
+          , P({'class': 'help-block hide'})
+          )
+        , P(BUTTON({'class': 'btn btn-success', type: 'button', name: 'addKnockoutBtn', click: on('cloneKnockout')}
+          , I({'class': 'icon-plus icon-white'})
+          , ' Add'
+          ))
+        )
+      )
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'buyIn'}, 'Buy-In')
+      , DIV({'class': 'controls'}
+        , INPUT({'class': 'input-mini', type: 'text', name: 'buyIn', id: 'buyIn'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'payouts'}, 'Payouts')
+      , DIV({'class': 'controls'}
+        , INPUT({'class': 'input-large', type: 'text', name: 'payouts', id: 'payouts'})
+        , P({'class': 'help-block hide'})
+        , P({'class': 'help-block'}, "Leave blank to use the Season's stakes.")
+        )
+      )
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'gameStructure'}, 'Structure')
+      , DIV({'class': 'controls'}
+        , SELECT({name: 'structure', id: 'gameStructure'}
+          , OPTION({value: ''}, "Season's Structure")
+          , $for('structure in structures'
+            , OPTION({value: '{{ structure.id }}'}, '{{ structure.name }}')
+            )
+          )
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn btn-primary', type: 'submit', name: 'submitBtn'}, '{{ legend }}')
+      , ' '
+      , toggleCancelButton()
+      , P({'class': 'help-block hide'})
+      )
+    )
+  )
+)
+
+$template('season_details'
+, DIV({'class': 'page-header'}
+  , H1('Season: {{ season.name }} ', SMALL('{{ season.getState }}')
+    , $if('season.archived', ' ', SPAN({'class': 'label'}, 'Archived'))
+    )
+  )
+, $if('season.isCompleted'
+  , $include('champion', {season: $var('season')})
+  )
+, $if('season.games.length'
+  , P(
+      A({href: $url('season', '/knockouts')}, I({'class': 'icon-screenshot'}), ' Knockouts')
+    , ' '
+    , A({href: $url('season', '/rankings')}, I({'class': 'icon-signal'}), ' Rankings over time')
+    )
+  )
+, $if('!season.isCompleted'
+  , P(A({href: $url('season', '/live')}
+    , I({'class': 'icon-time'})
+    , $if('liveGame', ' Live Game in Progress', $else(' Start a Live Game'))
+    ))
+  )
+, H2('Games')
+, $if('season.games.length'
+  , TABLE({'class': 'table table-striped table-bordered table-condensed'}
+    , THEAD(TR(
+        TH()
+      , TH('Players')
+      , TH('Played On')
+      , TH('Winner')
+      ))
+    , TBODY($for('game in season.games'
+      , TR(
+          TD(A({href: $url('game')}, 'Game {{ game.getGameNumber }}'))
+        , TD('{{ game.results.length }}')
+        , TD('{{ game.date.toDateString }}')
+        , TD(A({href: $url('game.getWinner')}, '{{ game.getWinner.name }}'))
+        )
+      ))
+    )
+  , $else(DIV({'class': 'alert alert-info'}, 'None yet - add one below.'))
+  )
+, $if('!season.isCompleted'
+  , $if('!season.getNextWeek'
+    , DIV({'class': 'alert alert-info'}
+      , 'All {{ season.weeks }} planned weeks have been played - complete the '
+      , 'Season below to crown its champion.'
+      )
+    )
+  , toggleAddButton('Add Game')
+  , $include('game_form', {
+      formId: 'addGameForm'
+    , legend: 'Add Game'
+    , submitGame: on('addGame')
+    , target: $var('season')
+    })
+  , toggleAddButton('Add Game from Knockout Log')
+  , FORM({id: 'knockoutLogForm', 'class': 'form-horizontal hide', submit: $handler(on('addGameFromKnockoutLog'), 'season')}
+    , FIELDSET(
+        LEGEND('Add Game from Knockout Log')
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'logDate'}, 'Date')
+        , DIV({'class': 'controls'}
+          , INPUT({type: 'text', name: 'date', id: 'logDate', placeholder: 'DD/MM/YYYY'})
+          , P({'class': 'help-block hide'})
+          )
+        )
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label'}, 'Knockouts')
+        , DIV({'class': 'controls'}
+          , DIV({'class': 'control-knockout'}
+            , SELECT({'name': 'victim'}
+              , OPTION({value: ''}, '----')
+              , $for('player in players'
+                , OPTION({value: '{{ player.id }}'}, '{{ player.name }}')
+                )
+              )
+            , ' knocked out by '
+            , SELECT({'name': 'perp'}
+              , OPTION({value: ''}, '----')
+              , $for('player in players'
+                , OPTION({value: '{{ player.id }}'}, '{{ player.name }}')
+                )
+              )
+            , P({'class': 'help-block hide'})
+            )
+          , P(BUTTON({'class': 'btn btn-success', type: 'button', click: on('cloneKnockout')}
+            , I({'class': 'icon-plus icon-white'})
+            , ' Add'
+            ))
+          , P({'class': 'help-block'}
+            , 'Enter players in the order they were knocked out, first out first. '
+            , 'Finishing positions are worked out from the order - the first out '
+            , 'finishes last and the last player standing wins.'
+            )
+          )
+        )
+      , DIV({'class': 'form-actions'}
+        , BUTTON({'class': 'btn btn-primary', type: 'submit', name: 'submitBtn'}, 'Add Game')
+        , ' '
+        , toggleCancelButton()
+        , P({'class': 'help-block hide'})
+        )
+      )
+    )
+  , toggleAddButton('Import Games from CSV')
+  , FORM({id: 'importGamesForm', 'class': 'form-horizontal hide', submit: $handler(on('previewGamesImport'), 'season')}
+    , FIELDSET(
+        LEGEND('Import Games from CSV')
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'csvFile'}, 'CSV File')
+        , DIV({'class': 'controls'}
+          , INPUT({type: 'file', name: 'csvFile', id: 'csvFile', accept: '.csv,text/csv', change: on('loadGamesCSV')})
+          )
+        )
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'csv'}, 'CSV')
+        , DIV({'class': 'controls'}
+          , TEXTAREA({'class': 'input-xxlarge', name: 'csv', id: 'csv', rows: 10})
+          , P({'class': 'help-block hide'})
+          , P({'class': 'help-block'}
+            , 'One row per player per game, with a header row naming the columns: '
+            , CODE('date'), ' (DD/MM/YYYY), ', CODE('player'), ', ', CODE('position')
+            , ' and optionally ', CODE('game'), ' and ', CODE('knocked out by'), '. Rows are grouped into games by date,'
+            , ' and by game number for nights with more than one game. Games are added after the'
+            , ' Season\'s existing games, so they can\'t be from before its last game.'
+            )
+          )
+        )
+      , DIV({'class': 'form-actions'}
+        , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Preview Import')
+        , ' '
+        , toggleCancelButton()
+        )
+      )
+    )
+  , DIV({id: 'importGamesPreview'})
+  )
+, $if('season.isCompleted'
+  , H2('Final Standings')
+  , $include('final_standings', {season: $var('season')})
+  , FORM({'class': 'form-horizontal', submit: $handler(on('reopenSeason'), 'season')}
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn', type: 'submit'}, 'Reopen Season')
+      , ' '
+      , SPAN({'class': 'help-inline'}
+        , 'Games can be changed again and the champion will be crowned when the Season is next completed.'
+        )
+      )
+    )
+  , $else(
+      H2('League Table')
+    , $if('season.games.length'
+      , $include('league_table', {scores: $var('season.scores')})
+      , FORM({'class': 'form-horizontal', submit: $handler(on('completeSeason'), 'season')}
+        , DIV({'class': 'form-actions'}
+          , BUTTON({'class': 'btn btn-success', type: 'submit'}
+            , I({'class': 'icon-star icon-white'})
+            , ' Complete Season'
+            )
+          , ' '
+          , SPAN({'class': 'help-inline'}
+            , 'Crowns the champion and locks the Season against changes to its games.'
+            )
+          )
+        )
+      , $else(DIV({'class': 'alert alert-info'}
+        ,'The League Table will begin as soon as some games have been played.'
+        ))
+      )
+    )
+  )
+, H2('Schedule')
+, TABLE({'class': 'table table-striped table-bordered table-condensed', style: 'width: auto'}
+  , THEAD(TR(
+      TH('Week')
+    , TH('Scheduled For')
+    , TH('Game')
+    ))
+  , TBODY($for('week, date, game in season.getWeeks'
+    , TR(
+        TD('{{ week }}')
+      , TD($if('date', '{{ date.toDateString }}'))
+      , TD($if('game'
+        , A({href: $url('game')}, 'Played on {{ game.date.toDateString }}')
+        ))
+      )
+    ))
+  )
+, $if('!season.isCompleted'
+  , toggleAddButton('Change Schedule')
+  , FORM({id: 'scheduleForm', 'class': 'form-horizontal hide', submit: $handler(on('saveSchedule'), 'season')}
+    , FIELDSET(
+        LEGEND('Change Schedule')
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'weeks'}, 'Weeks')
+        , DIV({'class': 'controls'}
+          , INPUT({'class': 'input-mini', type: 'text', name: 'weeks', id: 'weeks', value: '{{ season.weeks }}'})
+          , P({'class': 'help-block hide'})
+          )
+        )
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'firstWeek'}, 'First Week')
+        , DIV({'class': 'controls'}
+          , INPUT({type: 'text', name: 'firstWeek', id: 'firstWeek', placeholder: 'DD/MM/YYYY'})
+          , P({'class': 'help-block hide'})
+          , P({'class': 'help-block'}, 'Weeks are scheduled a week apart from this date - leave blank to leave them unscheduled.')
+          )
+        )
+      , DIV({'class': 'form-actions'}
+        , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Save Schedule')
+        , ' '
+        , toggleCancelButton()
+        )
+      )
+    )
+  )
+, $if('earnings.length'
+  , H2('Earnings')
+  , $include('earnings_table', {summaries: $var('earnings')})
+  )
+, H2('Scoring Rules')
+, $if('season.games.length'
+  , TABLE({'class': 'table table-bordered table-condensed', style: 'width: auto'}
+    , TBODY(
+        TR(TH('Points'), TD('{{ season.rules.points }}'))
+      , TR(TH('Fish-Chip Bonus'), TD('{{ season.rules.fishChipBonus }}'))
+      , TR(TH('Bounty Bonus'), TD('{{ season.rules.bountyBonus }}'))
+      , TR(TH('Games Counted')
+        , TD($if('season.rules.bestGames'
+          , 'Best {{ season.rules.bestGames }}'
+          , $else('All')
+          ))
+        )
+      )
+    )
+  , $else(FORM({id: 'scoringRulesForm', 'class': 'form-horizontal', submit: $handler(on('saveScoringRules'), 'season')}
+    , FIELDSET(
+        DIV({'class': 'alert alert-info'}
+        , 'Scoring rules can be changed until the first game of the Season has been added.'
+        )
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'points'}, 'Points')
+        , DIV({'class': 'controls'}
+          , INPUT({'class': 'input-xlarge', type: 'text', name: 'points', id: 'points', value: '{{ season.rules.points }}'})
+          , P({'class': 'help-block hide'})
+          , P({'class': 'help-block'}, 'Points for each finishing position, winner first, separated by commas.')
+          )
+        )
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'fishChipBonus'}, 'Fish-Chip Bonus')
+        , DIV({'class': 'controls'}
+          , INPUT({'class': 'input-mini', type: 'text', name: 'fishChipBonus', id: 'fishChipBonus', value: '{{ season.rules.fishChipBonus }}'})
+          , P({'class': 'help-block hide'})
+          )
+        )
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'bountyBonus'}, 'Bounty Bonus')
+        , DIV({'class': 'controls'}
+          , INPUT({'class': 'input-mini', type: 'text', name: 'bountyBonus', id: 'bountyBonus', value: '{{ season.rules.bountyBonus }}'})
+          , P({'class': 'help-block hide'})
+          )
+        )
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'bestGames'}, 'Best Games Counted')
+        , DIV({'class': 'controls'}
+          , $if('season.rules.bestGames'
+            , INPUT({'class': 'input-mini', type: 'text', name: 'bestGames', id: 'bestGames', value: '{{ season.rules.bestGames }}'})
+            , $else(INPUT({'class': 'input-mini', type: 'text', name: 'bestGames', id: 'bestGames'}))
+            )
+          , P({'class': 'help-block hide'})
+          , P({'class': 'help-block'}, "Leave blank to count all of a player's games.")
+          )
+        )
+      , DIV({'class': 'form-actions'}
+        , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Save Scoring Rules')
+        )
+      )
+    ))
+  )
+, H3('Tie-Breakers')
+, P('Players with the same overall points are ranked by each of these in turn:')
+, OL($for('label in season.rules.getTieBreakerLabels'
+  , LI('{{ label }}')
+  , $empty(LI(EM('None - players with the same overall points share their ranking.')))
+  ))
+, P('Tie-breakers are used in all of the League\'s Seasons, and can be changed on the '
+  , A({href: $url('/leagues')}, 'Leagues'), ' page.'
+  )
+, H2('Stakes')
+, TABLE({'class': 'table table-bordered table-condensed', style: 'width: auto'}
+  , TBODY(
+      TR(TH('Buy-In'), TD('{{ season.stakes.formatBuyIn }}'))
+    , TR(TH('Payouts'), TD('{{ season.stakes.payouts }}'))
+    )
+  )
+, $if('!season.isCompleted'
+  , toggleAddButton('Change Stakes')
+  , FORM({id: 'stakesForm', 'class': 'form-horizontal hide', submit: $handler(on('saveStakes'), 'season')}
+    , FIELDSET(
+        LEGEND('Change Stakes')
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'stakesBuyIn'}, 'Buy-In')
+        , DIV({'class': 'controls'}
+          , INPUT({'class': 'input-mini', type: 'text', name: 'buyIn', id: 'stakesBuyIn', value: '{{ season.stakes.formatBuyIn }}'})
+          , P({'class': 'help-block hide'})
+          , P({'class': 'help-block'}, "Amount each player pays to play - 0 if games aren't played for money.")
+          )
+        )
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'stakesPayouts'}, 'Payouts')
+        , DIV({'class': 'controls'}
+          , INPUT({'class': 'input-large', type: 'text', name: 'payouts', id: 'stakesPayouts', value: '{{ season.stakes.payouts }}'})
+          , P({'class': 'help-block hide'})
+          , P({'class': 'help-block'}, 'Percentage of the pot paid to each place in the money, winner first, separated by commas.')
+          )
+        )
+      , DIV({'class': 'form-actions'}
+        , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Save Stakes')
+        , ' '
+        , toggleCancelButton()
+        )
+      )
+    )
+  )
+, H2('Structure')
+, $if('season.structure'
+  , P('Games are played with the '
+    , A({href: $url('season.structure')}, '{{ season.structure.name }}')
+    , ' structure, unless a different one is chosen for a game.'
+    )
+  , $else(P('No structure has been chosen for this Season.'))
+  )
+, $if('!season.isCompleted'
+  , toggleAddButton('Change Structure')
+  , FORM({id: 'structureForm', 'class': 'form-horizontal hide', submit: $handler(on('saveSeasonStructure'), 'season')}
+    , FIELDSET(
+        LEGEND('Change Structure')
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'seasonStructure'}, 'Structure')
+        , DIV({'class': 'controls'}
+          , SELECT({name: 'structure', id: 'seasonStructure'}
+            , OPTION({value: ''}, 'None')
+            , $for('structure in structures'
+              , OPTION({value: '{{ structure.id }}'}, '{{ structure.name }}')
+              )
+            )
+          , P({'class': 'help-block hide'})
+          , P({'class': 'help-block'}
+            , 'Structures can be created on the '
+            , A({href: $url('/structures')}, 'Structures')
+            , ' page.'
+            )
+          )
+        )
+      , DIV({'class': 'form-actions'}
+        , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Save Structure')
+        , ' '
+        , toggleCancelButton()
+        )
+      )
+    )
+  )
+, H2('Manage Season')
+, toggleAddButton('Rename Season')
+, FORM({id: 'renameSeasonForm', 'class': 'form-horizontal hide', submit: $handler(on('renameSeason'), 'season')}
+  , FIELDSET(
+      LEGEND('Rename Season')
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'seasonName'}, 'Name')
+      , DIV({'class': 'controls'}
+        , INPUT({'class': 'input-large', type: 'text', name: 'name', id: 'seasonName', value: '{{ season.name }}'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Rename Season')
+      , ' '
+      , toggleCancelButton()
+      )
+    )
+  )
+, FORM({'class': 'form-horizontal', submit: $handler(on('toggleArchived'), 'season')}
+  , DIV({'class': 'form-actions'}
+    , $if('season.archived'
+      , BUTTON({'class': 'btn', type: 'submit'}, 'Unarchive Season')
+      , ' '
+      , SPAN({'class': 'help-inline'}, 'The Season will be listed with the other Seasons again.')
+      , $else(
+          BUTTON({'class': 'btn', type: 'submit'}, 'Archive Season')
+        , ' '
+        , SPAN({'class': 'help-inline'}
+          , 'The Season will be listed separately and never shown on the home page, but its history will be kept.'
+          )
+        )
+      )
+    )
+  )
+, toggleAddButton('Delete Season')
+, FORM({id: 'deleteSeasonForm', 'class': 'form-horizontal hide', submit: $handler(on('deleteSeason'), 'season')}
+  , FIELDSET(
+      LEGEND('Delete Season')
+    , DIV({'class': 'alert alert-error'}
+      , P(STRONG('Deleting {{ season.name }} will remove:'))
+      , UL(
+          LI('{{ totals.games }} game(s) and {{ totals.knockouts }} knockout(s)')
+        , LI('The scores and rankings of {{ totals.players }} player(s)')
+        , $if('season.isCompleted'
+          , LI('The final standings and champion')
+          )
+        , $if('liveGame'
+          , LI('The live game in progress')
+          )
+        )
+      , P('Players will not be deleted. Deleting can be undone with the toolbar\'s Undo button while '
+        , 'it\'s still in the undo history. To keep the Season but hide it, archive it instead.'
+        )
+      )
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn btn-danger', type: 'submit'}
+        , I({'class': 'icon-trash icon-white'})
+        , ' Delete Season'
+        )
+      , ' '
+      , toggleCancelButton()
+      )
+    )
+  )
+)
+
+$template('game_details'
+, DIV({'class': 'page-header'}
+  , H1(
+      'Game {{ game.getGameNumber }} in '
+    , A({href: $url('game.season')}, '{{ game.season.name }}')
+    , ', played on {{ game.date.toDateString }}'
+    )
+  )
+, $if('game.getStructure'
+  , P(I({'class': 'icon-time'}), ' Played with the '
+    , A({href: $url('game.getStructure')}, '{{ game.getStructure.name }}')
+    , ' structure.'
+    )
+  )
+, H2('Story of the Game')
+, $for('line in game.story'
+  , P('{{ line }}')
+  )
+, $if('payouts.length'
+  , H2('Payouts')
+  , P('Pot: {{ pot }}')
+  , TABLE({'class': 'table table-bordered table-condensed', style: 'width: auto'}
+    , TBODY($for('player, amount in payouts'
+      , TR(
+          TH(A({href: $url('player')}, '{{ player.name }}'))
+        , TD('{{ amount }}')
+        )
+      ))
+    )
+  )
+, UL({'class': 'pager'}
+  , $if('previousGame'
+    , LI({'class': 'previous'}
+      , A({href: $url('previousGame')}, '\u2190 Previous Game')
+      )
+    )
+  , $if('nextGame'
+    , LI({'class': 'next'}
+      , A({href: $url('nextGame')}, 'Next Game \u2192')
+      )
+    )
+  )
+, $if('!game.season.isCompleted'
+  , toggleAddButton('Edit Game')
+  , $include('game_form', {
+      formId: 'editGameForm'
+    , legend: 'Edit Game'
+    , submitGame: on('editGame')
+    , target: $var('game')
+    })
+  , FORM({'class': 'form-horizontal', submit: $handler(on('deleteGame'), 'game')}
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn btn-danger', type: 'submit'}
+        , I({'class': 'icon-trash icon-white'})
+        , ' Delete Game'
+        )
+      , ' '
+      , SPAN({'class': 'help-inline'}
+        , 'Scores for the rest of the Season will be recalculated.'
+        )
+      )
+    )
+  )
+)
+
+$template('live_game_setup'
+, DIV({'class': 'page-header'}
+  , H1('Live Game in ', A({href: $url('season')}, '{{ season.name }}'))
+  )
+, $if('players.length'
+  , FORM({id: 'liveGameForm', 'class': 'form-horizontal', submit: $handler(on('startLiveGame'), 'season')}
+    , FIELDSET(
+        LEGEND('Start a Live Game')
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label'}, 'Players Present')
+        , DIV({'class': 'controls'}
+          , $for('player in players'
+            , LABEL({'class': 'checkbox'}
+              , INPUT({type: 'checkbox', name: 'present', value: '{{ player.id }}'})
+              , ' {{ player.name }}'
+              )
+            )
+          , P({'class': 'help-block hide', id: 'present-help'})
+          )
+        )
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'liveStructure'}, 'Structure')
+        , DIV({'class': 'controls'}
+          , SELECT({name: 'structure', id: 'liveStructure', change: on('selectLiveStructure')}
+            , OPTION({value: ''}, 'None')
+            , $for('structure in structures'
+              , OPTION({value: '{{ structure.id }}'}, '{{ structure.name }}')
+              )
+            )
+          , P({'class': 'help-block hide'})
+          , P({'class': 'help-block'}, "Choosing a Structure replaces the levels below with its levels.")
+          )
+        )
+      , DIV({'class': 'control-group'}
+        , LABEL({'class': 'control-label', 'for': 'levels'}, 'Blind Levels')
+        , DIV({'class': 'controls'}
+          , TEXTAREA({'class': 'input-large', name: 'levels', id: 'levels', rows: 10}, '{{ levels }}')
+          , P({'class': 'help-block hide'})
+          , P({'class': 'help-block'}, LEVELS_HELP, ' The last level lasts until the game is over.')
+          )
+        )
+      , DIV({'class': 'form-actions'}
+        , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Start Game')
+        )
+      )
+    )
+  , $else(
+      DIV({'class': 'alert alert-info'}
+      , 'There are no Players registered yet - add some on the '
+      , A({href: $url('/players')}, 'Players')
+      , ' page.'
+      )
+    )
+  )
+)
+
+$template('live_game'
+, DIV({'class': 'page-header'}
+  , H1('Live Game in ', A({href: $url('liveGame.season')}, '{{ liveGame.season.name }}'))
+  )
+, DIV({'class': 'well clock', id: 'clock'}
+  , H3({id: 'clockLevel'})
+  , DIV({'class': 'blinds', id: 'clockBlinds'})
+  , DIV({'class': 'remaining', id: 'clockRemaining'})
+  , P({id: 'clockNext'})
+  , P(
+      BUTTON({'class': 'btn', type: 'button', click: $handler(on('previousLevel'), 'liveGame')}
+      , I({'class': 'icon-backward'}), ' Previous Level'
+      )
+    , ' '
+    , BUTTON({'class': 'btn btn-primary', type: 'button', id: 'clockToggle', click: $handler(on('toggleClock'), 'liveGame')})
+    , ' '
+    , BUTTON({'class': 'btn', type: 'button', click: $handler(on('nextLevel'), 'liveGame')}
+      , 'Next Level ', I({'class': 'icon-forward'})
+      )
+    )
+  )
+, $if('info.bountyPlayers.length || info.fishChipper'
+  , DIV({'class': 'alert alert-info'}
+    , $if('info.bountyPlayers.length'
+      , STRONG('Bounties: ')
+      , $for('player in info.bountyPlayers'
+        , '{{ player.name }}'
+        , $if('!forloop.last', ', ')
+        )
+      , '. '
+      )
+    , $if('info.fishChipper'
+      , STRONG('Fish-chip: '), '{{ info.fishChipper.name }}.'
+      )
+    )
+  )
+, H2('Players Remaining')
+, TABLE({'class': 'table table-bordered table-condensed', style: 'width: auto'}
+  , TBODY($for('row in remaining'
+    , TR(
+        TH(
+          '{{ row.player.name }} '
+        , $if('row.bounty'
+          , SPAN({'class': 'label label-important'}, 'Bounty')
+          )
+        , ' '
+        , $if('row.fishChip'
+          , SPAN({'class': 'label label-info'}, 'Fish-Chip')
+          )
+        )
+      , TD(FORM({'class': 'form-inline', style: 'margin: 0', submit: $handler(on('recordKnockout'), 'liveGame', 'row.player')}
+        , 'Knocked out by '
+        , SELECT({name: 'perp', 'class': 'input-medium'}
+          , OPTION({value: ''}, '----')
+          , $for('other in remaining'
+            , $if('other.player != row.player'
+              , OPTION({value: '{{ other.player.id }}'}, '{{ other.player.name }}')
+              )
+            )
+          )
+        , ' '
+        , BUTTON({'class': 'btn btn-danger', type: 'submit'}, 'Out')
+        , ' '
+        , SPAN({'class': 'help-inline hide'})
+        ))
+      )
+    ))
+  )
+, H2('Knockouts')
+, $if('liveGame.knockouts.length'
+  , OL($for('perp, victim in liveGame.knockouts'
+    , LI('{{ victim.name }} knocked out by {{ perp.name }}')
+    ))
+  , P(BUTTON({'class': 'btn', type: 'button', click: $handler(on('undoKnockout'), 'liveGame')}
+    , I({'class': 'icon-repeat'}), ' Undo Last Knockout'
+    ))
+  , $else(P('Nobody has been knocked out yet.'))
+  )
+, FORM({'class': 'form-horizontal', submit: $handler(on('abandonLiveGame'), 'liveGame')}
+  , DIV({'class': 'form-actions'}
+    , BUTTON({'class': 'btn btn-danger', type: 'submit'}
+      , I({'class': 'icon-trash icon-white'})
+      , ' Abandon Game'
+      )
+    , ' '
+    , SPAN({'class': 'help-inline'}
+      , 'The game will be added to the Season automatically when only the winner is left standing.'
+      )
+    )
+  )
+)
+
+$template('knockout_summaries'
+, TABLE({'class': 'table table-striped table-bordered table-condensed'}
+  , THEAD(TR(
+      TH('Player')
+    , TH('Nemesis')
+    , TH('Knocked Out By Them')
+    , TH('Favourite Victim')
+    , TH('Knocked Them Out')
+    ))
+  , TBODY($for('summary in summaries'
+    , TR(
+        TD(A({href: $url('summary.player')}, '{{ summary.player.name }}'))
+      , TD($for('nemesis in summary.nemeses.players'
+        , A({href: $url('nemesis')}, '{{ nemesis.name }}')
+        , $if('!forloop.last', ', ')
+        ))
+      , TD($if('summary.nemeses.count', '{{ summary.nemeses.count }}'))
+      , TD($for('victim in summary.favouriteVictims.players'
+        , A({href: $url('victim')}, '{{ victim.name }}')
+        , $if('!forloop.last', ', ')
+        ))
+      , TD($if('summary.favouriteVictims.count', '{{ summary.favouriteVictims.count }}'))
+      )
+    ))
+  )
+)
+
+$template('knockout_matrix'
+, DIV({'class': 'page-header'}
+  , $if('season'
+    , H1('Knockouts in ', A({href: $url('season')}, '{{ season.name }}'))
+    , $else(H1('All-Time Knockouts'))
+    )
+  )
+, $if('matrix.players.length'
+  , P('Each row shows how many times a player knocked out each of the players in the columns.')
+  , TABLE({'class': 'table table-bordered table-condensed', style: 'width: auto'}
+    , THEAD(TR(
+        TH()
+      , $for('player in matrix.players'
+        , TH(A({href: $url('player')}, '{{ player.name }}'))
+        )
+      , TH('Knockouts')
+      ))
+    , TBODY(
+        $for('row in matrix.getRows'
+        , TR(
+            TH(A({href: $url('row.player')}, '{{ row.player.name }}'))
+          , $for('cell in row.cells'
+            , $if('cell.self'
+              , TD('\u2014')
+              , $else(TD($if('cell.count', '{{ cell.count }}')))
+              )
+            )
+          , TD(STRONG('{{ row.total }}'))
+          )
+        )
+      , TR(
+          TH('Knocked Out')
+        , $for('total in matrix.getVictimTotals'
+          , TD(STRONG('{{ total }}'))
+          )
+        , TD()
+        )
+      )
+    )
+  , H2('Nemeses and Favourite Victims')
+  , $include('knockout_summaries', {summaries: $var('matrix.getSummaries')})
+  , $else(DIV({'class': 'alert alert-info'}
+    , 'Knockouts will be tallied as soon as some games have been played.'
+    ))
+  )
+)
+
+/**
+ * Table of a Structure's levels, suitable for printing.
+ */
+$template('structure_table'
+, TABLE({'class': 'table table-bordered table-condensed structure', style: 'width: auto'}
+  , THEAD(TR(
+      TH('Level')
+    , TH('Blinds')
+    , TH('Ante')
+    , TH('Minutes')
+    , TH('Starts After')
+    ))
+  , TBODY($for('row in structure.getNumberedLevels'
+    , $if('row.number'
+      , TR(
+          TD('{{ row.number }}')
+        , TD('{{ row.level.smallBlind }} / {{ row.level.bigBlind }}')
+        , TD($if('row.level.ante', '{{ row.level.ante }}', $else('-')))
+        , TD('{{ row.level.minutes }}')
+        , TD('{{ row.start }} min')
+        )
+      , $else(TR({'class': 'break'}
+        , TD({colspan: 3}, 'Break')
+        , TD('{{ row.level.minutes }}')
+        , TD('{{ row.start }} min')
+        ))
+      )
+    ))
+  )
+)
+
+$template('structure_list'
+, DIV({'class': 'page-header'}
+  , H1('Structures')
+  )
+, P('Structures are the blind levels, antes and breaks games are played with. '
+  , 'Assign one to a Season to use it for all its games, or pick one when adding a Game.'
+  )
+, $if('structures.length'
+  , TABLE({'class': 'table table-striped table-bordered table-condensed'}
+    , THEAD(TR(
+        TH('Name')
+      , TH('Starting Stack')
+      , TH('Levels')
+      , TH('Minutes')
+      ))
+    , TBODY($for('structure in structures'
+      , TR(
+          TD(A({href: $url('structure')}, '{{ structure.name }}'))
+        , TD('{{ structure.startingStack }}')
+        , TD('{{ structure.levels.length }}')
+        , TD('{{ structure.getTotalMinutes }}')
+        )
+      ))
+    )
+  , $else(DIV({'class': 'alert alert-info'}, 'None yet - generate one below.'))
+  )
+, toggleAddButton('Generate Structure')
+, FORM({id: 'generateStructureForm', 'class': 'form-horizontal hide', submit: on('generateStructure')}
+  , FIELDSET(
+      LEGEND('Generate Structure')
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'name'}, 'Name')
+      , DIV({'class': 'controls'}
+        , INPUT({'class': 'input-large', type: 'text', name: 'name', id: 'name'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'startingStack'}, 'Starting Stack')
+      , DIV({'class': 'controls'}
+        , INPUT({'class': 'input-small', type: 'text', name: 'startingStack', id: 'startingStack', value: '5000'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'playerCount'}, 'Players')
+      , DIV({'class': 'controls'}
+        , INPUT({'class': 'input-mini', type: 'text', name: 'playerCount', id: 'playerCount', value: '{{ playerCount }}'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'targetMinutes'}, 'Target Duration')
+      , DIV({'class': 'controls'}
+        , INPUT({'class': 'input-mini', type: 'text', name: 'targetMinutes', id: 'targetMinutes', value: '240'})
+        , P({'class': 'help-block hide'})
+        , P({'class': 'help-block'}, 'Minutes the game should last, including breaks.')
+        )
+      )
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'levelMinutes'}, 'Level Length')
+      , DIV({'class': 'controls'}
+        , INPUT({'class': 'input-mini', type: 'text', name: 'levelMinutes', id: 'levelMinutes', value: '20'})
+        , P({'class': 'help-block hide'})
+        , P({'class': 'help-block'}, 'Minutes each blind level lasts.')
+        )
+      )
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Generate Structure')
+      , ' '
+      , toggleCancelButton()
+      )
+    )
+  )
+)
+
+$template('structure_details'
+, DIV({'class': 'page-header'}
+  , H1('Structure: {{ structure.name }}')
+  )
+, P('Starting stack: {{ structure.startingStack }} chips. '
+  , 'Total time: {{ structure.getTotalMinutes }} minutes.'
+  )
+, $include('structure_table', {structure: $var('structure')})
+, P(BUTTON({'class': 'btn', type: 'button', click: function() { window.print() }}
+  , I({'class': 'icon-print'})
+  , ' Print'
+  ))
+, toggleAddButton('Edit Structure')
+, FORM({id: 'editStructureForm', 'class': 'form-horizontal hide', submit: $handler(on('editStructure'), 'structure')}
+  , FIELDSET(
+      LEGEND('Edit Structure')
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'name'}, 'Name')
+      , DIV({'class': 'controls'}
+        , INPUT({'class': 'input-large', type: 'text', name: 'name', id: 'name', value: '{{ structure.name }}'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'startingStack'}, 'Starting Stack')
+      , DIV({'class': 'controls'}
+        , INPUT({'class': 'input-small', type: 'text', name: 'startingStack', id: 'startingStack', value: '{{ structure.startingStack }}'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'levels'}, 'Levels')
+      , DIV({'class': 'controls'}
+        , TEXTAREA({'class': 'input-large', name: 'levels', id: 'levels', rows: 15}, '{{ levels }}')
+        , P({'class': 'help-block hide'})
+        , P({'class': 'help-block'}, LEVELS_HELP)
+        )
+      )
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Save Structure')
+      , ' '
+      , toggleCancelButton()
+      )
+    )
+  )
+)
+
+$template('league_data'
+, DIV({'class': 'page-header'}
+  , H1('Import & Export')
+  )
+, $if('summary'
+  , DIV({'class': 'alert alert-success'}
+    , 'Import complete: {{ summary.playersAdded }} player(s), '
+    , '{{ summary.structuresAdded }} structure(s) and '
+    , '{{ summary.seasonsAdded }} season(s) added.'
+    , $if('summary.seasonsSkipped.length'
+      , ' Seasons which already exist were skipped: '
+      , $for('name in summary.seasonsSkipped'
+        , '{{ name }}'
+        , $if('!forloop.last', ', ')
+        )
+      , '.'
+      )
+    )
+  )
+, H2('Export')
+, P('Download all players, structures, seasons, games and knockouts as a single file, which can be imported again later.')
+, P(BUTTON({'class': 'btn btn-primary', type: 'button', click: on('downloadExport')}
+  , I({'class': 'icon-download-alt icon-white'})
+  , ' Download Export'
+  ))
+, H2('Import')
+, FORM({id: 'importForm', 'class': 'form-horizontal', submit: on('importLeagueFile')}
+  , FIELDSET(
+      DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'file'}, 'Export File')
+      , DIV({'class': 'controls'}
+        , INPUT({type: 'file', name: 'file', id: 'file', accept: '.json,application/json'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label'}, 'Mode')
+      , DIV({'class': 'controls'}
+        , LABEL({'class': 'radio'}
+          , INPUT({type: 'radio', name: 'mode', value: 'merge', checked: 'checked'})
+          , ' Merge - add players and seasons which don\'t exist yet'
+          )
+        , LABEL({'class': 'radio'}
+          , INPUT({type: 'radio', name: 'mode', value: 'replace'})
+          , ' Replace - delete all current data first'
+          )
+        )
+      )
+    , DIV({'class': 'alert alert-error hide', id: 'importErrors'})
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Import')
+      )
+    )
+  )
+, H2('Storage')
+, P('Choose where league data is stored - each storage is separate, so export '
+  , 'your data before switching and import it afterwards to take it with you.'
+  )
+, UL($for('backend in backends'
+  , LI($if('backend.current'
+    , STRONG('{{ backend.label }}'), ' (current)'
+    , $else(A({href: '?storage={{ backend.name }}'}, '{{ backend.label }}'))
+    ))
+  ))
+)
+
+$template('games_import_preview'
+, FORM({id: 'confirmGamesImportForm', 'class': 'form-horizontal', submit: $handler(on('confirmGamesImport'), 'season', 'imported')}
+  , FIELDSET(
+      LEGEND('Import Preview')
+    , $if('imported.errors.length'
+      , DIV({'class': 'alert alert-error'}
+        , P(STRONG('The games could not be imported'), ' - please correct these problems:')
+        , UL($for('error in imported.errors'
+          , LI('{{ error }}')
+          ))
+        )
+      )
+    , $if('imported.games.length'
+      , TABLE({'class': 'table table-striped table-bordered table-condensed'}
+        , THEAD(TR(
+            TH('Played On')
+          , TH('Players')
+          , TH('Results')
+          , TH('Knockouts')
+          ))
+        , TBODY($for('game in imported.games'
+          , TR(
+              TD('{{ game.date.toDateString }}', $if('game.number', ' (Game {{ game.number }})'))
+            , TD('{{ game.results.length }}')
+            , TD(OL($for('name in game.results'
+              , LI('{{ name }}')
+              )))
+            , TD($for('ko in game.knockouts'
+              , DIV('{{ ko.0 }} knocked out {{ ko.1 }}')
+              ))
+            )
+          ))
+        )
+      )
+    , $if('imported.unknownNames.length'
+      , P("These names don't match any existing Players - choose whether to create a new Player for each one, or use an existing Player:")
+      , $for('name in imported.unknownNames'
+        , DIV({'class': 'control-group'}
+          , LABEL({'class': 'control-label'}, '{{ name }}')
+          , DIV({'class': 'controls'}
+            , SELECT({name: 'unknownName'}
+              , OPTION({value: ''}, 'Create a new Player')
+              , $for('player in players'
+                , OPTION({value: '{{ player.id }}'}, '{{ player.name }}')
+                )
+              )
+            )
+          )
+        )
+      )
+    , $if('!imported.errors.length'
+      , DIV({'class': 'form-actions'}
+        , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Import {{ imported.games.length }} Game(s)')
+        )
+      )
+    )
+  )
+)
+
+$template('history'
+, DIV({'class': 'page-header'}
+  , H1('History')
+  )
+, P('Every change to players, seasons and games is logged here, including undoing and redoing them.')
+, FORM({id: 'operatorForm', 'class': 'well form-inline', submit: on('saveOperator')}
+  , LABEL({'for': 'operator'}, 'Changes are being made by')
+  , ' '
+  , INPUT({'class': 'input-medium', type: 'text', name: 'operator', id: 'operator', value: '{{ operator }}', placeholder: 'Your name'})
+  , ' '
+  , BUTTON({'class': 'btn', type: 'submit'}, 'Save')
+  , SPAN({'class': 'help-inline'}, 'Changes made on this device will be logged under this name.')
+  )
+, FORM({id: 'historyFilterForm', 'class': 'form-inline', change: on('filterHistory'), submit: on('filterHistory')}
+  , SELECT({name: 'type', 'class': 'input-medium'}
+    , OPTION({value: ''}, 'All changes')
+    , OPTION({value: 'player'}, 'Players')
+    , OPTION({value: 'season'}, 'Seasons')
+    , OPTION({value: 'game'}, 'Games')
+    )
+  , ' '
+  , SELECT({name: 'season', 'class': 'input-large'}
+    , OPTION({value: ''}, 'All seasons')
+    , $for('season in seasons'
+      , OPTION({value: '{{ season.id }}'}, '{{ season.name }}')
+      )
+    )
+  , ' '
+  , SELECT({name: 'operator', 'class': 'input-medium'}
+    , OPTION({value: ''}, 'Anyone')
+    , $for('name in operators'
+      , OPTION({value: '{{ name }}'}, '{{ name }}')
+      )
+    )
+  )
+, $if('rows.length'
+  , TABLE({'class': 'table table-striped table-bordered table-condensed'}
+    , THEAD(TR(
+        TH('When')
+      , TH('Who')
+      , TH('Change')
+      , TH('What')
+      , TH('Before \u2192 After')
+      ))
+    , TBODY($for('row in rows'
+      , TR(
+          TD('{{ row.time }}')
+        , TD($if('row.entry.operator', '{{ row.entry.operator }}', $else('\u2014')))
+        , TD('{{ row.entry.description }}')
+        , TD($if('row.exists'
+          , A({href: $url('row.entry')}, '{{ row.entry.label }}')
+          , $else('{{ row.entry.label }}')
+          ))
+        , TD($for('property in row.properties'
+          , DIV(STRONG('{{ property.name }}:'), ' {{ property.before }} \u2192 {{ property.after }}')
+          ))
+        )
+      ))
+    )
+  , $else(DIV({'class': 'alert alert-info'}, 'No changes have been logged.'))
+  )
+)
+
+$template('league_list'
+, DIV({'class': 'page-header'}
+  , H1('Leagues')
+  )
+, P('Each league has its own seasons, structures, undo history and audit trail. '
+  , $if('firstLeague', 'Leagues can share the players of {{ firstLeague.name }} instead of having their own.')
+  )
+, TABLE({'class': 'table table-striped table-bordered table-condensed'}
+  , THEAD(TR(
+      TH('Name')
+    , TH('Players')
+    , TH()
+    ))
+  , TBODY($for('row in rows'
+    , TR(
+        TD($if('row.current'
+          , STRONG('{{ row.league.name }}'), ' (current)'
+          , $else('{{ row.league.name }}')
+          ))
+      , TD($if('row.league.sharePlayers'
+        , 'Shared with {{ firstLeague.name }}'
+        , $else('Own')
+        ))
+      , TD($if('!row.current'
+        , BUTTON({'class': 'btn btn-mini', type: 'button', click: $handler(on('switchLeague'), 'row.league')}, 'Switch')
+        , ' '
+        , BUTTON({'class': 'btn btn-mini btn-danger', type: 'button', click: $handler(on('deleteLeague'), 'row.league')}, 'Delete')
+        ))
+      )
+    ))
+  )
+, FORM({id: 'renameLeagueForm', 'class': 'form-horizontal', submit: on('renameLeague')}
+  , FIELDSET(
+      LEGEND('Rename {{ current.name }}')
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'leagueName'}, 'Name')
+      , DIV({'class': 'controls'}
+        , INPUT({'class': 'input-large', type: 'text', name: 'name', id: 'leagueName', value: '{{ current.name }}'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Rename League')
+      )
+    )
+  )
+, H2('Tie-Breakers')
+, P('Players with the same overall points in {{ current.name }}\'s Seasons are ranked by each of these in turn:')
+, OL($for('label in current.getTieBreakerLabels'
+  , LI('{{ label }}')
+  , $empty(LI(EM('None - players with the same overall points share their ranking.')))
+  ))
+, P('Completed Seasons keep the final standings they were completed with.')
+, toggleAddButton('Change Tie-Breakers')
+, FORM({id: 'tieBreakersForm', 'class': 'form-horizontal hide', submit: on('saveTieBreakers')}
+  , FIELDSET(
+      LEGEND('Change Tie-Breakers')
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label'}, 'Tie-Breakers')
+      , DIV({'class': 'controls'}
+        , $for('tieBreaker in tieBreakers'
+          , P(SELECT({name: 'tieBreaker'}
+            , OPTION({value: ''}, '----')
+            , $for('option in tieBreakers'
+              , OPTION({value: '{{ option.name }}'}, '{{ option.label }}')
+              )
+            ))
+          )
+        , P({'class': 'help-block hide'})
+        , P({'class': 'help-block'}, 'In the order they should be used - leave the rest blank.')
+        )
+      )
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Save Tie-Breakers')
+      , ' '
+      , toggleCancelButton()
+      )
+    )
+  )
+, toggleAddButton('Add League')
+, FORM({id: 'addLeagueForm', 'class': 'form-horizontal hide', submit: on('addLeague')}
+  , FIELDSET(
+      LEGEND('Add League')
+    , DIV({'class': 'control-group'}
+      , LABEL({'class': 'control-label', 'for': 'name'}, 'Name')
+      , DIV({'class': 'controls'}
+        , INPUT({'class': 'input-large', type: 'text', name: 'name', id: 'name'})
+        , P({'class': 'help-block hide'})
+        )
+      )
+    , $if('firstLeague'
+      , DIV({'class': 'control-group'}
+        , DIV({'class': 'controls'}
+          , LABEL({'class': 'checkbox'}
+            , INPUT({type: 'checkbox', name: 'sharePlayers'})
+            , ' Share players with {{ firstLeague.name }}'
+            )
+          )
+        )
+      )
+    , DIV({'class': 'form-actions'}
+      , BUTTON({'class': 'btn btn-primary', type: 'submit'}, 'Add League')
+      , ' '
+      , toggleCancelButton()
+      )
+    )
+  )
+)
+
+$template('storage_error'
+, DIV({'class': 'page-header'}
+  , H1('Storage Error')
+  )
+, DIV({'class': 'alert alert-error'}
+  , P('League data could not be loaded: {{ error.message }}')
+  , $if('error.migration.newer'
+    , P('The ', STRONG('{{ error.migration.storageKey }}'), ' data was stored by a newer '
+      , 'version of the app than this one - reload the page to make sure you have the '
+      , 'latest version.'
+      )
+    , $else($if('error.migration'
+      , P('League data stored by an earlier version of the app is upgraded when '
+        , "it's loaded, but upgrading the ", STRONG('{{ error.migration.storageKey }}')
+        , " data failed, so it can't be used yet. That data hasn't been changed."
+        )
+      , $if('error.migration.backup'
+        , P('A copy of it from before the upgrade was also kept as '
+          , STRONG('{{ error.migration.backup }}'), '.'
+          )
+        )
+      , P('Please report this problem, including the error above.')
+      ))
+    )
+  , P(A({href: '?storage=localStorage'}, 'Switch back to localStorage storage'))
+  )
+)
+
+$template('not_found'
+, DIV({'class': 'page-header'}
+  , H1('Not Found')
+  )
+, DIV({'class': 'alert alert-error'}
+  , "There's nothing here - it may have been deleted, or the link may be wrong."
+  )
+)
+
+}}()
+
+// ================================================================ Contexts ===
+
+/**
+ * Functions which create the context for the views which are rendered both in
+ * the browser and by server.js, given a league's storage as created by
+ * League#createStorage() and whatever is being displayed.
+ */
+var contexts = {
+  index: function(storage) {
+    return {
+      season: Season.getCurrent(storage.Seasons.all())
+    }
+  }
+
+, player_list: function(storage) {
+    return {
+      players: storage.Players.all()
+    }
+  }
+
+  /**
+   * playersShared is true if the player's league shares its players with other
+   * leagues, or uses another league's.
+   */
+, player_details: function(storage, player, playersShared) {
+    var seasonResults = []
+    storage.Seasons.all().forEach(function(season) {
+      var score = season.getScore(player)
+      if (score !== null) {
+        seasonResults.push([season, score, season.getPlayerResults(player)])
+      }
+    })
+    var games = Season.getAllGames(storage.Seasons.all())
+      , knockoutSummary = new KnockoutMatrix(games).getSummary(player)
+      , ledger = new Ledger(player)
+    games.forEach(function(game) {
+      if (game.getStakes().buyIn && game.results.indexOf(player) != -1) {
+        ledger.addGame(game)
+      }
+    })
+    return {
+      player: player
+    , otherPlayers: storage.Players.all().filter(function(other) { return other !== player })
+    , playersShared: playersShared
+    , seasonResults: seasonResults
+    , knockoutSummary: knockoutSummary
+    , knockoutSummaries: [knockoutSummary]
+    , ledger: ledger
+    , ledgerSummaries: [ledger.getSummary()]
+    }
+  }
+
+, season_list: function(storage) {
+    var seasons = storage.Seasons.all()
+    return {
+      seasons: seasons.filter(function(season) { return !season.archived })
+    , archivedSeasons: seasons.filter(function(season) { return season.archived })
+    }
+  }
+
+, season_details: function(storage, season) {
+    return {
+      season: season
+    , players: Player.getActive(storage.Players.all())
+    , structures: storage.Structures.all()
+    , liveGame: LiveGame.getForSeason(storage.LiveGames.all(), season)
+    , totals: season.getTotals()
+    , earnings: Ledger.forGames(season.games).map(function(ledger) {
+        return ledger.getSummary()
+      })
+    }
+  }
+
+, game_details: function(storage, game) {
+    var season = game.season
+    return {
+      game: game
+    , players: Player.getActive(storage.Players.all(), game.results)
+    , structures: storage.Structures.all()
+    , pot: formatMoney(game.getPot())
+    , payouts: game.getPayouts().map(function(payout) {
+        return [payout[0], formatMoney(payout[1])]
+      })
+    , previousGame: game.index > 0 ? season.games[game.index - 1] : null
+    , nextGame: (game.index < season.games.length - 1
+                 ? season.games[game.index + 1]
+                 : null)
+    }
+  }
+}
+
+// ================================================================= Exports ===
+
+return {
+  settings: settings
+, href: href
+, contexts: contexts
+}
+
+})
@@ -0,0 +1,1359 @@
+var assert = require('assert')
+  , test = require('node:test')
+
+var league = require('../league')
+  , AuditEntry = league.AuditEntry
+  , AuditLog = league.AuditLog
+  , Command = league.Command
+  , CommandHistory = league.CommandHistory
+  , Game = league.Game
+  , League = league.League
+  , Ledger = league.Ledger
+  , LiveGame = league.LiveGame
+  , LocalStorage = league.LocalStorage
+  , MemoryStorage = league.MemoryStorage
+  , Player = league.Player
+  , Score = league.Score
+  , ScoringRules = league.ScoringRules
+  , Season = league.Season
+  , Stakes = league.Stakes
+  , Structure = league.Structure
+
+/**
+ * Creates players with the given names, with ids set as they would be by
+ * storage.
+ */
+function createPlayers(names) {
+  return names.map(function(name, i) {
+    var player = new Player(name)
+    player.id = i
+    return player
+  })
+}
+
+function date(day) {
+  return new Date(2012, 0, day)
+}
+
+var players = createPlayers(['Alan', 'Bob', 'Colin', 'Dave', 'Eric', 'Fred'])
+  , a = players[0], b = players[1], c = players[2]
+  , d = players[3], e = players[4], f = players[5]
+
+// ---------------------------------------------------------- calculateScores ---
+
+test('calculateScores awards points by finishing position', function() {
+  var season = new Season('Test')
+  season.addGame(new Game(date(1), [a, b, c, d]))
+  assert.deepEqual(season.scores.map(function(s) { return s.getOverallScore() }),
+                   [15, 13, 11, 9])
+  assert.equal(season.getScore(a).wins, 1)
+  assert.equal(season.getScore(b).wins, 0)
+})
+
+test('calculateScores adds extra points when there are more players than points', function() {
+  var season = new Season('Test', new ScoringRules({points: [3, 2, 1]}))
+  season.addGame(new Game(date(1), [a, b, c, d, e]))
+  assert.deepEqual(season.games[0].results.map(function(player) {
+    return season.getScore(player).getOverallScore()
+  }), [5, 4, 3, 2, 1])
+})
+
+test('calculateScores uses the season rules for bonuses', function() {
+  var season = new Season('Test', new ScoringRules({bountyBonus: 5, fishChipBonus: 3}))
+  season.addGame(new Game(date(1), [a, b, c, d, e, f]))
+  // f has the fish-chip and cashes, c knocks out bounty player b
+  season.addGame(new Game(date(8), [f, c, b, d, e, a], [[c, b]]))
+  var fScore = season.getScore(f)
+    , cScore = season.getScore(c)
+  assert.equal(fScore.fishChipPoints[1], 3)
+  assert.equal(cScore.bountyPoints[1], 5)
+  assert.equal(cScore.scores[1], 13 + 5)
+})
+
+test('calculateScores only counts the best games', function() {
+  var season = new Season('Test', new ScoringRules({bestGames: 1}))
+  season.addGame(new Game(date(1), [a, b]))
+  season.addGame(new Game(date(8), [b, a]))
+  assert.equal(season.getScore(a).getOverallScore(), 15)
+  assert.equal(season.getScore(a).getGameScores().sum(), 28)
+})
+
+// ------------------------------------------------------ setPreviousGameInfo ---
+
+test('setPreviousGameInfo puts bounties on the top 3 players who are playing', function() {
+  var previous = new Game(date(1), [a, b, c, d, e, f])
+    , game = new Game(date(8), [c, d, e, f, a])
+  game.setPreviousGameInfo(previous)
+  // b isn't playing, so the bounty passes down to d
+  assert.deepEqual(game.bountyPlayers, [a, c, d])
+})
+
+test('setPreviousGameInfo gives the fish-chip to the lowest placed player who is playing', function() {
+  var previous = new Game(date(1), [a, b, c, d, e, f])
+    , game = new Game(date(8), [a, b, c, d])
+  game.setPreviousGameInfo(previous)
+  assert.strictEqual(game.fishChipper, d)
+})
+
+test('bounty bonuses are awarded for knocking out bounty players only', function() {
+  var season = new Season('Test')
+  season.addGame(new Game(date(1), [a, b, c, d, e, f]))
+  season.addGame(new Game(date(8), [d, e, f, a, b, c], [[e, f], [d, a], [d, b]]))
+  var game = season.games[1]
+  assert.equal(season.getScore(d).bountyPoints[1], 2)
+  assert.equal(season.getScore(e).bountyPoints[1], 0)
+  assert.ok(game.story.indexOf('Dave cashes in the bounty on Alan!') != -1)
+})
+
+test('a winner with a bounty on their head collects it', function() {
+  var season = new Season('Test')
+  season.addGame(new Game(date(1), [a, b, c, d]))
+  season.addGame(new Game(date(8), [a, b, c, d]))
+  assert.equal(season.getScore(a).bountyPoints[1], 1)
+  assert.equal(season.getScore(a).scores[1], 16)
+})
+
+test('the fish-chip only pays out when its holder finishes in the money', function() {
+  var season = new Season('Test')
+  season.addGame(new Game(date(1), [a, b, c, d, e, f]))
+  season.addGame(new Game(date(8), [a, f, b, c, d, e]))
+  assert.equal(season.getScore(f).fishChipPoints[1], 1)
+  season.addGame(new Game(date(15), [a, b, c, d, f, e]))
+  assert.equal(season.getScore(e).fishChipPoints[2], 0)
+})
+
+// ---------------------------------------------------------------- compareTo ---
+
+function scoreWith(player, scores, wins) {
+  var score = new Score(player)
+  score.scores = scores
+  score.bountyPoints = scores.map(function() { return 0 })
+  score.fishChipPoints = scores.map(function() { return 0 })
+  score.wins = wins
+  return score
+}
+
+test('compareTo ranks higher overall scores first', function() {
+  var high = scoreWith(a, [15], 1)
+    , low = scoreWith(b, [13], 0)
+  assert.ok(high.compareTo(low) < 0)
+  assert.ok(low.compareTo(high) > 0)
+})
+
+test('compareTo breaks ties on wins', function() {
+  var winner = scoreWith(a, [15, 1], 1)
+    , other = scoreWith(b, [8, 8], 0)
+  assert.ok(winner.compareTo(other) < 0)
+})
+
+test('compareTo breaks ties on fewer games played', function() {
+  var fewer = scoreWith(a, [16], 0)
+    , more = scoreWith(b, [8, 8], 0)
+  assert.ok(fewer.compareTo(more) < 0)
+})
+
+test('compareTo breaks ties on fish-chip points', function() {
+  var fishChip = scoreWith(a, [8, 8], 0)
+    , other = scoreWith(b, [8, 8], 0)
+  fishChip.fishChipPoints = [0, 1]
+  assert.ok(fishChip.compareTo(other) < 0)
+})
+
+test('compareTo breaks ties on player name', function() {
+  var alan = scoreWith(a, [8, 8], 0)
+    , bob = scoreWith(b, [8, 8], 0)
+  assert.ok(alan.compareTo(bob) < 0)
+  assert.ok(bob.compareTo(alan) > 0)
+  assert.equal(alan.compareTo(alan), 0)
+})
+
+test('compareTo uses the scoring rules tie-breakers in order', function() {
+  var rules = new ScoringRules({tieBreakers: ['gamesPlayed', 'wins']})
+    , winner = scoreWith(a, [15, 1], 1)
+    , fewer = scoreWith(b, [16], 0)
+  winner.rules = fewer.rules = rules
+  assert.ok(fewer.compareTo(winner) < 0)
+  assert.deepEqual(fewer.getSeparation(winner), {result: -1, tieBreaker: 'gamesPlayed'})
+  rules.tieBreakers = []
+  assert.equal(fewer.compareTo(winner), 0)
+})
+
+test('averages are compared before they\'re rounded for display', function() {
+  var higher = scoreWith(a, [3, 3, 4], 0)
+    , lower = scoreWith(b, [3, 3, 3, 3, 3, 4, 4], 0)
+  assert.equal(higher.getAveragePointsPerGame(), lower.getAveragePointsPerGame())
+  assert.ok(ScoringRules.TIE_BREAKERS.averagePoints.compare(higher, lower) < 0)
+})
+
+// --------------------------------------------------------------- sortScores ---
+
+test('sortScores sorts scores and ranks them', function() {
+  var season = new Season('Test')
+  season.addGame(new Game(date(1), [c, b, a]))
+  assert.deepEqual(season.scores.map(function(s) { return s.player }), [c, b, a])
+  assert.deepEqual(season.scores.map(function(s) { return s.ranking }), ['1', '2', '3'])
+})
+
+test('sortScores gives scores which tie-breakers cannot separate the same rank', function() {
+  var season = new Season('Test', new ScoringRules({
+    points: [4, 3, 2, 1], bountyBonus: 0, fishChipBonus: 0, tieBreakers: ['wins']
+  }))
+  season.addGame(new Game(date(1), [a, b, c, d]))
+  season.addGame(new Game(date(8), [b, a, d, c]))
+  var ranks = {}
+  season.scores.forEach(function(score) { ranks[score.player.name] = score.ranking })
+  assert.deepEqual(ranks, {Alan: '1=', Bob: '1=', Colin: '3=', Dave: '3='})
+})
+
+test('sortScores ranks scores separated by tie-breakers in order', function() {
+  var season = new Season('Test', new ScoringRules({
+    points: [4, 3, 2, 1], bountyBonus: 0, fishChipBonus: 0
+  }))
+  season.addGame(new Game(date(1), [a, b, c, d]))
+  season.addGame(new Game(date(8), [b, a, d, c]))
+  assert.deepEqual(season.scores.map(function(s) {
+    return [s.player.name, s.ranking, s.separatedBy]
+  }), [
+    ['Alan', '1', null], ['Bob', '2', 'name'], ['Colin', '3', null], ['Dave', '4', 'name']
+  ])
+})
+
+test('rankings are recorded after every game', function() {
+  var season = new Season('Test', new ScoringRules({bountyBonus: 0, fishChipBonus: 0}))
+  season.addGame(new Game(date(1), [a, b]))
+  season.addGame(new Game(date(8), [b, c, a]))
+  assert.deepEqual(season.getRankingHistory(), [
+    {player: b, rankings: ['2', '1']}
+  , {player: a, rankings: ['1', '2']}
+  , {player: c, rankings: [null, '3']}
+  ])
+  assert.equal(season.getScore(b).getMovement(), 'up')
+  assert.equal(season.getScore(a).getMovement(), 'down')
+  assert.equal(season.getScore(a).getPreviousRanking(), '1')
+  assert.equal(season.getScore(c).getMovement(), 'new')
+})
+
+test('ranking history is recalculated when games change', function() {
+  var season = new Season('Test', new ScoringRules({bountyBonus: 0, fishChipBonus: 0}))
+  season.addGame(new Game(date(1), [a, b]))
+  season.addGame(new Game(date(8), [b, a]))
+  season.addGame(new Game(date(15), [b, a]))
+  season.updateGame(season.games[0], {results: [b, a]})
+  assert.deepEqual(season.getScore(a).rankings, ['2', '2', '2'])
+  season.removeGame(season.games[2])
+  assert.deepEqual(season.getScore(a).rankings, ['2', '2'])
+  assert.equal(season.getScore(a).getMovement(), 'same')
+})
+
+test('games can only be added or moved to dates which keep them in the order they were played', function() {
+  var season = new Season('Test')
+    , playerStorage = new MemoryStorage(Player, 'players', {objects: [{name: 'Alan'}, {name: 'Bob'}]})
+  season.addGame(new Game(date(1), [a, b]))
+  season.addGame(new Game(date(8), [b, a]))
+  season.addGame(new Game(date(15), [b, a]))
+  var game = season.games[1]
+  assert.throws(function() {
+    season.updateGame(game, {date: date(20), results: [a, b]})
+  }, /The date can't be after the next game, on 15\/01\/2012\./)
+  assert.equal(game.date.getTime(), date(8).getTime())
+  assert.deepEqual(game.results, [b, a])
+  assert.equal(season.checkGameDate(game, date(0)),
+               "The date can't be before the previous game, on 01/01/2012.")
+  season.updateGame(game, {date: date(15)})
+  assert.equal(game.date.getTime(), date(15).getTime())
+
+  var cleaned = league.cleanGameData({
+    date: '31/12/2011', player: ['0', '1'], position: ['1', '2'], perp: [], victim: []
+  , buyIn: '', payouts: '', structure: ''
+  }, season, playerStorage, null, season.games[0])
+  assert.equal(cleaned.errors.date, null)
+  cleaned = league.cleanGameData({
+    date: '16/01/2012', player: ['0', '1'], position: ['1', '2'], perp: [], victim: []
+  , buyIn: '', payouts: '', structure: ''
+  }, season, playerStorage, null, game)
+  assert.equal(cleaned.errors.date, "The date can't be after the next game, on 15/01/2012.")
+  assert.equal(cleaned.data, null)
+
+  // New games are added after the last game
+  assert.equal(season.checkGameDate(null, date(15)), null)
+  cleaned = league.cleanGameData({
+    date: '14/01/2012', player: ['0', '1'], position: ['1', '2'], perp: [], victim: []
+  , buyIn: '', payouts: '', structure: ''
+  }, season, playerStorage, null)
+  assert.equal(cleaned.errors.date, "The date can't be before the Season's last game, on 15/01/2012.")
+  assert.equal(cleaned.data, null)
+})
+
+// ------------------------------------------------------------------- Stakes ---
+
+test('payouts split the pot between players in the money', function() {
+  var season = new Season('Test', null, new Stakes(10, [50, 30, 20]))
+  season.addGame(new Game(date(1), [a, b, c, d, e, f]))
+  var game = season.games[0]
+  assert.equal(game.getPot(), 60)
+  // 2 players are in the money, so their shares are scaled up to the whole pot
+  assert.deepEqual(game.getPayouts(), [[a, 37.5], [b, 22.5]])
+  assert.equal(game.getWinnings(c), 0)
+})
+
+test('odd pennies from payouts go to the winner', function() {
+  var stakes = new Stakes(1, [1, 1, 1])
+  assert.deepEqual(stakes.getPayouts(10, 3), [3.34, 3.33, 3.33])
+})
+
+test('the winner takes the whole pot when too few play for places to be paid', function() {
+  var season = new Season('Test', null, new Stakes(10, [50, 30, 20]))
+  season.addGame(new Game(date(1), [a, b]))
+  var game = season.games[0]
+  assert.deepEqual(game.getPaidPlayers(), [a])
+  assert.deepEqual(game.getPayouts(), [[a, 20]])
+  var ledgers = Ledger.forGames(season.games)
+  assert.deepEqual(ledgers.map(function(l) { return l.getSummary().netProfit }), ['10.00', '-10.00'])
+})
+
+test('games can override the season stakes', function() {
+  var season = new Season('Test', null, new Stakes(10))
+  season.addGame(new Game(date(1), [a, b, c], [], new Stakes(5, [100])))
+  season.addGame(new Game(date(8), [a, b, c]))
+  assert.deepEqual(season.games[0].getPayouts(), [[a, 15]])
+  assert.deepEqual(season.games[1].getPayouts(), [[a, 30]])
+  assert.deepEqual(season.toObject().games[0].stakes, {buyIn: 5, payouts: [100]})
+  assert.equal(typeof season.toObject().games[1].stakes, 'undefined')
+})
+
+test('ledgers total buy-ins and winnings, sorted by net profit', function() {
+  var season = new Season('Test', null, new Stakes(10, [100]))
+  season.addGame(new Game(date(1), [a, b, c]))
+  season.addGame(new Game(date(8), [b, a, c]))
+  season.addGame(new Game(date(15), [b, c, a], [], new Stakes(0)))
+  var ledgers = Ledger.forGames(season.games)
+  assert.deepEqual(ledgers.map(function(l) { return l.player }), [a, b, c])
+  assert.deepEqual(ledgers[0].getSummary(), {
+    player: a, gamesPlayed: 2, cashes: 1, buyIns: '20.00', winnings: '30.00'
+  , netProfit: '10.00', roi: '50.0'
+  })
+  assert.equal(ledgers[2].getROI(), '-100.0')
+})
+
+// ------------------------------------------------------------- Knockout Log ---
+
+test('fromKnockoutLog derives finishing positions from the order of knockouts', function() {
+  var derived = Game.fromKnockoutLog(date(1), [[b, d], [c, a], [c, b]])
+  assert.deepEqual(derived.errors, [])
+  assert.deepEqual(derived.game.results, [c, b, a, d])
+  assert.deepEqual(derived.game.knockouts, [[b, d], [c, a], [c, b]])
+})
+
+test('fromKnockoutLog rejects invalid knockouts', function() {
+  assert.deepEqual(Game.fromKnockoutLog(date(1), [[b, d], [d, a], [a, a]]).errors, [
+    {index: 1, message: 'Dave has already been knocked out.'}
+  , {index: 2, message: 'A player cannot knock themselves out.'}
+  ])
+})
+
+test('fromKnockoutLog requires a single player left standing', function() {
+  var derived = Game.fromKnockoutLog(date(1), [[a, b], [c, d]])
+  assert.equal(derived.game, null)
+  assert.deepEqual(derived.errors.map(function(error) { return error.index }), [null])
+  assert.ok(/^Alan, Colin haven't been knocked out/.test(derived.errors[0].message))
+})
+
+// ---------------------------------------------------------------- LiveGame ---
+
+test('live games create a game from knockouts once the winner is left', function() {
+  var season = new Season('Test')
+  season.addGame(new Game(date(1), [d, c, b, a]))
+  var liveGame = new LiveGame(season, [a, b, c])
+  assert.deepEqual(liveGame.getPreviousGameInfo(), {bountyPlayers: [c, b, a], fishChipper: a})
+  assert.equal(liveGame.knockout(d, a), 'Both players must be playing in this game.')
+  assert.equal(liveGame.knockout(b, a), null)
+  assert.equal(liveGame.knockout(a, c), 'Alan has already been knocked out.')
+  assert.equal(liveGame.isFinished(), false)
+  assert.equal(liveGame.knockout(c, b), null)
+  assert.equal(liveGame.isFinished(), true)
+  var game = liveGame.toGame(date(8))
+  assert.deepEqual(game.results, [c, b, a])
+  assert.deepEqual(game.knockouts, [[b, a], [c, b]])
+})
+
+test('live game clocks advance through blind levels', function() {
+  var liveGame = new LiveGame(new Season('Test'), [a, b], [
+    {smallBlind: 10, bigBlind: 20, minutes: 10}
+  , {smallBlind: 20, bigBlind: 40, minutes: 10}
+  ])
+  liveGame.start(1000)
+  assert.equal(liveGame.getLevelIndex(61000), 0)
+  assert.equal(liveGame.getLevelRemaining(61000), 540000)
+  liveGame.pause(661000)
+  assert.equal(liveGame.getLevelIndex(9999999), 1)
+  assert.equal(liveGame.getLevelRemaining(9999999), null)
+  liveGame.setLevel(0)
+  assert.equal(liveGame.getElapsed(), 0)
+})
+
+test('live games can be played with a structure', function() {
+  var structure = new Structure('Turbo', 1000, [
+        {smallBlind: 10, bigBlind: 20, ante: 0, minutes: 10}
+      , {isBreak: true, minutes: 5}
+      , {smallBlind: 20, bigBlind: 40, ante: 5, minutes: 10}
+      ])
+    , season = new Season('Test')
+    , liveGame = new LiveGame(season, [a, b], null, structure)
+  assert.deepEqual(liveGame.levels, structure.levels)
+  assert.notEqual(liveGame.levels, structure.levels)
+  liveGame.knockout(a, b)
+  assert.equal(liveGame.toGame(date(1)).getStructure(), structure)
+  season.structure = structure
+  assert.equal(liveGame.toGame(date(1)).structure, null)
+})
+
+// ---------------------------------------------------------------- Structure ---
+
+test('generated structures fill the target duration with rising blinds', function() {
+  var structure = Structure.generate('Standard', 5000, 8, 240, 20)
+    , blindLevels = structure.levels.filter(function(level) { return !level.isBreak })
+  assert.equal(structure.getTotalMinutes(), 240)
+  assert.deepEqual(structure.levels[4], {isBreak: true, minutes: Structure.BREAK_MINUTES})
+  assert.deepEqual(structure.levels[0], {smallBlind: 25, bigBlind: 50, ante: 0, minutes: 20})
+  blindLevels.forEach(function(level, i) {
+    assert.equal(level.smallBlind * 2, level.bigBlind)
+    if (i > 0) assert.ok(level.bigBlind > blindLevels[i - 1].bigBlind)
+  })
+  assert.equal(blindLevels[blindLevels.length - 1].bigBlind, 5000 * 8 / Structure.FINAL_BIG_BLINDS)
+  assert.deepEqual(structure.getNumberedLevels().slice(3, 6).map(function(row) {
+    return [row.number, row.start]
+  }), [[4, 60], [null, 80], [5, 90]])
+})
+
+test('seasons and games are loaded with their structures', function() {
+  var playerStorage = new MemoryStorage(Player, 'players', {
+        objects: [{name: 'Alan'}, {name: 'Bob'}]
+      })
+    , structureStorage = new MemoryStorage(Structure, 'structures', {
+        objects: [Structure.generate('Slow', 1000, 2, 60, 30).toObject(),
+                  Structure.generate('Fast', 1000, 2, 30, 10).toObject()]
+      })
+    , seasonStorage = new MemoryStorage(Season, 'seasons', {
+        related: {players: playerStorage, structures: structureStorage}
+      , objects: [{name: 'Test', structure: 0, games: [
+          {date: '2012-01-01', results: [1, 0], knockouts: [[1, 0]]}
+        , {date: '2012-01-08', results: [0, 1], knockouts: [[0, 1]], structure: 1}
+        ]}]
+      })
+  var season = seasonStorage.get(0)
+  assert.equal(season.structure, structureStorage.get(0))
+  assert.equal(season.games[0].getStructure(), structureStorage.get(0))
+  assert.equal(season.games[1].getStructure(), structureStorage.get(1))
+  assert.equal(season.toObject().structure, 0)
+  assert.equal(season.toObject().games[0].hasOwnProperty('structure'), false)
+  assert.equal(season.toObject().games[1].structure, 1)
+})
+
+// ---------------------------------------------------------------- Lifecycle ---
+
+test('seasons are open, then in progress, then completed', function() {
+  var season = new Season('Test')
+  assert.equal(season.getState(), Season.OPEN)
+  assert.throws(function() { season.complete() })
+  season.addGame(new Game(date(1), [b, a]))
+  assert.equal(season.getState(), Season.IN_PROGRESS)
+  season.complete()
+  assert.equal(season.getState(), Season.COMPLETED)
+  assert.equal(season.getChampion(), b)
+  assert.deepEqual(season.finalStandings[1], {
+    player: a, ranking: '2', points: 13, gamesPlayed: 1, wins: 0
+  })
+})
+
+test('completed seasons are locked against changes to their games and settings', function() {
+  var season = new Season('Test')
+  season.addGame(new Game(date(1), [b, a]))
+  season.complete()
+  assert.throws(function() { season.addGame(new Game(date(8), [a, b])) }, /completed/)
+  assert.throws(function() { season.removeGame(season.games[0]) }, /completed/)
+  assert.equal(season.checkChange('its stakes'), "Test has been completed, so its stakes can't be changed.")
+  assert.throws(function() { season.setStakes(new Stakes(10)) }, /its stakes can't be changed/)
+  assert.throws(function() { season.setTieBreakers(['name']) }, /its tie-breakers can't be changed/)
+  assert.throws(function() { season.setSchedule(2, date(1)) }, /its schedule can't be changed/)
+  assert.equal(season.stakes.buyIn, 0)
+  assert.deepEqual(season.rules.tieBreakers, ScoringRules.DEFAULT_TIE_BREAKERS)
+  assert.equal(season.weeks, 12)
+  season.reopen()
+  assert.equal(season.checkChange(), null)
+  season.addGame(new Game(date(8), [a, b]))
+  assert.equal(season.getChampion(), null)
+})
+
+test('seasons with a live game can\'t be completed, and completed seasons take no knockouts', function() {
+  var season = new Season('Test')
+  season.addGame(new Game(date(1), [b, a]))
+  var liveGame = new LiveGame(season, [a, b, c])
+  assert.equal(Season.checkComplete(season, [liveGame]),
+               'Finish or abandon the live game in Test before completing it.')
+  assert.equal(Season.checkComplete(season, []), null)
+  season.complete()
+  assert.equal(liveGame.knockout(a, b), "Test has been completed, so games can't be added to it.")
+  assert.deepEqual(liveGame.knockouts, [])
+})
+
+test('schedules are weekly for the planned number of weeks', function() {
+  var season = new Season('Test')
+  assert.equal(season.weeks, 12)
+  season.setSchedule(3, date(1))
+  season.addGame(new Game(date(1), [a, b]))
+  assert.deepEqual(season.getWeeks(), [
+    [1, date(1), season.games[0]], [2, date(8), null], [3, date(15), null]
+  ])
+  assert.equal(season.getNextWeek(), 2)
+})
+
+test('the current season is the in progress season with the latest game', function() {
+  var completed = new Season('Completed')
+    , older = new Season('Older')
+    , newer = new Season('Newer')
+    , open = new Season('Open')
+  completed.addGame(new Game(date(20), [a, b]))
+  completed.complete()
+  newer.addGame(new Game(date(8), [a, b]))
+  older.addGame(new Game(date(1), [a, b]))
+  assert.equal(Season.getCurrent([completed, newer, older, open]), newer)
+  assert.equal(Season.getCurrent([completed, open]), open)
+  assert.equal(Season.getCurrent([completed]), completed)
+  assert.equal(Season.getCurrent([]), null)
+})
+
+test('archived seasons are never the current season', function() {
+  var archived = new Season('Archived')
+    , open = new Season('Open')
+  archived.addGame(new Game(date(1), [a, b], [[a, b]]))
+  assert.equal(Season.getCurrent([archived, open]), archived)
+  archived.archived = true
+  assert.equal(Season.getCurrent([archived, open]), open)
+  assert.equal(Season.getCurrent([archived]), null)
+  assert.equal(archived.toObject().archived, true)
+  assert.equal(open.toObject().hasOwnProperty('archived'), false)
+  assert.deepEqual(archived.getTotals(), {games: 1, knockouts: 1, players: 2})
+})
+
+// ------------------------------------------------------------------- Player ---
+
+test('merging players rewrites their games and recalculates scores', function() {
+  var dupes = createPlayers(['Dave', 'David', 'Eric'])
+    , dave = dupes[0], david = dupes[1], eric = dupes[2]
+    , season = new Season('Test')
+  season.addGame(new Game(date(1), [dave, eric], [[dave, eric]]))
+  season.addGame(new Game(date(8), [david, eric], [[david, eric]]))
+  season.complete()
+  assert.equal(Player.checkMerge(dave, dave, [season]), 'A player cannot be merged into themselves.')
+  assert.equal(Player.checkMerge(dave, david, [season]), null)
+  assert.equal(season.replacePlayer(dave, david), true)
+  assert.deepEqual(season.games[0].results, [david, eric])
+  assert.deepEqual(season.games[0].knockouts, [[david, eric]])
+  assert.equal(season.getScore(dave), null)
+  assert.equal(season.getScore(david).wins, 2)
+  assert.equal(season.getChampion(), david)
+  assert.equal(season.replacePlayer(dave, david), false)
+  assert.equal(Player.checkMerge(eric, david, [season]),
+               'Eric and David both played in Game 1 in Test, Game 2 in Test.')
+})
+
+test('retired players are only active in games which include them', function() {
+  var retired = Player.fromObject({name: 'Gone', retired: true}, 6)
+  assert.deepEqual(retired.toObject(), {name: 'Gone', retired: true})
+  assert.deepEqual(a.toObject(), {name: 'Alan'})
+  assert.deepEqual(Player.getActive([a, retired, b]), [a, b])
+  assert.deepEqual(Player.getActive([a, retired, b], [retired]), [a, retired, b])
+})
+
+// ------------------------------------------------------------------ Storage ---
+
+test('seasons can be loaded from memory storage', function() {
+  var playerStorage = new MemoryStorage(Player, 'players', {
+        objects: [{name: 'Alan'}, {name: 'Bob'}]
+      })
+    , seasonStorage = new MemoryStorage(Season, 'seasons', {
+        related: {players: playerStorage}
+      , objects: [{name: 'Test', games: [
+          {date: '2012-01-01', results: [1, 0], knockouts: [[1, 0]]}
+        ]}]
+      })
+  var season = seasonStorage.get(0)
+  assert.equal(season.games[0].getWinner(), playerStorage.get(1))
+  assert.deepEqual(season.scores.map(function(s) { return s.player.name }), ['Bob', 'Alan'])
+  assert.deepEqual(season.toObject().games, [
+    {id: 1, date: '2012-01-01', results: [1, 0], knockouts: [[1, 0]]}
+  ])
+})
+
+test('storage ids stay the same when instances are removed and are never reused', function() {
+  var storage = new MemoryStorage(Player, 'players', {
+        objects: [{name: 'Alan'}, {name: 'Bob'}, {name: 'Colin'}]
+      })
+    , bob = storage.get(1)
+    , colin = storage.get(2)
+  storage.remove(bob)
+  assert.equal(storage.get(1), null)
+  assert.equal(storage.get(2), colin)
+  assert.equal(colin.id, 2)
+  storage.remove(colin)
+  assert.equal(storage.add(new Player('Dave')).id, 3)
+  storage.clear()
+  assert.equal(storage.add(new Player('Eric')).id, 4)
+})
+
+test('out of date instances are refused rather than overwriting changes', function() {
+  var storage = new MemoryStorage(Player, 'players', {objects: [{name: 'Alan'}]})
+    , alan = storage.get(0)
+  storage.isStale = function() { return true }
+  assert.throws(function() {
+    storage.add(new Player('Bob'))
+  }, function(err) {
+    assert.deepEqual(err.conflict, {storageKey: 'players'})
+    return true
+  })
+  delete storage.isStale
+  // Reloading creates new instances, so the one being held is out of date
+  storage._reload()
+  alan.name = 'Al'
+  assert.throws(function() {
+    storage.save(alan)
+  }, /instance 0 is out of date/)
+  assert.throws(function() {
+    storage.remove(alan)
+  }, /instance 0 is out of date/)
+  assert.equal(storage.get(0).name, 'Alan')
+})
+
+test('stored data is migrated from earlier schema versions', function() {
+  var storage = new MemoryStorage(Season, 'seasons')
+    , data = storage._migrate([{name: 'Test', games: [
+        {date: '2012-01-01', results: [1, 0], knockouts: []}
+      , {date: '2012-01-08', results: [0, 1], knockouts: []}
+      ]}], 0, 'seasons.backup.v0')
+  assert.equal(league.SCHEMA_VERSION, league.STORAGE_MIGRATIONS.length)
+  assert.equal(data.nextId, 1)
+  assert.equal(data.instances[0].id, 0)
+  assert.deepEqual(data.instances[0].games.map(function(game) { return game.id }), [1, 2])
+  assert.equal(data.instances[0].nextGameId, 3)
+  assert.throws(function() {
+    storage._migrate([{name: 'Broken'}], 0, 'seasons.backup.v0')
+  }, function(err) {
+    assert.deepEqual(err.migration, {
+      storageKey: 'seasons', version: 1, backup: 'seasons.backup.v0', newer: false
+    })
+    return true
+  })
+  assert.throws(function() {
+    storage._migrate(data, league.SCHEMA_VERSION + 1, null)
+  }, /stored data is from a newer version/)
+})
+
+test('games are given ids within their season which are never reused', function() {
+  var season = new Season('Test')
+  season.addGame(new Game(date(1), [a, b]))
+  season.addGame(new Game(date(8), [b, a]))
+  assert.deepEqual(season.games.map(function(game) { return game.id }), [1, 2])
+  assert.equal(season.getGame(2).getUrl(), '/seasons/null/games/2')
+  season.removeGame(season.getGame(2))
+  season.addGame(new Game(date(15), [a, b]))
+  assert.equal(season.getGame(2), null)
+  assert.equal(season.games[1].id, 3)
+  var loaded = Season.fromObject(season.toObject(), 0, {players: {get: function(id) {
+    return players[id]
+  }}})
+  assert.equal(loaded.nextGameId, 4)
+  assert.equal(loaded.getGame(3).getGameNumber(), 2)
+})
+
+/**
+ * Creates player, season and command storage with two players and an empty
+ * season, and a CommandHistory for them.
+ */
+function createCommandHistory(options) {
+  var playerStorage = new MemoryStorage(Player, 'players', {
+        objects: [{name: 'Alan'}, {name: 'Bob'}]
+      })
+    , seasonStorage = new MemoryStorage(Season, 'seasons', {
+        related: {players: playerStorage}
+      , objects: [{name: 'Test', games: [], nextGameId: 1}]
+      })
+    , commands = new CommandHistory([playerStorage, seasonStorage],
+                                    new MemoryStorage(Command, 'commands'), options)
+  return {players: playerStorage, seasons: seasonStorage, commands: commands}
+}
+
+test('undoing a game recalculates season scores and redoing it restores them', function() {
+  var storage = createCommandHistory()
+    , season = storage.seasons.get(0)
+  function addGame(results) {
+    storage.commands.run('Add Game', function() {
+      season.addGame(new Game(date(1), results.map(function(id) {
+        return storage.players.get(id)
+      })))
+      storage.seasons.save(season)
+    })
+  }
+  function getScores() {
+    return storage.seasons.get(0).scores.map(function(s) {
+      return [s.player.name, s.getOverallScore()]
+    })
+  }
+  addGame([0, 1])
+  addGame([1, 0])
+  var twoGameScores = getScores()
+  addGame([1, 0])
+  var threeGameScores = getScores()
+  assert.equal(storage.commands.getUndo().description, 'Add Game')
+  assert.equal(storage.commands.undo().description, 'Add Game')
+  season = storage.seasons.get(0)
+  assert.equal(season.games.length, 2)
+  assert.deepEqual(getScores(), twoGameScores)
+  // Restored instances refer to each other, not to the ones they replaced
+  assert.equal(season.games[0].results[0], storage.players.get(0))
+  storage.commands.undo()
+  storage.commands.undo()
+  assert.equal(storage.commands.undo(), null)
+  assert.equal(storage.seasons.get(0).games.length, 0)
+  storage.commands.redo()
+  storage.commands.redo()
+  assert.deepEqual(getScores(), twoGameScores)
+  storage.commands.redo()
+  assert.deepEqual(getScores(), threeGameScores)
+  assert.equal(storage.commands.getRedo(), null)
+})
+
+test('making a change after undoing discards commands which could be redone', function() {
+  var storage = createCommandHistory({limit: 2})
+  ;['Colin', 'Dave', 'Eric'].forEach(function(name) {
+    storage.commands.run('Add Player', function() {
+      storage.players.add(new Player(name))
+    })
+  })
+  // Only the most recent commands are kept
+  assert.equal(storage.commands._commands.all().length, 2)
+  storage.commands.undo()
+  assert.equal(storage.players.get(4), null)
+  storage.commands.run('Rename Player', function() {
+    var player = storage.players.get(0)
+    player.name = 'Al'
+    storage.players.save(player)
+  })
+  assert.equal(storage.commands.getRedo(), null)
+  // Saving without changing anything isn't a command
+  assert.equal(storage.commands.run('Save', function() {
+    storage.players.save(storage.players.get(1))
+    return 'result'
+  }), 'result')
+  assert.equal(storage.commands.getUndo().description, 'Rename Player')
+  storage.commands.undo()
+  storage.commands.undo()
+  assert.deepEqual(storage.players.all().map(String), ['Alan', 'Bob', 'Colin'])
+  assert.equal(storage.commands.getUndo(), null)
+  // Ids of undone instances aren't reused
+  assert.equal(storage.players.add(new Player('Fred')).id, 5)
+})
+
+test('changes to players, seasons and games are logged, including undoing them', function() {
+  var storage = createCommandHistory()
+    , audit = new AuditLog(storage.players, storage.seasons,
+                           new MemoryStorage(AuditEntry, 'audit'), {
+        getOperator: function() { return 'Jo' }
+      , getDescription: function() { return storage.commands.current }
+      })
+    , season = storage.seasons.get(0)
+  storage.commands.run('Add Game', function() {
+    season.addGame(new Game(date(1), [storage.players.get(1), storage.players.get(0)]))
+    storage.seasons.save(season)
+  })
+  storage.commands.run('Rename Player', function() {
+    var player = storage.players.get(0)
+    player.name = 'Al'
+    storage.players.save(player)
+  })
+  storage.commands.undo()
+  var entries = audit.getEntries()
+  assert.deepEqual(entries.map(function(entry) {
+    return [entry.description, entry.type, entry.action, entry.label, entry.operator]
+  }), [
+    ['Undo Rename Player', 'player', 'change', 'Alan', 'Jo']
+  , ['Rename Player', 'player', 'change', 'Al', 'Jo']
+  , ['Add Game', 'game', 'add', 'Test - Game 1', 'Jo']
+  ])
+  assert.deepEqual(entries[0].getChangedProperties(), [{name: 'name', before: 'Al', after: 'Alan'}])
+  assert.equal(entries[2].getUrl(), '/seasons/0/games/1')
+  assert.deepEqual(entries[2].after.results, [1, 0])
+  assert.equal(audit.getEntries({type: 'game', seasonId: 0}).length, 1)
+  assert.equal(audit.getEntries({seasonId: 1}).length, 0)
+  assert.deepEqual(audit.getOperators(), ['Jo'])
+})
+
+test('leagues store their data under their own keys, apart from shared players', function() {
+  var leagues = new MemoryStorage(League, 'leagues', {objects: [
+        {name: 'Thursday'}, {name: 'High Rollers', sharePlayers: true}, {name: 'Monthly'}
+      ]})
+    , thursday = leagues.get(0)
+    , highRollers = leagues.get(1)
+    , monthly = leagues.get(2)
+  assert.equal(thursday.getStorageKey('seasons'), 'seasons')
+  assert.equal(highRollers.getStorageKey('players'), 'players')
+  assert.equal(highRollers.getStorageKey('seasons'), 'league1.seasons')
+  assert.equal(monthly.getStorageKey('players'), 'league2.players')
+  assert.deepEqual(highRollers.getOwnStorageNames(),
+                   ['structures', 'seasons', 'liveGames', 'commands', 'audit'])
+  assert.deepEqual(monthly.getOwnStorageNames(), League.STORAGE_NAMES)
+  assert.equal(League.checkDelete(monthly, thursday, leagues.all()), null)
+  assert.ok(/Switch to another league/.test(League.checkDelete(monthly, monthly, leagues.all())))
+  assert.ok(/shared with High Rollers/.test(League.checkDelete(thursday, monthly, leagues.all())))
+  assert.ok(thursday.isSharingPlayers(leagues.all()))
+  assert.ok(highRollers.isSharingPlayers(leagues.all()))
+  assert.ok(!monthly.isSharingPlayers(leagues.all()))
+})
+
+/**
+ * Creates a LocalStorage backend which keeps its data in the given object.
+ */
+function createAreaStorage(items) {
+  var area = {
+    getItem: function(key) { return (items.hasOwnProperty(key) ? items[key] : null) }
+  , setItem: function(key, value) { items[key] = String(value) }
+  , removeItem: function(key) { delete items[key] }
+  , key: function(index) { return Object.keys(items)[index] }
+  }
+  return LocalStorage.extend({_area: function() { return area }})
+}
+
+test('adding or removing shared players is never undone by one league', function() {
+  var AreaStorage = createAreaStorage({})
+    , leagues = new AreaStorage(League, 'leagues')
+  leagues.add(new League('Thursday'))
+  var thursday = leagues.get(0).createStorage(AreaStorage, leagues)
+  thursday.Commands.run('Add Player', function() {
+    thursday.Players.add(new Player('Alan'))
+  })
+  var highRollers = leagues.add(new League('High Rollers', true)).createStorage(AreaStorage, leagues)
+  highRollers.Commands.run('Add Player', function() {
+    highRollers.Players.add(new Player('Bob'))
+  })
+  highRollers.Commands.run('Rename Player', function() {
+    var player = highRollers.Players.get(1)
+    player.name = 'Bobby'
+    highRollers.Players.save(player)
+  })
+  // Only the rename was recorded
+  assert.equal(highRollers.Commands.undo().description, 'Rename Player')
+  assert.equal(highRollers.Commands.getUndo(), null)
+  assert.equal(highRollers.Players.get(1).name, 'Bob')
+  // Players added before they were shared can't be removed by undoing either
+  assert.throws(function() {
+    thursday.Commands.undo()
+  }, /Add Player can't be undone now its changes are shared/)
+  assert.equal(thursday.Players.get(0).name, 'Alan')
+})
+
+test('deleting a season leaves the ids of other seasons and their live games alone', function() {
+  var items = {}
+    , AreaStorage = createAreaStorage(items)
+    , leagues = new MemoryStorage(League, 'leagues', {objects: [{name: 'Thursday'}]})
+    , storage = leagues.get(0).createStorage(AreaStorage, leagues)
+    , levels = [{smallBlind: 10, bigBlind: 20, minutes: 10}]
+  storage.Commands.run('Add Seasons', function() {
+    storage.Players.add(new Player('Alan'))
+    storage.Players.add(new Player('Bob'))
+    ;['Mistake', 'Winter', 'Spring'].forEach(function(name) {
+      var season = storage.Seasons.add(new Season(name))
+      storage.LiveGames.add(new LiveGame(season, storage.Players.all(), levels))
+    })
+  })
+  var mistake = storage.Seasons.get(0)
+  storage.Commands.run('Delete Season', function() {
+    storage.LiveGames.remove(LiveGame.getForSeason(storage.LiveGames.all(), mistake))
+    storage.Seasons.remove(mistake)
+  })
+  assert.deepEqual(JSON.parse(items['seasons']).instances.map(function(obj) {
+    return [obj.id, obj.name]
+  }), [[1, 'Winter'], [2, 'Spring']])
+
+  // Live games still belong to their seasons when loaded again
+  var reloaded = leagues.get(0).createStorage(AreaStorage, leagues)
+  reloaded.storages.forEach(function(storage) { storage.load(function() {}) })
+  assert.deepEqual(reloaded.LiveGames.all().map(function(liveGame) {
+    return liveGame.season.name
+  }), ['Winter', 'Spring'])
+  assert.equal(reloaded.Seasons.get(2).name, 'Spring')
+
+  reloaded.Commands.undo()
+  assert.equal(reloaded.Seasons.get(0).name, 'Mistake')
+  assert.equal(LiveGame.getForSeason(reloaded.LiveGames.all(), reloaded.Seasons.get(0)).season.name,
+               'Mistake')
+})
+
+test('seasons rank players with their league\'s tie-breakers', function() {
+  var items = {}
+    , AreaStorage = createAreaStorage(items)
+    , leagues = new AreaStorage(League, 'leagues')
+    , thursday = leagues.add(new League('Thursday'))
+  assert.deepEqual(thursday.tieBreakers, ScoringRules.DEFAULT_TIE_BREAKERS)
+  thursday.tieBreakers = ['name']
+  leagues.save(thursday)
+  var storage = thursday.createStorage(AreaStorage, leagues)
+    , p = ['Alan', 'Bob', 'Colin', 'Dave'].map(function(name) {
+        return storage.Players.add(new Player(name))
+      })
+    , open = storage.Seasons.add(thursday.createSeason('Open'))
+    , completed = storage.Seasons.add(thursday.createSeason('Completed'))
+  assert.deepEqual(open.rules.tieBreakers, ['name'])
+  ;[open, completed].forEach(function(season) {
+    season.rules.bountyBonus = season.rules.fishChipBonus = 0
+    season.addGame(new Game(date(1), [p[0], p[1], p[2], p[3]]))
+    season.addGame(new Game(date(8), [p[1], p[0], p[3], p[2]]))
+    storage.Seasons.save(season)
+  })
+  completed.complete()
+  storage.Seasons.save(completed)
+  function ranked(season) {
+    return season.scores.map(function(score) { return score.player.name + score.ranking })
+  }
+  assert.deepEqual(ranked(open), ['Alan1', 'Bob2', 'Colin3', 'Dave4'])
+
+  thursday.setTieBreakers(['gamesPlayed'], storage.Seasons.all())
+  leagues.save(thursday)
+  assert.deepEqual(open.rules.tieBreakers, ['gamesPlayed'])
+  assert.deepEqual(ranked(open), ['Alan1=', 'Bob1=', 'Colin3=', 'Dave3='])
+  assert.deepEqual(completed.rules.tieBreakers, ['name'])
+  assert.equal(completed.finalStandings[0].player, p[0])
+
+  // Seasons loaded again use the league's latest tie-breakers, even after the
+  // league itself was loaded again.
+  leagues._reload()
+  storage.Seasons._reload()
+  assert.deepEqual(leagues.get(0).tieBreakers, ['gamesPlayed'])
+  assert.deepEqual(ranked(storage.Seasons.get(0)), ['Alan1=', 'Bob1=', 'Colin3=', 'Dave3='])
+  assert.deepEqual(League.fromObject({name: 'Old'}, 1).tieBreakers, ScoringRules.DEFAULT_TIE_BREAKERS)
+})
+
+test('league storage can keep localStorage data anywhere with the same API', function() {
+  var items = {}
+    , AreaStorage = createAreaStorage(items)
+    , leagues = new MemoryStorage(League, 'leagues', {objects: [
+        {name: 'Thursday'}, {name: 'High Rollers'}, {name: 'Monthly'}
+      ]})
+    , monthly = leagues.get(2)
+  var storage = monthly.createStorage(AreaStorage, leagues, {getOperator: function() { return 'Jo' }})
+  assert.deepEqual(storage.storages, [storage.Players, storage.Structures, storage.Seasons,
+                                      storage.LiveGames, storage.Commands, storage.Audit])
+  storage.Commands.run('Add Player', function() {
+    storage.Players.add(new Player('Alan'))
+  })
+  assert.deepEqual(JSON.parse(items['league2.players']), {nextId: 1, instances: [{name: 'Alan', id: 0}]})
+  assert.equal(items['league2.players.version'], String(league.SCHEMA_VERSION))
+  assert.equal(JSON.parse(items['league2.commands']).instances[0].description, 'Add Player')
+  var entry = storage.Audit.getEntries()[0]
+  assert.equal(entry.operator, 'Jo')
+  assert.equal(entry.description, 'Add Player')
+})
+
+test('changes made to localStorage in another window are refused rather than overwritten', function() {
+  var items = {}
+    , AreaStorage = createAreaStorage(items)
+    , leagues = new MemoryStorage(League, 'leagues', {objects: [{name: 'Thursday'}]})
+    , storage = leagues.get(0).createStorage(AreaStorage, leagues)
+    , other = leagues.get(0).createStorage(AreaStorage, leagues)
+  storage.Commands.run('Add Player', function() {
+    storage.Players.add(new Player('Alan'))
+  })
+  other.Players.reload(function() {})
+  other.Commands.reload(function() {})
+  other.Commands.run('Add Player', function() {
+    other.Players.add(new Player('Bob'))
+  })
+  var json = items['players']
+  assert.throws(function() {
+    storage.Commands.run('Add Player', function() {
+      storage.Players.add(new Player('Colin'))
+    })
+  }, function(err) {
+    assert.deepEqual(err.conflict, {storageKey: 'players'})
+    return true
+  })
+  assert.throws(function() {
+    storage.Players.add(new Player('Colin'))
+  }, function(err) {
+    assert.deepEqual(err.conflict, {storageKey: 'players'})
+    return true
+  })
+  assert.equal(items['players'], json)
+  // Once reloaded, changes can be made again
+  storage.Players.reload(function() {})
+  storage.Commands.reload(function() {})
+  storage.Commands.run('Add Player', function() {
+    storage.Players.add(new Player('Colin'))
+  })
+  assert.deepEqual(JSON.parse(items['players']).instances.map(function(obj) {
+    return obj.name
+  }), ['Alan', 'Bob', 'Colin'])
+})
+
+// IndexedDB is only available in tests with an implementation from npm
+var skipIndexedDB = false
+try {
+  require.resolve('fake-indexeddb/auto')
+}
+catch (e) {
+  skipIndexedDB = 'fake-indexeddb is not installed - npm install fake-indexeddb to run this test'
+}
+
+test('changes made to IndexedDB in another window are refused rather than overwritten', {skip: skipIndexedDB}, function() {
+  require('fake-indexeddb/auto')
+  var IndexedDBStorage = league.IndexedDBStorage
+    , storage = new IndexedDBStorage(Player, 'players')
+    , other = new IndexedDBStorage(Player, 'players')
+    , errors = []
+    , changes = []
+  IndexedDBStorage.onError(function(err) { errors.push(err) })
+  IndexedDBStorage.onChange(function(storageKey) { changes.push(storageKey) })
+  /**
+   * Waits for writes and messages sent so far to finish.
+   */
+  function settle() {
+    return new Promise(function(resolve) { setTimeout(resolve, 100) })
+  }
+  function load(storage) {
+    return new Promise(function(resolve, reject) {
+      storage.reload(function(err) { return (err ? reject(err) : resolve()) })
+    })
+  }
+  return load(storage).then(function() {
+    return load(other)
+  }).then(function() {
+    storage.add(new Player('Alan'))
+    // The other window hears about the write once it's done, so its next
+    // change is refused before it's made
+    var otherWindow = new BroadcastChannel(IndexedDBStorage.DB_NAME)
+    IndexedDBStorage.revisions.players = 0
+    return settle().then(function() {
+      otherWindow.postMessage({storageKey: 'players', revision: 1})
+      otherWindow.close()
+      return settle()
+    })
+  }).then(function() {
+    assert.deepEqual(changes, ['players'])
+    assert.throws(function() {
+      other.add(new Player('Bob'))
+    }, function(err) {
+      assert.deepEqual(err.conflict, {storageKey: 'players'})
+      return true
+    })
+    // If it makes a change before hearing about the write, the change isn't
+    // written
+    IndexedDBStorage.revisions.players = 0
+    other._revision = 0
+    other.add(new Player('Bob'))
+    return settle()
+  }).then(function() {
+    assert.equal(errors.length, 1)
+    assert.deepEqual(errors[0].conflict, {storageKey: 'players'})
+    return load(other)
+  }).then(function() {
+    assert.deepEqual(other.all().map(function(player) { return player.name }), ['Alan'])
+    other.add(new Player('Bob'))
+    return settle()
+  }).then(function() {
+    assert.equal(errors.length, 1)
+    return load(storage)
+  }).then(function() {
+    assert.deepEqual(storage.all().map(function(player) { return player.name }), ['Alan', 'Bob'])
+  }).finally(function() {
+    if (IndexedDBStorage.channel !== null) {
+      IndexedDBStorage.channel.close()
+    }
+  })
+})
+
+test('changes are still saved when they can\'t be logged', function() {
+  var items = {}
+    , AreaStorage = createAreaStorage(items)
+    , playerStorage = new AreaStorage(Player, 'players')
+    , audit = new AuditLog(playerStorage, new MemoryStorage(Season, 'seasons'),
+                           new AreaStorage(AuditEntry, 'audit'))
+    , errors = []
+  audit.onError(function(err) { errors.push(err) })
+  audit.load(function() {})
+  // Another window logs entries with a newer version of the app
+  items['audit.version'] = String(league.SCHEMA_VERSION + 1)
+  items['audit'] = JSON.stringify({nextId: 0, instances: []})
+  playerStorage.add(new Player('Alan'))
+  assert.equal(JSON.parse(items['players']).instances[0].name, 'Alan')
+  assert.equal(errors.length, 1)
+  assert.ok(errors[0].migration.newer)
+})
+
+test('audit logs keep only their most recent entries, and report entries they can\'t store', function() {
+  var items = {}
+    , AreaStorage = createAreaStorage(items)
+    , playerStorage = new AreaStorage(Player, 'players')
+    , audit = new AuditLog(playerStorage, new MemoryStorage(Season, 'seasons'),
+                           new AreaStorage(AuditEntry, 'audit'), {limit: 2})
+    , errors = []
+  audit.onError(function(err) { errors.push(err) })
+  audit.load(function() {})
+  ;['Alan', 'Bob', 'Colin'].forEach(function(name) {
+    playerStorage.add(new Player(name))
+  })
+  assert.deepEqual(audit.getEntries().map(function(entry) { return entry.label }), ['Colin', 'Bob'])
+  // The audit log's storage is full
+  var setItem = AreaStorage.prototype._area().setItem
+  AreaStorage.prototype._area().setItem = function(key, value) {
+    if (key == 'audit') throw new Error('QuotaExceededError')
+    setItem(key, value)
+  }
+  playerStorage.add(new Player('Dave'))
+  assert.equal(JSON.parse(items['players']).instances[3].name, 'Dave')
+  assert.equal(errors.length, 1)
+  assert.equal(errors[0].message, 'QuotaExceededError')
+  assert.deepEqual(audit.getEntries().map(function(entry) { return entry.label }), ['Colin', 'Bob'])
+})
+
+test('game form fields are cleaned into game data, or errors for each field', function() {
+  var playerStorage = new MemoryStorage(Player, 'players', {
+        objects: [{name: 'Alan'}, {name: 'Bob'}, {name: 'Colin'}]
+      })
+    , structureStorage = new MemoryStorage(Structure, 'structures', {
+        objects: [{name: 'Turbo', startingStack: 1000, levels: [{smallBlind: 10, bigBlind: 20, minutes: 10}]}]
+      })
+    , season = new Season('Test', null, new Stakes(5, [100]))
+  function clean(fields) {
+    var defaults = {
+      date: '08/01/2012'
+    , player: ['0', '1', '2']
+    , position: ['2', '1', '']
+    , perp: ['1']
+    , victim: ['0']
+    , buyIn: ''
+    , payouts: ''
+    , structure: ''
+    }
+    Object.keys(fields).forEach(function(name) {
+      defaults[name] = fields[name]
+    })
+    return league.cleanGameData(defaults, season, playerStorage, structureStorage)
+  }
+
+  var cleaned = clean({})
+  assert.deepEqual(cleaned.data.results, [playerStorage.get(1), playerStorage.get(0)])
+  assert.deepEqual(cleaned.data.knockouts, [[playerStorage.get(1), playerStorage.get(0)]])
+  assert.equal(cleaned.data.date.getTime(), date(8).getTime())
+  assert.equal(cleaned.data.stakes, null)
+  assert.equal(cleaned.data.structure, null)
+
+  cleaned = clean({buyIn: ' 10 ', structure: '0'})
+  assert.equal(cleaned.data.stakes.buyIn, 10)
+  assert.deepEqual(cleaned.data.stakes.payouts, [100])
+  assert.equal(cleaned.data.structure, structureStorage.get(0))
+
+  cleaned = clean({date: '2012-01-08', position: ['3', '1', ''], victim: [''], payouts: '50,x'})
+  assert.equal(cleaned.data, null)
+  assert.equal(cleaned.errors.date, 'Enter a valid date in DD/MM/YYYY format.')
+  assert.deepEqual(cleaned.errors.positions, [
+    'Expected position 2 to be assigned first.', null, null
+  ])
+  assert.deepEqual(cleaned.errors.knockouts, ['Select a player from each dropdown.'])
+  assert.equal(cleaned.errors.buyIn, null)
+  assert.ok(/whole number percentages/.test(cleaned.errors.payouts))
+
+  cleaned = clean({position: ['', '', ''], perp: ['0'], victim: ['0']})
+  assert.ok(/enter the position they finished in/.test(cleaned.errors.results))
+  assert.deepEqual(cleaned.errors.knockouts, ['A player cannot knock themselves out.'])
+})
+
+test('completed seasons can be loaded from storage', function() {
+  var playerStorage = new MemoryStorage(Player, 'players', {
+        objects: [{name: 'Alan'}, {name: 'Bob'}]
+      })
+    , season = new Season('Test')
+  season.setSchedule(2, date(1))
+  season.addGame(new Game(date(1), [playerStorage.get(1), playerStorage.get(0)]))
+  season.complete()
+  var loaded = Season.fromObject(season.toObject(), 0, {players: playerStorage})
+  assert.equal(loaded.getChampion(), playerStorage.get(1))
+  assert.deepEqual(loaded.schedule, [date(1), date(8)])
+  assert.deepEqual(loaded.toObject(), season.toObject())
+})
+
+// ------------------------------------------------------------ Import/Export ---
+
+/**
+ * Creates player, season and structure storage holding a season with games
+ * played by the named players.
+ */
+function createLeagueData(seasonName, names) {
+  var Players = new MemoryStorage(Player, 'players', {objects: names.map(function(name) {
+        return {name: name}
+      })})
+    , Structures = new MemoryStorage(Structure, 'structures')
+    , Seasons = new MemoryStorage(Season, 'seasons')
+    , structure = Structures.add(new Structure('Turbo', 1000, [{smallBlind: 10, bigBlind: 20, minutes: 10}]))
+    , season = new Season(seasonName, null, new Stakes(10, [70, 30]))
+    , p = Players.all()
+  season.structure = structure
+  season.addGame(new Game(date(1), [p[1], p[0], p[2]], [[p[1], p[2]], [p[1], p[0]]]))
+  season.addGame(new Game(date(8), [p[0], p[1]], [[p[0], p[1]]], new Stakes(20, [100])))
+  season.complete()
+  Seasons.add(season)
+  return {Players: Players, Seasons: Seasons, Structures: Structures}
+}
+
+/**
+ * Gets a season's games with players given by name, to compare seasons in
+ * different storage.
+ */
+function gamesByName(season) {
+  return season.games.map(function(game) {
+    return [game.date.getTime(), game.results.map(String), game.knockouts.map(function(ko) {
+      return ko.map(String)
+    }), game.stakes && game.stakes.buyIn]
+  })
+}
+
+test('exported leagues can be imported to replace all existing data', function() {
+  var exported = createLeagueData('Winter', ['Alan', 'Bob', 'Colin'])
+    , data = JSON.parse(JSON.stringify(league.exportLeague(
+        exported.Players, exported.Seasons, exported.Structures)))
+    , target = createLeagueData('Old', ['Dave', 'Eric', 'Fred'])
+  assert.deepEqual(league.upgradeExport(data), [])
+  assert.deepEqual(league.validateExport(data), [])
+  var summary = league.importLeague(data, 'replace', target.Players, target.Seasons, target.Structures)
+  assert.deepEqual(summary, {playersAdded: 3, structuresAdded: 1, seasonsAdded: 1, seasonsSkipped: []})
+  assert.deepEqual(target.Players.all().map(String), ['Alan', 'Bob', 'Colin'])
+  assert.deepEqual(target.Seasons.all().map(function(season) { return season.name }), ['Winter'])
+  var season = target.Seasons.all()[0]
+    , original = exported.Seasons.all()[0]
+  assert.deepEqual(gamesByName(season), gamesByName(original))
+  assert.equal(season.structure, target.Structures.all()[0])
+  assert.equal(season.getChampion().name, original.getChampion().name)
+  assert.deepEqual(season.scores.map(function(score) { return [score.player.name, score.getOverallScore()] }),
+                   original.scores.map(function(score) { return [score.player.name, score.getOverallScore()] }))
+})
+
+test('exported leagues can be merged into existing data, matching players by name', function() {
+  var exported = createLeagueData('Winter', ['Alan', 'Bob', 'Colin'])
+  exported.Seasons.add(new Season('Spring'))
+  var data = JSON.parse(JSON.stringify(league.exportLeague(
+        exported.Players, exported.Seasons, exported.Structures)))
+    , target = createLeagueData('Spring', ['Dave', 'bob', 'Colin'])
+    , bob = target.Players.get(1)
+    , colin = target.Players.get(2)
+  var summary = league.importLeague(data, 'merge', target.Players, target.Seasons, target.Structures)
+  assert.deepEqual(summary, {playersAdded: 1, structuresAdded: 0, seasonsAdded: 1, seasonsSkipped: ['Spring']})
+  assert.deepEqual(target.Players.all().map(String), ['Dave', 'bob', 'Colin', 'Alan'])
+  var winter = target.Seasons.all()[1]
+  assert.equal(winter.name, 'Winter')
+  assert.deepEqual(winter.games[0].results, [bob, target.Players.get(3), colin])
+  assert.deepEqual(winter.games[0].knockouts[0], [bob, colin])
+  assert.equal(winter.structure, target.Structures.all()[0])
+  // The existing season wasn't touched
+  assert.equal(target.Seasons.all()[0].games.length, 2)
+})
+
+test('export documents which can\'t be used are rejected', function() {
+  assert.deepEqual(league.upgradeExport(null), ['The file does not contain a league export.'])
+  assert.ok(/is not a poker-league export/.test(league.upgradeExport({format: 'other'})[0]))
+  assert.ok(/from a newer version/.test(league.upgradeExport({format: 'poker-league', version: 99})[0]))
+
+  var exported = createLeagueData('Winter', ['Alan', 'Bob', 'Colin'])
+  function validate(change) {
+    var data = JSON.parse(JSON.stringify(league.exportLeague(
+      exported.Players, exported.Seasons, exported.Structures)))
+    change(data)
+    return league.validateExport(data)
+  }
+  assert.deepEqual(validate(function(data) {
+    data.players.push({id: 0, name: 'Dave'})
+    data.seasons[0].games[1].date = '08/01/2012'
+    data.seasons[0].games[1].results = [0, 7]
+  }), [
+    'players[3].id: duplicate player id 0.'
+  , 'seasons[0].games[1].date: must be a date in YYYY-MM-DD format.'
+  , 'seasons[0].games[1].results[1]: unknown player id 7.'
+  , 'seasons[0].games[1].knockouts[0]: Player id 1 didn\'t play in this game (no position entered).'
+  ])
+  // The same checks as adding a game, including perps who were already out
+  assert.deepEqual(validate(function(data) {
+    data.seasons[0].games[0].knockouts = [[1, 2], [2, 0], [0, 0], [1, 1]]
+  }), [
+    'seasons[0].games[0].knockouts[1]: Player id 2 has already been knocked out.'
+  , 'seasons[0].games[0].knockouts[2]: A player cannot knock themselves out.'
+  , 'seasons[0].games[0].knockouts[3]: A player cannot knock themselves out.'
+  ])
+  assert.deepEqual(validate(function(data) {
+    data.seasons[0].games[0].knockouts = [[0, 1]]
+  }), ['seasons[0].games[0].knockouts[0]: You can\'t knock the winner out.'])
+})
+
+// --------------------------------------------------------------- Games CSV ---
+
+test('games read from CSV are grouped by date and game number', function() {
+  var playerStorage = new MemoryStorage(Player, 'players', {
+        objects: [{name: 'Alan'}, {name: 'Bob'}]
+      })
+    , imported = league.readGamesCSV([
+        'Date,Game,Player,Position,Knocked Out By'
+      , '08/01/2012,1,alan,1,'
+      , '08/01/2012,1,Bob,2,Alan'
+      , '01/01/2012,2,Bob,1,'
+      , '01/01/2012,2,Colin,2,'
+      , '01/01/2012,1,Alan,2,'
+      , '01/01/2012,1,Bob,1,'
+      ].join('\n'), playerStorage, new Season('Test'))
+  assert.deepEqual(imported.errors, [])
+  assert.deepEqual(imported.unknownNames, ['Colin'])
+  assert.deepEqual(imported.games.map(function(game) {
+    return [game.date, game.number, game.results, game.knockouts]
+  }), [
+    [date(1), 1, ['Bob', 'Alan'], []]
+  , [date(1), 2, ['Bob', 'Colin'], []]
+  , [date(8), 1, ['Alan', 'Bob'], [['Alan', 'Bob']]]
+  ])
+
+  var players = {alan: playerStorage.get(0), bob: playerStorage.get(1), colin: new Player('Colin')}
+    , created = league.createImportedGames(imported, players)
+  assert.deepEqual(created.errors, [])
+  assert.deepEqual(created.games[1].results, [players.bob, players.colin])
+
+  // Colin turns out to be Alan
+  players.colin = players.alan
+  created = league.createImportedGames(imported, players)
+  assert.deepEqual(created.errors, [])
+  players.colin = players.bob
+  created = league.createImportedGames(imported, players)
+  assert.deepEqual(created.errors, ['Game 2 on 01/01/2012: Bob has more than one result.'])
+
+  // Without a game column, all of a night's results are one game
+  imported = league.readGamesCSV([
+    'Date,Player,Position'
+  , '01/01/2012,Alan,2'
+  , '01/01/2012,Bob,1'
+  , '01/01/2012,Bob,2'
+  , '08/01/2012,Bob,1'
+  , '08/01/2012,Alan,x'
+  ].join('\n'), playerStorage, new Season('Test'))
+  assert.deepEqual(imported.errors, [
+    'Line 6: Positions must be numeric.'
+  , 'Game on 01/01/2012: Line 4: Bob has more than one result.'
+  ])
+  assert.deepEqual(imported.games.map(function(game) { return game.number }), [null, null])
+})
+
+test('games from CSV can\'t be imported if they were played before the season\'s last game', function() {
+  var playerStorage = new MemoryStorage(Player, 'players', {
+        objects: [{name: 'Alan'}, {name: 'Bob'}]
+      })
+    , season = new Season('Test')
+    , csv = ['Date,Player,Position', '08/01/2012,Alan,1', '08/01/2012,Bob,2',
+             '15/01/2012,Bob,1', '15/01/2012,Alan,2'].join('\n')
+  season.addGame(new Game(date(8), [b, a]))
+  assert.deepEqual(league.readGamesCSV(csv, playerStorage, season).errors, [])
+  season.addGame(new Game(date(9), [b, a]))
+  assert.deepEqual(league.readGamesCSV(csv, playerStorage, season).errors, [
+    "Game on 08/01/2012: The date can't be before the Season's last game, on 09/01/2012."
+  ])
+})
@@ -0,0 +1,189 @@
+var assert = require('assert')
+  , fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , test = require('node:test')
+
+// The server renders templates with DOMBuilder from npm, which the rest of the
+// tests don't need.
+var skip = false
+try {
+  require.resolve('DOMBuilder')
+}
+catch (e) {
+  skip = 'DOMBuilder is not installed - npm install DOMBuilder to run these tests'
+}
+
+var server = (skip ? null : require('../server'))
+
+/**
+ * Starts a server with an empty data file, resolving with functions to make
+ * requests to it, read what it stored and stop it.
+ */
+function startServer() {
+  var dataFile = path.join(os.tmpdir(), 'poker-league-test-' + process.pid + '.json')
+  if (fs.existsSync(dataFile)) {
+    fs.unlinkSync(dataFile)
+  }
+  var httpServer = server.createServer(dataFile)
+  return new Promise(function(resolve) {
+    httpServer.listen(0, '127.0.0.1', function() {
+      var base = 'http://127.0.0.1:' + httpServer.address().port
+      resolve({
+        /**
+         * Makes a request, resolving with its status, location and body.
+         */
+        request: function(method, url, body, contentType) {
+          var options = {method: method, redirect: 'manual', headers: {}}
+          if (body !== undefined) {
+            options.body = body
+            options.headers['Content-Type'] = contentType || 'application/x-www-form-urlencoded'
+          }
+          return fetch(base + url, options).then(function(res) {
+            return res.text().then(function(text) {
+              return {status: res.status, location: res.headers.get('Location'), body: text}
+            })
+          })
+        }
+        /**
+         * Gets the data stored under a key, parsed from JSON.
+         */
+      , stored: function(key) {
+          var items = JSON.parse(fs.readFileSync(dataFile, 'utf8'))
+          return (items.hasOwnProperty(key) ? JSON.parse(items[key]) : null)
+        }
+      , close: function() {
+          return new Promise(function(resolve) {
+            httpServer.close(function() {
+              fs.unlinkSync(dataFile)
+              resolve()
+            })
+          })
+        }
+      })
+    })
+  })
+}
+
+/**
+ * Starts a server and runs a test function with it, always stopping it.
+ */
+function withServer(func) {
+  return startServer().then(function(srv) {
+    return Promise.resolve().then(function() {
+      return func(srv)
+    }).then(function() {
+      return srv.close()
+    }, function(err) {
+      return srv.close().then(function() { throw err })
+    })
+  })
+}
+
+// ---------------------------------------------------------------- FileArea ---
+
+test('file areas write every change to their file', {skip: skip}, function() {
+  var dataFile = path.join(os.tmpdir(), 'poker-league-area-' + process.pid + '.json')
+    , area = new server.FileArea(dataFile)
+  area.setItem('players', '[]')
+  area.update({seasons: '[]', structures: '[]'})
+  area.removeItem('structures')
+  var reopened = new server.FileArea(dataFile)
+  fs.unlinkSync(dataFile)
+  assert.equal(reopened.length, 2)
+  assert.equal(reopened.getItem('seasons'), '[]')
+  assert.equal(reopened.getItem('structures'), null)
+  assert.deepEqual([reopened.key(0), reopened.key(1), reopened.key(2)], ['players', 'seasons', null])
+})
+
+// ----------------------------------------------------------------- Actions ---
+
+test('posting a player adds it and redirects to the player list', {skip: skip}, function() {
+  return withServer(function(srv) {
+    return srv.request('POST', '/players', 'name=A%24%27B').then(function(res) {
+      assert.equal(res.status, 303)
+      assert.equal(res.location, '/players')
+      assert.deepEqual(srv.stored('players').instances, [{name: 'A$\'B', id: 0}])
+      assert.equal(srv.stored('commands').instances[0].description, 'Add Player')
+      return srv.request('GET', '/players')
+    }).then(function(res) {
+      assert.ok(res.body.indexOf('A$&#39;B') != -1)
+      return srv.request('POST', '/players', 'name=')
+    }).then(function(res) {
+      assert.equal(res.status, 400)
+      assert.ok(res.body.indexOf('Name is required to add a new Player.') != -1)
+      assert.equal(srv.stored('players').instances.length, 1)
+    })
+  })
+})
+
+test('posting a season adds it and redirects to the new season', {skip: skip}, function() {
+  return withServer(function(srv) {
+    return srv.request('POST', '/seasons', 'name=Winter').then(function(res) {
+      assert.equal(res.status, 303)
+      assert.equal(res.location, '/seasons/0')
+      assert.equal(srv.stored('seasons').instances[0].name, 'Winter')
+      return srv.request('POST', '/seasons', 'name=')
+    }).then(function(res) {
+      assert.equal(res.status, 400)
+      assert.ok(res.body.indexOf('Name is required to add a new Season.') != -1)
+    })
+  })
+})
+
+test('posting a game adds it to the season, or redisplays the season with errors', {skip: skip}, function() {
+  return withServer(function(srv) {
+    return srv.request('POST', '/players', 'name=Alan').then(function() {
+      return srv.request('POST', '/players', 'name=Bob')
+    }).then(function() {
+      return srv.request('POST', '/seasons', 'name=Winter')
+    }).then(function() {
+      return srv.request('POST', '/seasons/0', 'date=01/01/2012&player=0&position=1' +
+                         '&player=1&position=x&buyIn=&payouts=&structure=')
+    }).then(function(res) {
+      assert.equal(res.status, 400)
+      assert.ok(res.body.indexOf('Bob: Positions must be numeric.') != -1)
+      assert.deepEqual(srv.stored('seasons').instances[0].games, [])
+      return srv.request('POST', '/seasons/0', 'date=01/01/2012&player=0&position=2' +
+                         '&player=1&position=1&perp=1&victim=0&buyIn=10&payouts=&structure=')
+    }).then(function(res) {
+      assert.equal(res.status, 303)
+      assert.equal(res.location, '/seasons/0')
+      var game = srv.stored('seasons').instances[0].games[0]
+      assert.deepEqual(game.results, [1, 0])
+      assert.deepEqual(game.knockouts, [[1, 0]])
+      assert.equal(game.stakes.buyIn, 10)
+      return srv.request('POST', '/seasons/5', 'date=01/01/2012')
+    }).then(function(res) {
+      assert.equal(res.status, 404)
+    })
+  })
+})
+
+// -------------------------------------------------------------------- Data ---
+
+test('data changes are refused if what they replace was changed first', {skip: skip}, function() {
+  return withServer(function(srv) {
+    function post(data) {
+      return srv.request('POST', '/data', JSON.stringify(data), 'application/json')
+    }
+    return post({changes: {players: '1'}, previous: {players: null}}).then(function(res) {
+      assert.equal(res.status, 204)
+      return post({changes: {players: '2', seasons: '2'}, previous: {players: null, seasons: null}})
+    }).then(function(res) {
+      assert.equal(res.status, 409)
+      assert.deepEqual(JSON.parse(res.body), ['players'])
+      assert.equal(srv.stored('players'), 1)
+      assert.equal(srv.stored('seasons'), null)
+      return post({changes: null, previous: {}})
+    }).then(function(res) {
+      assert.equal(res.status, 400)
+      return post({changes: {players: 3}, previous: {players: '1'}})
+    }).then(function(res) {
+      assert.equal(res.status, 400)
+      return srv.request('GET', '/data')
+    }).then(function(res) {
+      assert.deepEqual(JSON.parse(res.body), {players: '1'})
+    })
+  })
+})